@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * Local Bakong API Mock
+ * Run with BAKONG_API_URL=http://localhost:<port>/v1 on the API server to
+ * develop and test offline
+ */
+
+require('dotenv').config();
+const BakongMockServer = require('./src/BakongMockServer');
+
+async function main() {
+    const port = parseInt(process.env.BAKONG_MOCK_PORT) || 4010;
+    const host = process.env.BAKONG_MOCK_HOST || '127.0.0.1';
+    const mock = new BakongMockServer();
+
+    const url = await mock.listen(port, host);
+    const adminUrl = url.replace(/\/v1$/, '/admin');
+
+    console.log(`🧪 Bakong mock API listening on ${url}`);
+    console.log(`   Set BAKONG_API_URL=${url} for the API server`);
+    console.log(`   Mark a QR as paid: curl -X POST ${adminUrl}/mark-paid -H "Content-Type: application/json" -d '{"md5":"<md5>"}'`);
+
+    process.on('SIGINT', async () => {
+        await mock.close();
+        console.log('\n👋 Bakong mock stopped');
+        process.exit(0);
+    });
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ Failed to start Bakong mock:', error.message);
+        process.exit(1);
+    });
+}
@@ -2,6 +2,15 @@
 
 const API_BASE = 'http://localhost:3004/api';
 
+// API key for servers with API_KEYS configured: localStorage.setItem('bakongApiKey', '...')
+const API_KEY = localStorage.getItem('bakongApiKey') || '';
+
+function apiFetch(url, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    if (API_KEY) headers['X-Api-Key'] = API_KEY;
+    return fetch(url, { ...options, headers });
+}
+
 function logActivity(message, type = '') {
     const logContainer = document.getElementById('log-container');
     const entry = document.createElement('div');
@@ -37,7 +46,7 @@ document.getElementById('payment-form').onsubmit = async function(e) {
 
     try {
         console.log('Sending payment request:', data);
-        const res = await fetch(`${API_BASE}/payments/create`, {
+        const res = await apiFetch(`${API_BASE}/payments/create`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(data)
@@ -62,14 +71,12 @@ document.getElementById('payment-form').onsubmit = async function(e) {
 
 function showQRResult(data) {
     const el = document.getElementById('qr-result');
-    // Extract just the filename from the full path
-    const imagePath = data.imagePath.split('/').pop();
     el.innerHTML = `
         <div class="result-card success">
             <h4>QR Code Generated</h4>
             <div class="qr-display">
                 <div class="qr-code">
-                    <img src="/temp/${imagePath}" alt="QR Code" width="220" height="220">
+                    <img id="qr-image" alt="QR Code" width="220">
                 </div>
             </div>
             <div class="qr-text">${data.qrCode}</div>
@@ -90,6 +97,18 @@ function showQRResult(data) {
             </div>
         </div>
     `;
+    loadQRImage(data.transactionId);
+}
+
+// Images are rendered on demand by the API; fetch with the API key and show as a blob
+async function loadQRImage(transactionId) {
+    try {
+        const res = await apiFetch(`${API_BASE}/payments/${transactionId}/image?template=khqr-card`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        document.getElementById('qr-image').src = URL.createObjectURL(await res.blob());
+    } catch (err) {
+        logActivity('Failed to load QR image: ' + err.message, 'error');
+    }
 }
 
 function showError(target, message) {
@@ -104,7 +123,7 @@ document.getElementById('check-form').onsubmit = async function(e) {
     logActivity('Checking payment status...');
     const identifier = document.getElementById('check-identifier').value;
     try {
-        const res = await fetch(`${API_BASE}/payments/check/${identifier}`);
+        const res = await apiFetch(`${API_BASE}/payments/check/${identifier}`);
         const result = await res.json();
         document.getElementById('check-loading').style.display = 'none';
         if (result.success) {
@@ -134,7 +153,8 @@ function showStatusResult(data) {
 }
 
 // --- Monitor Payment ---
-let monitorInterval = null;
+let monitorEvents = null;
+let monitorTimer = null;
 document.getElementById('monitor-form').onsubmit = function(e) {
     e.preventDefault();
     startMonitor();
@@ -146,37 +166,106 @@ document.getElementById('stop-monitor').onclick = function() {
 function startMonitor() {
     const identifier = document.getElementById('monitor-identifier').value;
     const timeout = parseInt(document.getElementById('monitor-timeout').value) * 1000;
-    const interval = parseInt(document.getElementById('monitor-interval').value) * 1000;
-    let elapsed = 0;
+    const startedAt = Date.now();
     document.getElementById('monitor-loading').style.display = 'block';
     document.getElementById('monitor-result').innerHTML = '';
     document.getElementById('stop-monitor').style.display = 'inline-block';
     logActivity('Started monitoring payment...');
-    monitorInterval = setInterval(async () => {
-        elapsed += interval;
+
+    // Status updates are pushed by the server; the timer only tracks elapsed time
+    monitorTimer = setInterval(() => {
+        const elapsed = Date.now() - startedAt;
         document.getElementById('monitor-time').textContent = Math.floor(elapsed / 1000);
+        if (elapsed >= timeout) {
+            logActivity('Monitoring timed out', 'warning');
+            showError('monitor-result', 'Monitoring timed out');
+            stopMonitor();
+        }
+    }, 1000);
+
+    openMonitorStream(identifier);
+}
+
+// EventSource cannot send headers, so the stream is opened with a short-lived
+// token from POST /api/stream-tokens instead of the API key
+async function openMonitorStream(identifier) {
+    let query = '';
+    if (API_KEY) {
         try {
-            const res = await fetch(`${API_BASE}/payments/check/${identifier}`);
+            const res = await apiFetch(`${API_BASE}/stream-tokens`, { method: 'POST' });
             const result = await res.json();
-            if (result.success && result.data.status === 'PAID') {
-                logActivity('Payment completed!', 'success');
-                showStatusResult(result.data);
-                stopMonitor();
-            } else if (elapsed >= timeout) {
-                logActivity('Monitoring timed out', 'warning');
-                showError('monitor-result', 'Monitoring timed out');
-                stopMonitor();
-            }
+            if (!result.success) throw new Error(result.error);
+            query = `?streamToken=${encodeURIComponent(result.data.token)}`;
         } catch (err) {
-            logActivity('Monitor error: ' + err.message, 'error');
+            logActivity('Could not open event stream: ' + err.message, 'error');
             showError('monitor-result', err.message);
             stopMonitor();
+            return;
         }
-    }, interval);
+    }
+    if (!monitorTimer) return; // Stopped while the token was requested
+
+    monitorEvents = new EventSource(`${API_BASE}/payments/${encodeURIComponent(identifier)}/events${query}`);
+
+    const onPaid = (e) => {
+        const data = JSON.parse(e.data);
+        logActivity('Payment completed!', 'success');
+        showStatusResult({ ...data, checkedAt: data.timestamp });
+        stopMonitor();
+    };
+
+    const onExpired = () => {
+        logActivity('Payment expired', 'warning');
+        showError('monitor-result', 'Payment expired');
+        stopMonitor();
+    };
+
+    const onCancelled = (e) => {
+        const data = JSON.parse(e.data);
+        const message = 'Payment cancelled' + (data.reason ? ': ' + data.reason : '');
+        logActivity(message, 'warning');
+        showError('monitor-result', message);
+        stopMonitor();
+    };
+
+    monitorEvents.addEventListener('snapshot', (e) => {
+        const data = JSON.parse(e.data);
+        if (data.status === 'PAID') {
+            onPaid(e);
+        } else if (data.status === 'EXPIRED') {
+            onExpired();
+        } else if (data.status === 'CANCELLED') {
+            onCancelled(e);
+        } else {
+            logActivity('Current status: ' + data.status);
+        }
+    });
+    monitorEvents.addEventListener('payment_success', onPaid);
+    monitorEvents.addEventListener('payment_expired', onExpired);
+    monitorEvents.addEventListener('payment_cancelled', onCancelled);
+    monitorEvents.onerror = () => {
+        if (monitorEvents.readyState !== EventSource.CLOSED) {
+            // EventSource reconnects automatically and resumes with Last-Event-ID
+            logActivity('Event stream interrupted, reconnecting...', 'warning');
+            return;
+        }
+
+        // The reconnect was refused (the stream token expired): reopen with a new token.
+        // The snapshot sent on open reports anything missed in between.
+        logActivity('Event stream closed, reopening...', 'warning');
+        monitorEvents.close();
+        monitorEvents = null;
+        setTimeout(() => {
+            if (monitorTimer) openMonitorStream(identifier);
+        }, 5000);
+    };
 }
 
 function stopMonitor() {
-    if (monitorInterval) clearInterval(monitorInterval);
+    if (monitorEvents) monitorEvents.close();
+    if (monitorTimer) clearInterval(monitorTimer);
+    monitorEvents = null;
+    monitorTimer = null;
     document.getElementById('monitor-loading').style.display = 'none';
     document.getElementById('stop-monitor').style.display = 'none';
     logActivity('Stopped monitoring payment', 'warning');
@@ -188,7 +277,7 @@ async function loadTransactions() {
     document.getElementById('history-result').innerHTML = '';
     logActivity('Loading transaction history...');
     try {
-        const res = await fetch(`${API_BASE}/payments/history?limit=50`);
+        const res = await apiFetch(`${API_BASE}/payments/history?limit=50`);
         const result = await res.json();
         document.getElementById('history-loading').style.display = 'none';
         if (result.success) {
@@ -244,7 +333,7 @@ async function debugTest() {
         console.log('Sending test request:', testData);
         logActivity('Sending test API request...', 'warning');
         
-        const response = await fetch(`${API_BASE}/payments/create`, {
+        const response = await apiFetch(`${API_BASE}/payments/create`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(testData)
@@ -274,7 +363,7 @@ async function debugTest() {
 async function checkMonitorStatus() {
     try {
         logActivity('Checking auto-monitor status...');
-        const res = await fetch(`${API_BASE}/monitor/status`);
+        const res = await apiFetch(`${API_BASE}/monitor/status`);
         const result = await res.json();
         
         if (result.success) {
@@ -294,7 +383,7 @@ async function checkMonitorStatus() {
 async function forceCheckPayment(hash) {
     try {
         logActivity(`Force checking payment: ${hash}...`);
-        const res = await fetch(`${API_BASE}/monitor/force-check`, {
+        const res = await apiFetch(`${API_BASE}/monitor/force-check`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({ hash })
@@ -332,7 +421,7 @@ function updateMonitorTab(status) {
 async function loadActiveUsers() {
     try {
         logActivity('Loading active users...');
-        const res = await fetch(`${API_BASE}/monitor/users`);
+        const res = await apiFetch(`${API_BASE}/monitor/users`);
         const result = await res.json();
         
         if (result.success) {
@@ -381,7 +470,7 @@ function showActiveUsers(users) {
 async function forceCheckAllPayments() {
     try {
         logActivity('Force checking all payments...');
-        const res = await fetch(`${API_BASE}/monitor/force-check`, {
+        const res = await apiFetch(`${API_BASE}/monitor/force-check`, {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({})
@@ -0,0 +1,9 @@
+/**
+ * Type declarations for the browser build (`bakong-khqr-sdk/browser`, or the
+ * `BakongKHQR` global when loaded with a script tag)
+ */
+
+export { KHQR, EMV, KHQRValidationError, md5 } from './index';
+export type { CreateQROptions, DecodedKHQR, VerifyResult, Currency, AccountType } from './index';
+
+export as namespace BakongKHQR;
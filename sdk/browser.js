@@ -0,0 +1,15 @@
+/**
+ * Browser entry point: the KHQR encoder/decoder and MD5 without any Node
+ * built-ins. scripts/build-browser.js bundles it into dist/bakong-khqr.browser.js.
+ */
+
+const KHQR = require('./lib/KHQR');
+const md5 = require('./lib/md5');
+const { KHQRValidationError } = require('./lib/errors');
+
+module.exports = {
+    KHQR,
+    EMV: KHQR.EMV,
+    KHQRValidationError,
+    md5
+};
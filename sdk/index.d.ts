@@ -0,0 +1,255 @@
+/**
+ * Type declarations for the Bakong KHQR SDK (CommonJS and ESM entry points)
+ */
+
+/// <reference types="node" />
+
+export type Currency = 'USD' | 'KHR';
+export type AccountType = 'individual' | 'merchant';
+export type PaymentStatus = 'PAID' | 'UNPAID' | 'UNKNOWN';
+export type ImageTemplate = 'plain' | 'khqr-card';
+export type ImageFormat = 'png' | 'buffer' | 'base64' | 'svg';
+export type ErrorCorrectionLevel = 'L' | 'M' | 'Q' | 'H';
+
+/**
+ * Any winston/pino/console-style logger; missing levels are ignored
+ */
+export interface Logger {
+    debug?(message: string, meta?: Record<string, unknown>): void;
+    info?(message: string, meta?: Record<string, unknown>): void;
+    warn?(message: string, meta?: Record<string, unknown>): void;
+    error?(message: string, meta?: Record<string, unknown>): void;
+}
+
+/**
+ * Axios-compatible HTTP client. HTTP errors must reject with
+ * `error.response = { status, headers, data }`; timeouts with
+ * `error.code = 'ECONNABORTED'` or `'ETIMEDOUT'`.
+ */
+export interface HttpClient {
+    post(
+        url: string,
+        data: unknown,
+        config: { headers: Record<string, string>; timeout: number }
+    ): Promise<{ data: any }>;
+}
+
+export interface CircuitBreakerOptions {
+    /** Consecutive upstream failures before the circuit opens (default 5) */
+    failureThreshold?: number;
+    /** Milliseconds before a trial request is allowed (default 30000) */
+    resetTimeout?: number;
+}
+
+export interface CircuitState {
+    state: 'CLOSED' | 'OPEN' | 'HALF_OPEN';
+    failures: number;
+    retryIn: number;
+}
+
+export class CircuitBreaker {
+    static STATES: { CLOSED: 'CLOSED'; OPEN: 'OPEN'; HALF_OPEN: 'HALF_OPEN' };
+
+    constructor(options?: CircuitBreakerOptions);
+    failureThreshold: number;
+    resetTimeout: number;
+    canRequest(): boolean;
+    recordSuccess(): void;
+    recordFailure(): void;
+    getRetryIn(): number;
+    getState(): CircuitState;
+}
+
+export interface BakongKHQRConfig {
+    /** Bakong Developer Token; only needed for API calls */
+    token?: string | null;
+    /** Bakong Open API base URL (default https://api-bakong.nbc.gov.kh/v1) */
+    baseUrl?: string;
+    userAgent?: string;
+    /** Silent when omitted */
+    logger?: Logger;
+    /** axios when omitted */
+    httpClient?: HttpClient;
+    /** Request timeout in milliseconds (default 10000) */
+    timeout?: number;
+    /** Retries for network errors, timeouts, 429 and 5xx (default 3) */
+    maxRetries?: number;
+    retryBaseDelay?: number;
+    retryMaxDelay?: number;
+    circuitBreaker?: CircuitBreaker | CircuitBreakerOptions;
+}
+
+export interface CreateQROptions {
+    bankAccount: string;
+    merchantName: string;
+    merchantCity: string;
+    /** Required unless isStatic */
+    amount?: number;
+    currency: Currency;
+    storeLabel: string;
+    phoneNumber: string;
+    billNumber: string;
+    terminalLabel: string;
+    isStatic?: boolean;
+    accountType?: AccountType;
+    /** Required for merchant accounts */
+    merchantId?: string;
+    /** Required for merchant accounts */
+    acquiringBank?: string;
+    merchantCategoryCode?: string;
+    /** Milliseconds from now */
+    expiresIn?: number;
+    /** Date, epoch milliseconds or ISO string */
+    expiresAt?: Date | number | string;
+}
+
+export interface DecodedKHQR {
+    payloadFormatIndicator: string | null;
+    pointOfInitiationMethod: string | null;
+    isStatic: boolean;
+    accountType: AccountType;
+    bankAccount: string | null;
+    merchantId: string | null;
+    accountInformation: string | null;
+    acquiringBank: string | null;
+    merchantCategoryCode: string | null;
+    countryCode: string | null;
+    merchantName: string | null;
+    merchantCity: string | null;
+    amount: number | null;
+    currency: Currency | null;
+    currencyCode: string | null;
+    billNumber: string | null;
+    phoneNumber: string | null;
+    storeLabel: string | null;
+    terminalLabel: string | null;
+    purposeOfTransaction: string | null;
+    timestamp: number | null;
+    expiresAt: number | null;
+    crc: string | null;
+}
+
+export interface VerifyResult {
+    valid: boolean;
+    errors: Array<{ tag: string | null; field: string; message: string }>;
+}
+
+export interface BakongPayment {
+    hash: string;
+    fromAccountId: string;
+    toAccountId: string;
+    currency: Currency;
+    amount: number;
+    description: string;
+    createdDateMs: number;
+    acknowledgedDateMs: number;
+    externalRef: string;
+    [key: string]: unknown;
+}
+
+export interface ImageOptions {
+    template?: ImageTemplate;
+    format?: ImageFormat;
+    /** Width in pixels, 100-2000 */
+    size?: number;
+    /** Quiet zone in modules, 0-10 */
+    margin?: number;
+    errorCorrectionLevel?: ErrorCorrectionLevel;
+    /** Writes the PNG to this path and resolves to it */
+    outputPath?: string;
+}
+
+/**
+ * KHQR encoder/decoder; no Node built-ins, also shipped as the browser build
+ */
+export class KHQR {
+    static EMV: Readonly<Record<string, string | number>>;
+
+    createQR(options: CreateQROptions): string;
+    decode(qr: string): DecodedKHQR;
+    verify(qr: string): VerifyResult;
+    generateMD5(qr: string): string;
+    generateCRC16(data: string): string;
+}
+
+export class BakongKHQR extends KHQR {
+    static IMAGE_TEMPLATES: ImageTemplate[];
+    static DEFAULT_BASE_URL: string;
+
+    constructor(config?: BakongKHQRConfig | string | null);
+
+    bakongToken: string | null;
+    bakongApiUrl: string;
+    timeout: number;
+    maxRetries: number;
+    circuitBreaker: CircuitBreaker;
+
+    generateDeeplink(qr: string, callback?: string, appIconUrl?: string, appName?: string): Promise<string | null>;
+    checkPayment(md5: string): Promise<PaymentStatus>;
+    getPayment(md5: string): Promise<BakongPayment | null>;
+    /** Resolves to the MD5s that are paid; at most 50 per call */
+    checkBulkPayments(md5List: string[]): Promise<string[]>;
+    getCircuitState(): CircuitState;
+
+    generateQRImage(qr: string, options: ImageOptions & { format: 'base64' | 'svg' }): Promise<string>;
+    generateQRImage(qr: string, options?: ImageOptions): Promise<Buffer | string>;
+}
+
+export class KHQRCard {
+    static COLORS: Readonly<Record<string, string>>;
+
+    constructor(
+        qr: string,
+        details?: { merchantName?: string | null; amount?: number | null; currency?: Currency | null },
+        options?: { size?: number; margin?: number; errorCorrectionLevel?: ErrorCorrectionLevel }
+    );
+    toSVG(): string;
+    toPNG(): Buffer;
+}
+
+export const EMV: typeof KHQR.EMV;
+export const IMAGE_TEMPLATES: ImageTemplate[];
+
+/** MD5 of the string's UTF-8 bytes as lowercase hex (plain JavaScript) */
+export function md5(string: string): string;
+
+export interface BakongErrorOptions {
+    code?: string;
+    status?: number | null;
+    responseCode?: number | null;
+    retryable?: boolean;
+    retryAfter?: number | null;
+}
+
+export class BakongError extends Error {
+    constructor(message: string, options?: BakongErrorOptions);
+    code: string;
+    /** HTTP status returned by Bakong */
+    status: number | null;
+    /** Bakong responseCode from the body */
+    responseCode: number | null;
+    retryable: boolean;
+}
+
+export class BakongBadRequestError extends BakongError {}
+export class BakongAuthError extends BakongError {}
+export class BakongGeoBlockedError extends BakongError {}
+export class BakongNotFoundError extends BakongError {}
+export class BakongRateLimitError extends BakongError {
+    /** Seconds, from Retry-After */
+    retryAfter: number | null;
+}
+export class BakongServerError extends BakongError {}
+export class BakongTimeoutError extends BakongError {}
+export class BakongNetworkError extends BakongError {}
+export class BakongUnavailableError extends BakongError {
+    /** Seconds until the circuit half-opens */
+    retryAfter: number | null;
+}
+
+export class KHQRValidationError extends Error {
+    constructor(message: string, field?: string | null);
+    code: 'KHQR_VALIDATION_ERROR';
+    field: string | null;
+    retryable: false;
+}
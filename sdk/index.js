@@ -0,0 +1,23 @@
+/**
+ * Bakong KHQR SDK
+ * KHQR encoder/decoder, QR image rendering and the Bakong Open API client,
+ * usable without the payment server
+ */
+
+const KHQR = require('./lib/KHQR');
+const BakongKHQR = require('./lib/BakongKHQR');
+const CircuitBreaker = require('./lib/CircuitBreaker');
+const KHQRCard = require('./lib/KHQRCard');
+const md5 = require('./lib/md5');
+const errors = require('./lib/errors');
+
+module.exports = {
+    KHQR,
+    BakongKHQR,
+    CircuitBreaker,
+    KHQRCard,
+    EMV: BakongKHQR.EMV,
+    IMAGE_TEMPLATES: BakongKHQR.IMAGE_TEMPLATES,
+    md5,
+    ...errors
+};
@@ -0,0 +1,26 @@
+/**
+ * ESM entry point; re-exports the CommonJS build so both share one set of classes
+ */
+
+import sdk from './index.js';
+
+export const {
+    KHQR,
+    BakongKHQR,
+    CircuitBreaker,
+    KHQRCard,
+    EMV,
+    IMAGE_TEMPLATES,
+    md5,
+    BakongError,
+    BakongBadRequestError,
+    BakongAuthError,
+    BakongGeoBlockedError,
+    BakongNotFoundError,
+    BakongRateLimitError,
+    BakongServerError,
+    BakongTimeoutError,
+    BakongNetworkError,
+    BakongUnavailableError,
+    KHQRValidationError
+} = sdk;
@@ -0,0 +1,374 @@
+/**
+ * Bakong KHQR JavaScript SDK
+ * The KHQR encoder plus the Bakong Open API client and QR image rendering.
+ * Everything it needs comes from the config object: no environment reads and
+ * no console output, so it can be embedded in any Node service.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const QRCode = require('qrcode');
+const KHQR = require('./KHQR');
+const CircuitBreaker = require('./CircuitBreaker');
+const KHQRCard = require('./KHQRCard');
+const {
+    BakongError,
+    BakongBadRequestError,
+    BakongAuthError,
+    BakongGeoBlockedError,
+    BakongNotFoundError,
+    BakongRateLimitError,
+    BakongServerError,
+    BakongTimeoutError,
+    BakongNetworkError,
+    BakongUnavailableError,
+    KHQRValidationError
+} = require('./errors');
+
+// Image templates supported by generateQRImage
+const IMAGE_TEMPLATES = ['plain', 'khqr-card'];
+
+const DEFAULT_BASE_URL = 'https://api-bakong.nbc.gov.kh/v1';
+const DEFAULT_USER_AGENT = 'bakong-khqr-js/1.0.0 (+https://github.com/bsthen/bakong-khqr); Mozilla/5.0';
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Wrap a winston/pino/console-style logger; missing levels become no-ops
+ */
+const createLogger = (logger) => {
+    const wrapped = {};
+    for (const level of LOG_LEVELS) {
+        wrapped[level] = typeof logger?.[level] === 'function' ? logger[level].bind(logger) : () => {};
+    }
+    return wrapped;
+};
+
+class BakongKHQR extends KHQR {
+    /**
+     * config: {
+     *   token, baseUrl, userAgent,
+     *   logger (debug/info/warn/error, called as (message, meta); silent by default),
+     *   httpClient (axios-compatible post(url, data, { headers, timeout }); axios by default),
+     *   timeout, maxRetries, retryBaseDelay, retryMaxDelay,
+     *   circuitBreaker (a CircuitBreaker or its options)
+     * }
+     * A token string is accepted in place of the config for encoder-style use.
+     */
+    constructor(config = {}) {
+        super();
+
+        if (config === null || typeof config === 'string') {
+            config = { token: config };
+        }
+
+        this.bakongToken = config.token || null;
+        this.bakongApiUrl = (config.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+        this.userAgent = config.userAgent || DEFAULT_USER_AGENT;
+        this.logger = createLogger(config.logger);
+        this.httpClient = config.httpClient || axios;
+
+        // Resilience settings
+        this.timeout = config.timeout || 10000; // 10 seconds
+        this.maxRetries = config.maxRetries ?? 3;
+        this.retryBaseDelay = config.retryBaseDelay || 500;
+        this.retryMaxDelay = config.retryMaxDelay || 10000;
+        this.circuitBreaker = typeof config.circuitBreaker?.canRequest === 'function' ?
+            config.circuitBreaker :
+            new CircuitBreaker(config.circuitBreaker);
+    }
+
+    /**
+     * Check if Bakong Developer Token is provided
+     */
+    checkBakongToken() {
+        if (!this.bakongToken) {
+            throw new BakongAuthError('Bakong Developer Token is required for KHQR class initialization.', { status: null });
+        }
+    }
+
+    /**
+     * Whether a failed request is worth retrying (network errors, timeouts, 429, 5xx)
+     */
+    isRetryable(error) {
+        const status = error.response?.status;
+        return !status || status === 429 || status >= 500;
+    }
+
+    /**
+     * Delay before the next retry: Retry-After when the server sends it,
+     * otherwise exponential backoff with full jitter
+     */
+    getRetryDelay(error, attempt) {
+        const retryAfter = error.response?.headers?.['retry-after'];
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isNaN(seconds) ?
+                new Date(retryAfter).getTime() - Date.now() :
+                seconds * 1000;
+            if (delay >= 0) {
+                return Math.min(delay, this.retryMaxDelay);
+            }
+        }
+
+        const cap = Math.min(this.retryMaxDelay, this.retryBaseDelay * Math.pow(2, attempt));
+        return Math.floor(Math.random() * cap);
+    }
+
+    /**
+     * Make POST request to Bakong API with timeout, retries and circuit breaker
+     */
+    async postRequest(endpoint, payload) {
+        this.checkBakongToken();
+
+        if (!this.circuitBreaker.canRequest()) {
+            const retryIn = Math.ceil(this.circuitBreaker.getRetryIn() / 1000);
+            throw new BakongUnavailableError(`Bakong API is temporarily unavailable after repeated failures. Retry in ${retryIn} seconds.`, {
+                retryAfter: retryIn
+            });
+        }
+
+        const headers = {
+            'Authorization': `Bearer ${this.bakongToken}`,
+            'Content-Type': 'application/json',
+            'User-Agent': this.userAgent
+        };
+
+        let attempt = 0;
+        while (true) {
+            try {
+                const response = await this.httpClient.post(`${this.bakongApiUrl}${endpoint}`, payload, {
+                    headers,
+                    timeout: this.timeout
+                });
+                this.circuitBreaker.recordSuccess();
+                return response.data;
+            } catch (error) {
+                const retryable = this.isRetryable(error);
+
+                if (retryable && attempt < this.maxRetries) {
+                    await new Promise(resolve => setTimeout(resolve, this.getRetryDelay(error, attempt)));
+                    attempt++;
+                    continue;
+                }
+
+                // Only upstream failures trip the breaker; client errors like 400/401
+                // still prove Bakong is reachable
+                if (retryable) {
+                    this.circuitBreaker.recordFailure();
+                } else {
+                    this.circuitBreaker.recordSuccess();
+                }
+
+                this.throwRequestError(error);
+            }
+        }
+    }
+
+    /**
+     * Map a failed Bakong API request to a typed error
+     */
+    throwRequestError(error) {
+        const status = error.response?.status;
+        const data = error.response?.data;
+        const options = { status, responseCode: data?.responseCode };
+
+        if (!status) {
+            if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+                throw new BakongTimeoutError(`Bakong API request timed out after ${this.timeout}ms.`);
+            }
+            throw new BakongNetworkError(`Could not reach Bakong API: ${error.message}`);
+        }
+
+        switch (status) {
+            case 400:
+                throw new BakongBadRequestError('Bad request. Please check your input parameters and try again.', options);
+            case 401:
+                throw new BakongAuthError('Your Developer Token is either incorrect or expired. Please renew it through Bakong Developer.', options);
+            case 403:
+                throw new BakongGeoBlockedError('Bakong API only accepts requests from Cambodia IP addresses. Your IP may be blocked or restricted.', options);
+            case 404:
+                throw new BakongNotFoundError('The requested Bakong API endpoint does not exist. Please check the endpoint URL.', options);
+            case 429:
+                throw new BakongRateLimitError('Too many requests. Please wait a while before trying again.', {
+                    ...options,
+                    retryAfter: parseInt(error.response.headers?.['retry-after']) || null
+                });
+            case 500:
+                throw new BakongServerError('Bakong server encountered an internal error. Please try again later.', options);
+            case 504:
+                throw new BakongServerError('Bakong server is busy, please try again later.', options);
+            default:
+                if (status >= 500) {
+                    throw new BakongServerError(`Bakong server error. HTTP ${status}: ${data?.responseMessage || error.message}`, options);
+                }
+                throw new BakongError(`Something went wrong. HTTP ${status}: ${data?.responseMessage || error.message}`, options);
+        }
+    }
+
+    /**
+     * Get circuit breaker state for health reporting
+     */
+    getCircuitState() {
+        return this.circuitBreaker.getState();
+    }
+
+    /**
+     * Generate MD5 hash (Node's crypto instead of the plain-JavaScript fallback)
+     */
+    generateMD5(qr) {
+        return crypto.createHash('md5').update(qr).digest('hex');
+    }
+
+    /**
+     * Generate deep link
+     */
+    async generateDeeplink(qr, callback = 'https://bakong.nbc.org.kh', appIconUrl = 'https://bakong.nbc.gov.kh/images/logo.svg', appName = 'MyAppName') {
+        const payload = {
+            qr,
+            sourceInfo: {
+                appIconUrl,
+                appName,
+                appDeepLinkCallback: callback
+            }
+        };
+
+        const response = await this.postRequest('/generate_deeplink_by_qr', payload);
+        return response.responseCode === 0 ? response.data?.shortLink : null;
+    }
+
+    /**
+     * Check payment status by MD5.
+     * Returns 'PAID', 'UNPAID', or 'UNKNOWN' when Bakong could not be asked.
+     */
+    async checkPayment(md5) {
+        this.logger.debug('Checking Bakong payment', { md5, apiUrl: this.bakongApiUrl });
+
+        try {
+            const response = await this.postRequest('/check_transaction_by_md5', { md5 });
+
+            if (response.responseCode === 0) {
+                // Payer details are left to the caller; this runs on every poll
+                this.logger.debug('Bakong payment successful', {
+                    md5,
+                    amount: response.data?.amount,
+                    currency: response.data?.currency,
+                    hash: response.data?.hash
+                });
+                return 'PAID';
+            }
+
+            this.logger.debug('Bakong payment unpaid', { md5, responseMessage: response.responseMessage });
+            return 'UNPAID';
+        } catch (error) {
+            this.logger.warn('Bakong payment check failed', { md5, error: error.message, code: error.code });
+            return 'UNKNOWN';
+        }
+    }
+
+    /**
+     * Get payment details by MD5
+     */
+    async getPayment(md5) {
+        const payload = { md5 };
+        const response = await this.postRequest('/check_transaction_by_md5', payload);
+        return response.responseCode === 0 ? response.data : null;
+    }
+
+    /**
+     * Check bulk payments
+     */
+    async checkBulkPayments(md5List) {
+        if (md5List.length > 50) {
+            throw new KHQRValidationError('The md5_list exceeds the allowed limit of 50 hashes per request.', 'md5List');
+        }
+
+        const response = await this.postRequest('/check_transaction_by_md5_list', md5List);
+        return response.data?.filter(data => data.status === 'SUCCESS').map(data => data.md5) || [];
+    }
+
+    /**
+     * Validate image rendering options (size in px, margin in modules, error correction level)
+     */
+    resolveImageOptions(options = {}) {
+        const { template = 'plain', size, margin, errorCorrectionLevel = 'M' } = options;
+
+        if (!IMAGE_TEMPLATES.includes(template)) {
+            throw new KHQRValidationError(`Template must be one of: ${IMAGE_TEMPLATES.join(', ')}`, 'template');
+        }
+        if (size !== undefined && (!Number.isInteger(size) || size < 100 || size > 2000)) {
+            throw new KHQRValidationError('Image size must be an integer between 100 and 2000 pixels', 'size');
+        }
+        if (margin !== undefined && (!Number.isInteger(margin) || margin < 0 || margin > 10)) {
+            throw new KHQRValidationError('Image margin must be an integer between 0 and 10 modules', 'margin');
+        }
+        if (!['L', 'M', 'Q', 'H'].includes(errorCorrectionLevel)) {
+            throw new KHQRValidationError('Error correction level must be L, M, Q or H', 'errorCorrectionLevel');
+        }
+
+        return { template, size, margin, errorCorrectionLevel };
+    }
+
+    /**
+     * Generate QR code image.
+     * template 'plain' renders the bare QR; 'khqr-card' renders the branded KHQR
+     * card with the merchant name, amount and currency read from the QR itself.
+     */
+    async generateQRImage(qr, options = {}) {
+        const { format = 'png', outputPath = null } = options;
+        const { template, size, margin, errorCorrectionLevel } = this.resolveImageOptions(options);
+
+        try {
+            if (template === 'khqr-card') {
+                const decoded = this.decode(qr);
+                const card = new KHQRCard(qr, {
+                    merchantName: decoded.merchantName,
+                    amount: decoded.amount,
+                    currency: decoded.currency
+                }, { size, margin, errorCorrectionLevel });
+
+                switch (format.toLowerCase()) {
+                    case 'base64':
+                        return `data:image/png;base64,${card.toPNG().toString('base64')}`;
+                    case 'svg':
+                        return card.toSVG();
+                    default:
+                        if (outputPath) {
+                            await fs.promises.writeFile(outputPath, card.toPNG());
+                            return outputPath;
+                        }
+                        return card.toPNG();
+                }
+            }
+
+            const qrOptions = { errorCorrectionLevel };
+            if (size !== undefined) qrOptions.width = size;
+            if (margin !== undefined) qrOptions.margin = margin;
+
+            switch (format.toLowerCase()) {
+                case 'base64':
+                    return await QRCode.toDataURL(qr, qrOptions);
+                case 'buffer':
+                    return await QRCode.toBuffer(qr, qrOptions);
+                case 'svg':
+                    return await QRCode.toString(qr, { ...qrOptions, type: 'svg' });
+                default:
+                    if (outputPath) {
+                        await QRCode.toFile(outputPath, qr, qrOptions);
+                        return outputPath;
+                    } else {
+                        return await QRCode.toBuffer(qr, qrOptions);
+                    }
+            }
+        } catch (error) {
+            // Invalid input keeps its type so callers can report it as such
+            if (error instanceof KHQRValidationError) throw error;
+            throw new Error(`QR image generation failed: ${error.message}`);
+        }
+    }
+}
+
+BakongKHQR.IMAGE_TEMPLATES = IMAGE_TEMPLATES;
+BakongKHQR.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+
+module.exports = BakongKHQR;
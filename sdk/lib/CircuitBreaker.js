@@ -0,0 +1,87 @@
+/**
+ * Circuit Breaker
+ * Stops calling a failing upstream after repeated failures and lets a
+ * single trial request through once the reset timeout has passed
+ */
+
+const STATES = {
+    CLOSED: 'CLOSED',       // Requests flow normally
+    OPEN: 'OPEN',           // Requests are rejected without calling upstream
+    HALF_OPEN: 'HALF_OPEN'  // One trial request decides whether to close again
+};
+
+class CircuitBreaker {
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeout = options.resetTimeout || 30000; // 30 seconds
+        this.state = STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Whether a request may be sent now. In HALF_OPEN only the first caller
+     * gets through; the rest are rejected until its result is recorded.
+     */
+    canRequest() {
+        if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeout) {
+            this.state = STATES.HALF_OPEN;
+            this.trialInFlight = false;
+        }
+
+        if (this.state === STATES.HALF_OPEN) {
+            if (this.trialInFlight) return false;
+            this.trialInFlight = true;
+        }
+        return this.state !== STATES.OPEN;
+    }
+
+    /**
+     * Record a successful request and close the circuit
+     */
+    recordSuccess() {
+        this.state = STATES.CLOSED;
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Record a failed request, opening the circuit at the threshold
+     */
+    recordFailure() {
+        this.failures++;
+        this.trialInFlight = false;
+
+        if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+            this.state = STATES.OPEN;
+            this.openedAt = Date.now();
+        }
+    }
+
+    /**
+     * Milliseconds until a trial request is allowed (0 when not open).
+     * While the trial is pending, 1 second is suggested.
+     */
+    getRetryIn() {
+        if (this.state === STATES.HALF_OPEN && this.trialInFlight) return 1000;
+        if (this.state !== STATES.OPEN) return 0;
+        return Math.max(0, this.resetTimeout - (Date.now() - this.openedAt));
+    }
+
+    /**
+     * Current state summary
+     */
+    getState() {
+        return {
+            state: this.state,
+            failures: this.failures,
+            retryIn: this.getRetryIn()
+        };
+    }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
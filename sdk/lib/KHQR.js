@@ -0,0 +1,631 @@
+/**
+ * KHQR encoder and decoder
+ * Builds, decodes and verifies KHQR (EMV) strings using only string handling
+ * and a plain-JavaScript MD5, so it runs unchanged in Node and in browsers
+ */
+
+const md5 = require('./md5');
+const { KHQRValidationError } = require('./errors');
+
+// EMV Constants
+const EMV = {
+    // Default QR Code Types
+    DEFAULT_DYNAMIC_QR: "010212",
+    DEFAULT_STATIC_QR: "010211",
+    
+    // Currency Code
+    TRANSACTION_CURRENCY_USD: "840",
+    TRANSACTION_CURRENCY_KHR: "116",
+    TRANSACTION_CURRENCY: "53",
+    
+    // Payload and Point of Initiation
+    PAYLOAD_FORMAT_INDICATOR: "00",
+    DEFAULT_PAYLOAD_FORMAT_INDICATOR: "01",
+    POINT_OF_INITIATION_METHOD: "01",
+    STATIC_QR: "11",
+    DYNAMIC_QR: "12",
+    
+    // Merchant Info
+    MERCHANT_NAME: "59",
+    MERCHANT_CITY: "60",
+    DEFAULT_MERCHANT_CITY: "Phnom Penh",
+    MERCHANT_CATEGORY_CODE: "52",
+    DEFAULT_MERCHANT_CATEGORY_CODE: "5999",
+    COUNTRY_CODE: "58",
+    DEFAULT_COUNTRY_CODE: "KH",
+    MERCHANT_ACCOUNT_INFORMATION_INDIVIDUAL: "29",
+    MERCHANT_ACCOUNT_INFORMATION_MERCHANT: "30",
+    
+    // Merchant Account Information Sub-tags
+    BAKONG_ACCOUNT_IDENTIFIER: "00",
+    MERCHANT_ACCOUNT_INFORMATION: "01",
+    ACQUIRING_BANK: "02",
+    
+    // Transaction Info
+    TRANSACTION_AMOUNT: "54",
+    
+    // Additional Data
+    ADDITION_DATA_TAG: "62",
+    BILLNUMBER_TAG: "01",
+    ADDITION_DATA_FIELD_MOBILE_NUMBER: "02",
+    STORE_LABEL: "03",
+    TERMINAL_LABEL: "07",
+    PURPOSE_OF_TRANSACTION: "08",
+    TIMESTAMP_TAG: "99",
+    CREATION_TIMESTAMP: "00",
+    EXPIRATION_TIMESTAMP: "01",
+    
+    // CRC Tag
+    CRC: "63",
+    CRC_LENGTH: "04",
+    DEFAULT_CRC_TAG: "6304",
+    
+    // Invalid Length Constraints
+    INVALID_LENGTH_KHQR: 12,
+    INVALID_LENGTH_MERCHANT_NAME: 25,
+    INVALID_LENGTH_BAKONG_ACCOUNT: 32,
+    INVALID_LENGTH_AMOUNT: 13,
+    INVALID_LENGTH_COUNTRY_CODE: 3,
+    INVALID_LENGTH_MERCHANT_CATEGORY_CODE: 4,
+    INVALID_LENGTH_MERCHANT_CITY: 15,
+    INVALID_LENGTH_TIMESTAMP: 13,
+    INVALID_LENGTH_TRANSACTION_AMOUNT: 14,
+    INVALID_LENGTH_TRANSACTION_CURRENCY: 3,
+    INVALID_LENGTH_BILL_NUMBER: 25,
+    INVALID_LENGTH_STORE_LABEL: 25,
+    INVALID_LENGTH_TERMINAL_LABEL: 25,
+    INVALID_LENGTH_PURPOSE_OF_TRANSACTION: 25,
+    INVALID_LENGTH_MERCHANT_ID: 32,
+    INVALID_LENGTH_ACQUIRING_BANK: 32,
+    INVALID_LENGTH_MOBILE_NUMBER: 25,
+    INVALID_LENGTH_ACCOUNT_INFORMATION: 32
+};
+
+/**
+ * UTF-8 size of one code point (lone surrogates count as U+FFFD)
+ */
+const codePointBytes = (code) => {
+    if (code < 0x80) return 1;
+    if (code < 0x800) return 2;
+    if (code < 0x10000) return 3;
+    return 4;
+};
+
+/**
+ * UTF-8 byte length of a string, counted by hand so no Buffer or TextEncoder is needed.
+ * EMV lengths count bytes, so Khmer text takes 3 per character.
+ */
+const byteLength = (string) => {
+    let bytes = 0;
+    for (const char of String(string)) {
+        bytes += codePointBytes(char.codePointAt(0));
+    }
+    return bytes;
+};
+
+class KHQR {
+    /**
+     * Format value with tag and UTF-8 byte length
+     */
+    formatValue(tag, value) {
+        const valueStr = String(value);
+        const length = byteLength(valueStr).toString().padStart(2, '0');
+        return `${tag}${length}${valueStr}`;
+    }
+
+    /**
+     * Validate field length in UTF-8 bytes
+     */
+    validateLength(value, maxLength, fieldName, field = null) {
+        const length = byteLength(value);
+        if (length > maxLength) {
+            throw new KHQRValidationError(`${fieldName} cannot exceed ${maxLength} bytes. Your input length: ${length} bytes.`, field);
+        }
+    }
+
+    /**
+     * Generate payload format indicator
+     */
+    payloadFormatIndicator() {
+        return this.formatValue(EMV.PAYLOAD_FORMAT_INDICATOR, EMV.DEFAULT_PAYLOAD_FORMAT_INDICATOR);
+    }
+
+    /**
+     * Generate point of initiation
+     */
+    pointOfInitiation(isStatic = false) {
+        const type = isStatic ? EMV.STATIC_QR : EMV.DYNAMIC_QR;
+        return this.formatValue(EMV.POINT_OF_INITIATION_METHOD, type);
+    }
+
+    /**
+     * Generate global unique identifier
+     */
+    globalUniqueIdentifier(bankAccount) {
+        this.validateLength(bankAccount, EMV.INVALID_LENGTH_BAKONG_ACCOUNT, 'Bank account', 'bankAccount');
+        
+        // Following the original Python implementation format
+        const accountInfo = this.formatValue(EMV.PAYLOAD_FORMAT_INDICATOR, bankAccount);
+        return this.formatValue(EMV.MERCHANT_ACCOUNT_INFORMATION_INDIVIDUAL, accountInfo);
+    }
+
+    /**
+     * Generate merchant account information (tag 30) for registered merchants
+     */
+    merchantAccountInformation(bankAccount, merchantId, acquiringBank) {
+        if (!merchantId) {
+            throw new KHQRValidationError('Merchant ID is required for merchant KHQR.', 'merchantId');
+        }
+        if (!acquiringBank) {
+            throw new KHQRValidationError('Acquiring bank is required for merchant KHQR.', 'acquiringBank');
+        }
+
+        this.validateLength(bankAccount, EMV.INVALID_LENGTH_BAKONG_ACCOUNT, 'Bank account', 'bankAccount');
+        this.validateLength(merchantId, EMV.INVALID_LENGTH_MERCHANT_ID, 'Merchant ID', 'merchantId');
+        this.validateLength(acquiringBank, EMV.INVALID_LENGTH_ACQUIRING_BANK, 'Acquiring bank', 'acquiringBank');
+
+        const accountInfo = this.formatValue(EMV.BAKONG_ACCOUNT_IDENTIFIER, bankAccount) +
+            this.formatValue(EMV.MERCHANT_ACCOUNT_INFORMATION, merchantId) +
+            this.formatValue(EMV.ACQUIRING_BANK, acquiringBank);
+        return this.formatValue(EMV.MERCHANT_ACCOUNT_INFORMATION_MERCHANT, accountInfo);
+    }
+
+    /**
+     * Generate merchant category code
+     */
+    merchantCategoryCode(code = EMV.DEFAULT_MERCHANT_CATEGORY_CODE) {
+        if (!/^\d{4}$/.test(code)) {
+            throw new KHQRValidationError('Merchant category code must be 4 digits.', 'merchantCategoryCode');
+        }
+        return this.formatValue(EMV.MERCHANT_CATEGORY_CODE, code);
+    }
+
+    /**
+     * Generate country code
+     */
+    countryCode() {
+        return this.formatValue(EMV.COUNTRY_CODE, EMV.DEFAULT_COUNTRY_CODE);
+    }
+
+    /**
+     * Generate merchant name
+     */
+    merchantName(name) {
+        this.validateLength(name, EMV.INVALID_LENGTH_MERCHANT_NAME, 'Merchant name', 'merchantName');
+        return this.formatValue(EMV.MERCHANT_NAME, name);
+    }
+
+    /**
+     * Generate merchant city
+     */
+    merchantCity(city) {
+        this.validateLength(city, EMV.INVALID_LENGTH_MERCHANT_CITY, 'Merchant city', 'merchantCity');
+        return this.formatValue(EMV.MERCHANT_CITY, city);
+    }
+
+    /**
+     * Generate timestamp, with an optional expiration timestamp (sub-tag 01)
+     */
+    timestamp(expiresAt = null, createdAt = Date.now()) {
+        // Following Python implementation - use milliseconds and add language preference
+        const timestampMs = createdAt.toString();
+        const lengthOfTimestamp = timestampMs.length.toString().padStart(2, '0');
+        const languagePreference = "00"; // Language preference (matches Python "language_perference")
+        let result = languagePreference + lengthOfTimestamp + timestampMs;
+        if (expiresAt) {
+            result += this.formatValue(EMV.EXPIRATION_TIMESTAMP, expiresAt);
+        }
+        const lengthResult = result.length.toString().padStart(2, '0');
+        return EMV.TIMESTAMP_TAG + lengthResult + result;
+    }
+
+    /**
+     * Resolve expiresAt (Date, ms or ISO string) or expiresIn (ms from createdAt)
+     * to an epoch-milliseconds expiry, or null when neither is given
+     */
+    resolveExpiry(options = {}, createdAt = Date.now()) {
+        const { expiresIn, expiresAt } = options;
+        let expiry = null;
+
+        if (expiresAt !== undefined && expiresAt !== null) {
+            expiry = expiresAt instanceof Date ? expiresAt.getTime() :
+                typeof expiresAt === 'number' ? expiresAt : new Date(expiresAt).getTime();
+        } else if (expiresIn !== undefined && expiresIn !== null) {
+            expiry = createdAt + Number(expiresIn);
+        } else {
+            return null;
+        }
+
+        if (!Number.isFinite(expiry)) {
+            throw new KHQRValidationError('Expiry must be a valid date or a number of milliseconds.', 'expiresAt');
+        }
+        if (expiry <= createdAt) {
+            throw new KHQRValidationError('Expiry must be in the future.', 'expiresAt');
+        }
+
+        this.validateLength(String(expiry), EMV.INVALID_LENGTH_TIMESTAMP, 'Expiration timestamp', 'expiresAt');
+        return expiry;
+    }
+
+    /**
+     * Generate amount
+     */
+    amount(value) {
+        let amountStr = parseFloat(value).toFixed(2);
+        
+        // Remove trailing zeros and decimal point if not needed (matching Python logic)
+        amountStr = amountStr.replace(/\.?0+$/, '');
+        
+        // Pad with leading zeros to ensure it's 11 characters (matching Python zfill(11))
+        const paddedAmountStr = amountStr.padStart(11, '0');
+        
+        this.validateLength(paddedAmountStr, EMV.INVALID_LENGTH_TRANSACTION_AMOUNT, 'Amount', 'amount');
+        return this.formatValue(EMV.TRANSACTION_AMOUNT, paddedAmountStr);
+    }
+
+    /**
+     * Generate transaction currency
+     */
+    transactionCurrency(currency) {
+        const currencyCode = currency.toUpperCase() === 'USD' ? 
+            EMV.TRANSACTION_CURRENCY_USD : EMV.TRANSACTION_CURRENCY_KHR;
+        return this.formatValue(EMV.TRANSACTION_CURRENCY, currencyCode);
+    }
+
+    /**
+     * Generate additional data field
+     */
+    additionalDataField(storeLabel, phoneNumber, billNumber, terminalLabel) {
+        this.validateLength(billNumber, EMV.INVALID_LENGTH_BILL_NUMBER, 'Bill number', 'billNumber');
+        this.validateLength(phoneNumber, EMV.INVALID_LENGTH_MOBILE_NUMBER, 'Phone number', 'phoneNumber');
+        this.validateLength(storeLabel, EMV.INVALID_LENGTH_STORE_LABEL, 'Store label', 'storeLabel');
+        this.validateLength(terminalLabel, EMV.INVALID_LENGTH_TERMINAL_LABEL, 'Terminal label', 'terminalLabel');
+
+        const billNumberValue = this.formatValue(EMV.BILLNUMBER_TAG, billNumber);
+        const phoneNumberValue = this.formatValue(EMV.ADDITION_DATA_FIELD_MOBILE_NUMBER, phoneNumber);
+        const storeLabelValue = this.formatValue(EMV.STORE_LABEL, storeLabel);
+        const terminalLabelValue = this.formatValue(EMV.TERMINAL_LABEL, terminalLabel);
+
+        const combinedData = billNumberValue + phoneNumberValue + storeLabelValue + terminalLabelValue;
+        return this.formatValue(EMV.ADDITION_DATA_TAG, combinedData);
+    }
+
+    /**
+     * Generate CRC-16/CCITT-FALSE over the UTF-8 bytes of the data
+     */
+    generateCRC16(data) {
+        let crc = 0xFFFF;
+        const polynomial = 0x1021;
+
+        for (const byte of md5.toUtf8Bytes(String(data))) {
+            crc ^= (byte << 8);
+            for (let j = 0; j < 8; j++) {
+                if (crc & 0x8000) {
+                    crc = (crc << 1) ^ polynomial;
+                } else {
+                    crc <<= 1;
+                }
+                crc &= 0xFFFF;
+            }
+        }
+
+        return crc.toString(16).toUpperCase().padStart(4, '0');
+    }
+
+    /**
+     * Generate CRC
+     */
+    crc(qrData) {
+        const dataWithCrcTag = qrData + EMV.DEFAULT_CRC_TAG;
+        const crcValue = this.generateCRC16(dataWithCrcTag);
+        return EMV.DEFAULT_CRC_TAG + crcValue;
+    }
+
+    /**
+     * Create QR code string
+     */
+    createQR(options) {
+        const {
+            bankAccount,
+            merchantName,
+            merchantCity,
+            amount,
+            currency,
+            storeLabel,
+            phoneNumber,
+            billNumber,
+            terminalLabel,
+            isStatic = false,
+            accountType = 'individual',
+            merchantId,
+            acquiringBank,
+            expiresIn,
+            expiresAt,
+            merchantCategoryCode
+        } = options;
+
+        const createdAt = Date.now();
+        const expiry = this.resolveExpiry({ expiresIn, expiresAt }, createdAt);
+
+        let qrData = '';
+        qrData += this.payloadFormatIndicator();
+        qrData += this.pointOfInitiation(isStatic);
+        if (accountType === 'merchant') {
+            qrData += this.merchantAccountInformation(bankAccount, merchantId, acquiringBank);
+        } else {
+            qrData += this.globalUniqueIdentifier(bankAccount);
+        }
+        qrData += this.merchantCategoryCode(merchantCategoryCode || undefined);
+        qrData += this.countryCode();
+        qrData += this.merchantName(merchantName);
+        qrData += this.merchantCity(merchantCity);
+        qrData += this.timestamp(expiry, createdAt);
+        
+        if (!isStatic) {
+            qrData += this.amount(amount);
+        }
+        
+        qrData += this.transactionCurrency(currency);
+        qrData += this.additionalDataField(storeLabel, phoneNumber, billNumber, terminalLabel);
+        qrData += this.crc(qrData);
+
+        return qrData;
+    }
+
+    /**
+     * Split an EMV string into its tag-length-value entries
+     */
+    parseTLV(data) {
+        const entries = [];
+        let position = 0;
+
+        while (position < data.length) {
+            const tag = data.substr(position, 2);
+            const lengthStr = data.substr(position + 2, 2);
+
+            if (tag.length < 2 || !/^\d{2}$/.test(tag)) {
+                throw new KHQRValidationError(`Invalid KHQR tag at position ${position}: "${tag}"`, 'qr');
+            }
+            if (!/^\d{2}$/.test(lengthStr)) {
+                throw new KHQRValidationError(`Invalid length for tag ${tag} at position ${position}: "${lengthStr}"`, 'qr');
+            }
+
+            // Lengths count UTF-8 bytes: take code points until they add up
+            const length = parseInt(lengthStr, 10);
+            let end = position + 4;
+            let bytes = 0;
+            while (bytes < length && end < data.length) {
+                const code = data.codePointAt(end);
+                bytes += codePointBytes(code);
+                end += code > 0xFFFF ? 2 : 1;
+            }
+            if (bytes !== length) {
+                throw new KHQRValidationError(`Tag ${tag} declares length ${length} but its value has ${bytes} bytes.`, 'qr');
+            }
+
+            entries.push({ tag, length, value: data.slice(position + 4, end) });
+            position = end;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Convert TLV entries into a tag -> value lookup
+     */
+    tlvToMap(entries) {
+        const map = {};
+        for (const entry of entries) {
+            map[entry.tag] = entry.value;
+        }
+        return map;
+    }
+
+    /**
+     * Decode a KHQR string into structured fields
+     */
+    decode(qr) {
+        if (typeof qr !== 'string' || qr.trim() === '') {
+            throw new KHQRValidationError('KHQR string is required for decoding.', 'qr');
+        }
+
+        const fields = this.tlvToMap(this.parseTLV(qr.trim()));
+
+        // Merchant account information (tag 29 individual, tag 30 merchant)
+        const isMerchant = fields[EMV.MERCHANT_ACCOUNT_INFORMATION_MERCHANT] !== undefined;
+        const accountTemplate = isMerchant ?
+            fields[EMV.MERCHANT_ACCOUNT_INFORMATION_MERCHANT] :
+            fields[EMV.MERCHANT_ACCOUNT_INFORMATION_INDIVIDUAL];
+        const account = accountTemplate ? this.tlvToMap(this.parseTLV(accountTemplate)) : {};
+
+        // Additional data field template (tag 62)
+        const additionalTemplate = fields[EMV.ADDITION_DATA_TAG];
+        const additional = additionalTemplate ? this.tlvToMap(this.parseTLV(additionalTemplate)) : {};
+
+        // Timestamp template (tag 99)
+        const timestampTemplate = fields[EMV.TIMESTAMP_TAG];
+        const timestampFields = timestampTemplate ? this.tlvToMap(this.parseTLV(timestampTemplate)) : {};
+        const createdAt = timestampFields[EMV.CREATION_TIMESTAMP];
+        const expiresAt = timestampFields[EMV.EXPIRATION_TIMESTAMP];
+
+        const currencyCode = fields[EMV.TRANSACTION_CURRENCY] || null;
+        let currency = null;
+        if (currencyCode === EMV.TRANSACTION_CURRENCY_USD) {
+            currency = 'USD';
+        } else if (currencyCode === EMV.TRANSACTION_CURRENCY_KHR) {
+            currency = 'KHR';
+        }
+
+        const amountStr = fields[EMV.TRANSACTION_AMOUNT];
+        const pointOfInitiation = fields[EMV.POINT_OF_INITIATION_METHOD] || null;
+
+        return {
+            payloadFormatIndicator: fields[EMV.PAYLOAD_FORMAT_INDICATOR] || null,
+            pointOfInitiationMethod: pointOfInitiation,
+            isStatic: pointOfInitiation === EMV.STATIC_QR,
+            accountType: isMerchant ? 'merchant' : 'individual',
+            bankAccount: account[EMV.BAKONG_ACCOUNT_IDENTIFIER] || null,
+            merchantId: isMerchant ? (account[EMV.MERCHANT_ACCOUNT_INFORMATION] || null) : null,
+            accountInformation: isMerchant ? null : (account[EMV.MERCHANT_ACCOUNT_INFORMATION] || null),
+            acquiringBank: account[EMV.ACQUIRING_BANK] || null,
+            merchantCategoryCode: fields[EMV.MERCHANT_CATEGORY_CODE] || null,
+            countryCode: fields[EMV.COUNTRY_CODE] || null,
+            merchantName: fields[EMV.MERCHANT_NAME] || null,
+            merchantCity: fields[EMV.MERCHANT_CITY] || null,
+            amount: amountStr !== undefined ? parseFloat(amountStr) : null,
+            currency,
+            currencyCode,
+            billNumber: additional[EMV.BILLNUMBER_TAG] || null,
+            phoneNumber: additional[EMV.ADDITION_DATA_FIELD_MOBILE_NUMBER] || null,
+            storeLabel: additional[EMV.STORE_LABEL] || null,
+            terminalLabel: additional[EMV.TERMINAL_LABEL] || null,
+            purposeOfTransaction: additional[EMV.PURPOSE_OF_TRANSACTION] || null,
+            timestamp: createdAt !== undefined ? parseInt(createdAt, 10) : null,
+            expiresAt: expiresAt !== undefined ? parseInt(expiresAt, 10) : null,
+            crc: fields[EMV.CRC] || null
+        };
+    }
+
+    /**
+     * Verify a KHQR string: CRC, mandatory tags and field length limits.
+     * Returns every violation found rather than stopping at the first one.
+     */
+    verify(qr) {
+        const errors = [];
+        const addError = (tag, field, message) => errors.push({ tag, field, message });
+
+        if (typeof qr !== 'string' || qr.trim() === '') {
+            addError(null, 'qr', 'KHQR string is required for verification.');
+            return { valid: false, errors };
+        }
+
+        const data = qr.trim();
+        const crcOffset = data.length - 8;
+
+        // CRC must be the trailing 6304XXXX entry and match the preceding payload
+        if (crcOffset < 0 || data.substr(crcOffset, 4) !== EMV.DEFAULT_CRC_TAG) {
+            addError(EMV.CRC, 'crc', `KHQR must end with CRC tag ${EMV.DEFAULT_CRC_TAG} followed by 4 hex characters.`);
+        } else {
+            const actualCrc = data.substr(crcOffset + 4).toUpperCase();
+            const expectedCrc = this.generateCRC16(data.substring(0, crcOffset + 4));
+            if (actualCrc !== expectedCrc) {
+                addError(EMV.CRC, 'crc', `CRC mismatch: expected ${expectedCrc}, found ${actualCrc}.`);
+            }
+        }
+
+        let fields;
+        try {
+            fields = this.tlvToMap(this.parseTLV(data));
+        } catch (error) {
+            addError(null, 'qr', error.message);
+            return { valid: false, errors };
+        }
+
+        // Mandatory top-level tags
+        const mandatory = [
+            [EMV.PAYLOAD_FORMAT_INDICATOR, 'payloadFormatIndicator'],
+            [EMV.POINT_OF_INITIATION_METHOD, 'pointOfInitiationMethod'],
+            [EMV.MERCHANT_CATEGORY_CODE, 'merchantCategoryCode'],
+            [EMV.TRANSACTION_CURRENCY, 'currency'],
+            [EMV.COUNTRY_CODE, 'countryCode'],
+            [EMV.MERCHANT_NAME, 'merchantName'],
+            [EMV.MERCHANT_CITY, 'merchantCity']
+        ];
+        for (const [tag, field] of mandatory) {
+            if (fields[tag] === undefined) {
+                addError(tag, field, `Mandatory tag ${tag} (${field}) is missing.`);
+            }
+        }
+
+        const individual = fields[EMV.MERCHANT_ACCOUNT_INFORMATION_INDIVIDUAL];
+        const merchant = fields[EMV.MERCHANT_ACCOUNT_INFORMATION_MERCHANT];
+        if (individual === undefined && merchant === undefined) {
+            addError(EMV.MERCHANT_ACCOUNT_INFORMATION_INDIVIDUAL, 'bankAccount',
+                `Merchant account information tag ${EMV.MERCHANT_ACCOUNT_INFORMATION_INDIVIDUAL} or ${EMV.MERCHANT_ACCOUNT_INFORMATION_MERCHANT} is missing.`);
+        }
+
+        // Fixed values
+        if (fields[EMV.PAYLOAD_FORMAT_INDICATOR] !== undefined &&
+            fields[EMV.PAYLOAD_FORMAT_INDICATOR] !== EMV.DEFAULT_PAYLOAD_FORMAT_INDICATOR) {
+            addError(EMV.PAYLOAD_FORMAT_INDICATOR, 'payloadFormatIndicator',
+                `Payload format indicator must be ${EMV.DEFAULT_PAYLOAD_FORMAT_INDICATOR}.`);
+        }
+        const pointOfInitiation = fields[EMV.POINT_OF_INITIATION_METHOD];
+        if (pointOfInitiation !== undefined && ![EMV.STATIC_QR, EMV.DYNAMIC_QR].includes(pointOfInitiation)) {
+            addError(EMV.POINT_OF_INITIATION_METHOD, 'pointOfInitiationMethod',
+                `Point of initiation method must be ${EMV.STATIC_QR} (static) or ${EMV.DYNAMIC_QR} (dynamic).`);
+        }
+        const currencyCode = fields[EMV.TRANSACTION_CURRENCY];
+        if (currencyCode !== undefined &&
+            ![EMV.TRANSACTION_CURRENCY_USD, EMV.TRANSACTION_CURRENCY_KHR].includes(currencyCode)) {
+            addError(EMV.TRANSACTION_CURRENCY, 'currency',
+                `Currency code must be ${EMV.TRANSACTION_CURRENCY_USD} (USD) or ${EMV.TRANSACTION_CURRENCY_KHR} (KHR).`);
+        }
+        const amount = fields[EMV.TRANSACTION_AMOUNT];
+        if (amount !== undefined && !(parseFloat(amount) > 0)) {
+            addError(EMV.TRANSACTION_AMOUNT, 'amount', 'Transaction amount must be a positive number.');
+        }
+
+        // Per-field length limits
+        const checkLength = (tag, field, value, maxLength) => {
+            if (value !== undefined && byteLength(value) > maxLength) {
+                addError(tag, field, `${field} cannot exceed ${maxLength} bytes. Found ${byteLength(value)} bytes.`);
+            }
+        };
+        const checkTemplate = (tag, limits) => {
+            if (fields[tag] === undefined) return;
+            let subFields;
+            try {
+                subFields = this.tlvToMap(this.parseTLV(fields[tag]));
+            } catch (error) {
+                addError(tag, null, `Template ${tag} is malformed: ${error.message}`);
+                return;
+            }
+            for (const [subTag, field, maxLength] of limits) {
+                checkLength(`${tag}.${subTag}`, field, subFields[subTag], maxLength);
+            }
+        };
+
+        checkLength(EMV.MERCHANT_CATEGORY_CODE, 'merchantCategoryCode', fields[EMV.MERCHANT_CATEGORY_CODE], EMV.INVALID_LENGTH_MERCHANT_CATEGORY_CODE);
+        checkLength(EMV.TRANSACTION_CURRENCY, 'currency', currencyCode, EMV.INVALID_LENGTH_TRANSACTION_CURRENCY);
+        checkLength(EMV.TRANSACTION_AMOUNT, 'amount', amount, EMV.INVALID_LENGTH_TRANSACTION_AMOUNT);
+        checkLength(EMV.COUNTRY_CODE, 'countryCode', fields[EMV.COUNTRY_CODE], EMV.INVALID_LENGTH_COUNTRY_CODE);
+        checkLength(EMV.MERCHANT_NAME, 'merchantName', fields[EMV.MERCHANT_NAME], EMV.INVALID_LENGTH_MERCHANT_NAME);
+        checkLength(EMV.MERCHANT_CITY, 'merchantCity', fields[EMV.MERCHANT_CITY], EMV.INVALID_LENGTH_MERCHANT_CITY);
+
+        checkTemplate(EMV.MERCHANT_ACCOUNT_INFORMATION_INDIVIDUAL, [
+            [EMV.BAKONG_ACCOUNT_IDENTIFIER, 'bankAccount', EMV.INVALID_LENGTH_BAKONG_ACCOUNT],
+            [EMV.MERCHANT_ACCOUNT_INFORMATION, 'accountInformation', EMV.INVALID_LENGTH_ACCOUNT_INFORMATION],
+            [EMV.ACQUIRING_BANK, 'acquiringBank', EMV.INVALID_LENGTH_ACQUIRING_BANK]
+        ]);
+        checkTemplate(EMV.MERCHANT_ACCOUNT_INFORMATION_MERCHANT, [
+            [EMV.BAKONG_ACCOUNT_IDENTIFIER, 'bankAccount', EMV.INVALID_LENGTH_BAKONG_ACCOUNT],
+            [EMV.MERCHANT_ACCOUNT_INFORMATION, 'merchantId', EMV.INVALID_LENGTH_MERCHANT_ID],
+            [EMV.ACQUIRING_BANK, 'acquiringBank', EMV.INVALID_LENGTH_ACQUIRING_BANK]
+        ]);
+        checkTemplate(EMV.ADDITION_DATA_TAG, [
+            [EMV.BILLNUMBER_TAG, 'billNumber', EMV.INVALID_LENGTH_BILL_NUMBER],
+            [EMV.ADDITION_DATA_FIELD_MOBILE_NUMBER, 'phoneNumber', EMV.INVALID_LENGTH_MOBILE_NUMBER],
+            [EMV.STORE_LABEL, 'storeLabel', EMV.INVALID_LENGTH_STORE_LABEL],
+            [EMV.TERMINAL_LABEL, 'terminalLabel', EMV.INVALID_LENGTH_TERMINAL_LABEL],
+            [EMV.PURPOSE_OF_TRANSACTION, 'purposeOfTransaction', EMV.INVALID_LENGTH_PURPOSE_OF_TRANSACTION]
+        ]);
+        checkTemplate(EMV.TIMESTAMP_TAG, [
+            [EMV.CREATION_TIMESTAMP, 'timestamp', EMV.INVALID_LENGTH_TIMESTAMP],
+            [EMV.EXPIRATION_TIMESTAMP, 'expiresAt', EMV.INVALID_LENGTH_TIMESTAMP]
+        ]);
+
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Generate MD5 hash
+     */
+    generateMD5(qr) {
+        return md5(qr);
+    }
+}
+
+KHQR.EMV = EMV;
+
+module.exports = KHQR;
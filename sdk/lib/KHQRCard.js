@@ -0,0 +1,352 @@
+/**
+ * KHQR Card
+ * Renders a KHQR string as the branded KHQR payment card: red header with the
+ * KHQR mark, merchant name, amount and currency, and the QR code with a
+ * currency icon in its centre. Draws to SVG or PNG from bundled assets only.
+ */
+
+const QRCode = require('qrcode');
+const { PNG } = require('pngjs');
+const { FONT, GLYPH_WIDTH, GLYPH_HEIGHT, measure } = require('./assets/bitmapFont');
+
+const COLORS = {
+    brand: '#E1232E',
+    white: '#FFFFFF',
+    text: '#000000',
+    muted: '#6D6D6D',
+    divider: '#C4C4C4'
+};
+
+const CURRENCY_SYMBOLS = {
+    USD: '$',
+    KHR: '៛'
+};
+
+// The card is 20 x 29 units, following the KHQR guideline proportions
+const WIDTH_UNITS = 20;
+const HEIGHT_UNITS = 29;
+
+class KHQRCard {
+    /**
+     * details: { merchantName, amount, currency }
+     * options: { size (card width in px), margin (quiet zone in modules), errorCorrectionLevel }
+     */
+    constructor(qr, details = {}, options = {}) {
+        this.qr = qr;
+        this.details = details;
+        this.size = options.size || 300;
+        this.margin = options.margin ?? 1;
+        this.errorCorrectionLevel = options.errorCorrectionLevel || 'M';
+    }
+
+    /**
+     * Format the amount for display (USD with cents, KHR in whole riel)
+     */
+    formatAmount() {
+        const { amount, currency } = this.details;
+        if (amount === null || amount === undefined) return null;
+
+        const digits = currency === 'KHR' ? 0 : 2;
+        return Number(amount).toLocaleString('en-US', {
+            minimumFractionDigits: digits,
+            maximumFractionDigits: digits
+        });
+    }
+
+    /**
+     * Fit text into maxWidth pixels at the given scale, replacing characters the
+     * bundled font lacks and shortening with "..." when it does not fit
+     */
+    fitText(text, scale, maxWidth) {
+        let value = Array.from(String(text || '')).map(char => (FONT[char] ? char : '?')).join('');
+        if (measure(value) * scale <= maxWidth) return value;
+
+        while (value.length > 0 && measure(`${value}...`) * scale > maxWidth) {
+            value = value.slice(0, -1);
+        }
+        return `${value.trimEnd()}...`;
+    }
+
+    /**
+     * Lay the card out as a list of shapes shared by the SVG and PNG renderers
+     */
+    layout() {
+        const unit = this.size / WIDTH_UNITS;
+        const width = Math.round(this.size);
+        const height = Math.round(unit * HEIGHT_UNITS);
+        const padding = Math.round(unit * 2);
+        const radius = Math.round(unit);
+        const fontScale = (units) => Math.max(1, Math.round(units * unit / GLYPH_HEIGHT));
+        const shapes = [];
+
+        // Card background and red header with the KHQR mark
+        const headerHeight = Math.round(unit * 3.5);
+        const logoScale = fontScale(1.6);
+        shapes.push({ type: 'rect', x: 0, y: 0, width, height, radius, fill: COLORS.white });
+        shapes.push({ type: 'rect', x: 0, y: 0, width, height: headerHeight, radius, squareBottom: true, fill: COLORS.brand });
+        shapes.push({
+            type: 'text',
+            text: 'KHQR',
+            x: width / 2,
+            y: Math.round((headerHeight - GLYPH_HEIGHT * logoScale) / 2),
+            scale: logoScale,
+            anchor: 'middle',
+            bold: true,
+            fill: COLORS.white
+        });
+
+        // Merchant name
+        let y = headerHeight + Math.round(unit * 1.5);
+        const nameScale = fontScale(0.9);
+        shapes.push({
+            type: 'text',
+            text: this.fitText(this.details.merchantName, nameScale, width - padding * 2),
+            x: padding,
+            y,
+            scale: nameScale,
+            fill: COLORS.muted
+        });
+        y += GLYPH_HEIGHT * nameScale + Math.round(unit * 0.8);
+
+        // Amount and currency (static QRs show the currency only: the payer enters the amount)
+        const amountScale = fontScale(1.8);
+        const currencyScale = fontScale(0.9);
+        const amount = this.formatAmount();
+        const currency = this.details.currency || '';
+        if (amount) {
+            shapes.push({ type: 'text', text: amount, x: padding, y, scale: amountScale, bold: true, fill: COLORS.text });
+            shapes.push({
+                type: 'text',
+                text: currency,
+                x: padding + measure(amount) * amountScale + Math.round(unit * 0.6),
+                y: y + GLYPH_HEIGHT * (amountScale - currencyScale),
+                scale: currencyScale,
+                fill: COLORS.text
+            });
+        } else {
+            shapes.push({ type: 'text', text: currency, x: padding, y, scale: amountScale, bold: true, fill: COLORS.text });
+        }
+        y += GLYPH_HEIGHT * amountScale + Math.round(unit * 1.2);
+
+        // Dashed divider
+        const dash = Math.max(2, Math.round(unit * 0.5));
+        const lineHeight = Math.max(1, Math.round(unit * 0.1));
+        for (let x = 0; x < width; x += dash * 2) {
+            shapes.push({ type: 'rect', x, y, width: Math.min(dash, width - x), height: lineHeight, fill: COLORS.divider });
+        }
+        y += lineHeight;
+
+        // QR code, centred in the remaining area on a whole-pixel module grid
+        const qrData = QRCode.create(this.qr, { errorCorrectionLevel: this.errorCorrectionLevel });
+        const count = qrData.modules.size;
+        const cells = count + this.margin * 2;
+        const area = Math.min(width - padding * 2, height - y - padding);
+        const moduleSize = Math.max(1, Math.floor(area / cells));
+        const qrSize = moduleSize * cells;
+        const qrX = Math.round((width - qrSize) / 2);
+        const qrY = Math.round(y + (height - y - qrSize) / 2);
+        shapes.push({
+            type: 'modules',
+            x: qrX + this.margin * moduleSize,
+            y: qrY + this.margin * moduleSize,
+            moduleSize,
+            count,
+            data: qrData.modules.data,
+            fill: COLORS.text
+        });
+
+        // Currency icon over the centre of the QR (covered modules are restored by error correction)
+        const symbol = CURRENCY_SYMBOLS[currency];
+        if (symbol) {
+            const cx = qrX + qrSize / 2;
+            const cy = qrY + qrSize / 2;
+            const iconRadius = Math.max(3, Math.round(count * moduleSize * 0.08));
+            const symbolScale = Math.max(1, Math.floor(iconRadius * 1.2 / GLYPH_HEIGHT));
+            shapes.push({ type: 'circle', cx, cy, r: iconRadius + Math.max(1, Math.round(moduleSize / 2)), fill: COLORS.white });
+            shapes.push({ type: 'circle', cx, cy, r: iconRadius, fill: COLORS.text });
+            shapes.push({
+                type: 'text',
+                text: symbol,
+                x: cx,
+                y: Math.round(cy - GLYPH_HEIGHT * symbolScale / 2),
+                scale: symbolScale,
+                anchor: 'middle',
+                bold: true,
+                fill: COLORS.white
+            });
+        }
+
+        return { width, height, shapes };
+    }
+
+    /**
+     * Render the card as an SVG document
+     */
+    toSVG() {
+        const { width, height, shapes } = this.layout();
+        const body = shapes.map(shape => this.svgShape(shape)).join('');
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${body}</svg>`;
+    }
+
+    /**
+     * Convert one layout shape to SVG markup
+     */
+    svgShape(shape) {
+        switch (shape.type) {
+            case 'rect': {
+                const { x, y, width, height, radius = 0, fill } = shape;
+                if (radius && shape.squareBottom) {
+                    return `<path d="M${x} ${y + height}V${y + radius}A${radius} ${radius} 0 0 1 ${x + radius} ${y}` +
+                        `H${x + width - radius}A${radius} ${radius} 0 0 1 ${x + width} ${y + radius}V${y + height}Z" fill="${fill}"/>`;
+                }
+                return `<rect x="${x}" y="${y}" width="${width}" height="${height}"${radius ? ` rx="${radius}"` : ''} fill="${fill}"/>`;
+            }
+            case 'circle':
+                return `<circle cx="${shape.cx}" cy="${shape.cy}" r="${shape.r}" fill="${shape.fill}"/>`;
+            case 'text': {
+                const fontSize = Math.round(GLYPH_HEIGHT * shape.scale / 0.72); // Cap height ≈ 72% of the font size
+                const text = shape.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+                return `<text x="${shape.x}" y="${shape.y + GLYPH_HEIGHT * shape.scale}" font-family="Helvetica, Arial, sans-serif" ` +
+                    `font-size="${fontSize}"${shape.bold ? ' font-weight="bold"' : ''}${shape.anchor === 'middle' ? ' text-anchor="middle"' : ''} ` +
+                    `fill="${shape.fill}">${text}</text>`;
+            }
+            case 'modules': {
+                let path = '';
+                for (let row = 0; row < shape.count; row++) {
+                    for (let col = 0; col < shape.count; col++) {
+                        if (shape.data[row * shape.count + col]) {
+                            path += `M${col} ${row}h1v1h-1z`;
+                        }
+                    }
+                }
+                return `<path transform="translate(${shape.x} ${shape.y}) scale(${shape.moduleSize})" d="${path}" fill="${shape.fill}"/>`;
+            }
+            default:
+                return '';
+        }
+    }
+
+    /**
+     * Render the card as a PNG buffer
+     */
+    toPNG() {
+        const { width, height, shapes } = this.layout();
+        const png = new PNG({ width, height }); // Starts fully transparent
+
+        shapes.forEach(shape => this.paint(png, shape));
+        return PNG.sync.write(png);
+    }
+
+    /**
+     * Rasterise one layout shape into the PNG
+     */
+    paint(png, shape) {
+        const color = this.parseColor(shape.fill);
+
+        switch (shape.type) {
+            case 'rect': {
+                const { x, y, width, height, radius = 0 } = shape;
+                for (let py = y; py < y + height; py++) {
+                    for (let px = x; px < x + width; px++) {
+                        if (radius && !this.insideRoundedRect(px + 0.5, py + 0.5, shape)) continue;
+                        this.setPixel(png, px, py, color);
+                    }
+                }
+                break;
+            }
+            case 'circle': {
+                const { cx, cy, r } = shape;
+                for (let py = Math.floor(cy - r); py <= Math.ceil(cy + r); py++) {
+                    for (let px = Math.floor(cx - r); px <= Math.ceil(cx + r); px++) {
+                        if ((px + 0.5 - cx) ** 2 + (py + 0.5 - cy) ** 2 <= r * r) {
+                            this.setPixel(png, px, py, color);
+                        }
+                    }
+                }
+                break;
+            }
+            case 'text': {
+                const textWidth = measure(shape.text) * shape.scale;
+                const startX = Math.round(shape.anchor === 'middle' ? shape.x - textWidth / 2 : shape.x);
+                const offsets = shape.bold ? [0, Math.max(1, Math.floor(shape.scale / 3))] : [0];
+
+                Array.from(shape.text).forEach((char, index) => {
+                    const glyph = FONT[char] || FONT['?'];
+                    const glyphX = startX + index * (GLYPH_WIDTH + 1) * shape.scale;
+                    glyph.forEach((column, col) => {
+                        for (let row = 0; row < GLYPH_HEIGHT; row++) {
+                            if (!(column & (1 << row))) continue;
+                            offsets.forEach(offset => {
+                                this.fillBlock(png, glyphX + col * shape.scale + offset, shape.y + row * shape.scale, shape.scale, color);
+                            });
+                        }
+                    });
+                });
+                break;
+            }
+            case 'modules':
+                for (let row = 0; row < shape.count; row++) {
+                    for (let col = 0; col < shape.count; col++) {
+                        if (shape.data[row * shape.count + col]) {
+                            this.fillBlock(png, shape.x + col * shape.moduleSize, shape.y + row * shape.moduleSize, shape.moduleSize, color);
+                        }
+                    }
+                }
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Whether a point lies inside a rect with rounded (top, optionally bottom) corners
+     */
+    insideRoundedRect(px, py, { x, y, width, height, radius, squareBottom }) {
+        const left = px < x + radius;
+        const right = px > x + width - radius;
+        const top = py < y + radius;
+        const bottom = !squareBottom && py > y + height - radius;
+        if (!(left || right) || !(top || bottom)) return true;
+
+        const cx = left ? x + radius : x + width - radius;
+        const cy = top ? y + radius : y + height - radius;
+        return (px - cx) ** 2 + (py - cy) ** 2 <= radius * radius;
+    }
+
+    /**
+     * Fill a size x size square
+     */
+    fillBlock(png, x, y, size, color) {
+        for (let py = y; py < y + size; py++) {
+            for (let px = x; px < x + size; px++) {
+                this.setPixel(png, px, py, color);
+            }
+        }
+    }
+
+    /**
+     * Set one opaque pixel, ignoring coordinates outside the image
+     */
+    setPixel(png, x, y, [r, g, b]) {
+        if (x < 0 || y < 0 || x >= png.width || y >= png.height) return;
+
+        const index = (png.width * y + x) << 2;
+        png.data[index] = r;
+        png.data[index + 1] = g;
+        png.data[index + 2] = b;
+        png.data[index + 3] = 255;
+    }
+
+    /**
+     * Parse a #RRGGBB color
+     */
+    parseColor(hex) {
+        const value = parseInt(hex.slice(1), 16);
+        return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF];
+    }
+}
+
+KHQRCard.COLORS = COLORS;
+
+module.exports = KHQRCard;
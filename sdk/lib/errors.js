@@ -0,0 +1,96 @@
+/**
+ * Error classes for the Bakong client and KHQR encoder
+ * Each error carries a machine-readable code, the Bakong HTTP status and
+ * responseCode when available, and whether retrying may succeed
+ */
+
+class BakongError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = options.code || 'BAKONG_ERROR';
+        this.status = options.status || null; // HTTP status returned by Bakong
+        this.responseCode = options.responseCode ?? null; // Bakong responseCode from the body
+        this.retryable = options.retryable || false;
+    }
+}
+
+class BakongBadRequestError extends BakongError {
+    constructor(message, options = {}) {
+        super(message, { code: 'BAKONG_BAD_REQUEST', status: 400, ...options });
+    }
+}
+
+class BakongAuthError extends BakongError {
+    constructor(message, options = {}) {
+        super(message, { code: 'BAKONG_AUTH_FAILED', status: 401, ...options });
+    }
+}
+
+class BakongGeoBlockedError extends BakongError {
+    constructor(message, options = {}) {
+        super(message, { code: 'BAKONG_GEO_BLOCKED', status: 403, ...options });
+    }
+}
+
+class BakongNotFoundError extends BakongError {
+    constructor(message, options = {}) {
+        super(message, { code: 'BAKONG_ENDPOINT_NOT_FOUND', status: 404, ...options });
+    }
+}
+
+class BakongRateLimitError extends BakongError {
+    constructor(message, options = {}) {
+        super(message, { code: 'BAKONG_RATE_LIMITED', status: 429, retryable: true, ...options });
+        this.retryAfter = options.retryAfter || null; // Seconds, from Retry-After
+    }
+}
+
+class BakongServerError extends BakongError {
+    constructor(message, options = {}) {
+        super(message, { code: 'BAKONG_SERVER_ERROR', status: 500, retryable: true, ...options });
+    }
+}
+
+class BakongTimeoutError extends BakongError {
+    constructor(message, options = {}) {
+        super(message, { code: 'BAKONG_TIMEOUT', retryable: true, ...options });
+    }
+}
+
+class BakongNetworkError extends BakongError {
+    constructor(message, options = {}) {
+        super(message, { code: 'BAKONG_NETWORK_ERROR', retryable: true, ...options });
+    }
+}
+
+class BakongUnavailableError extends BakongError {
+    constructor(message, options = {}) {
+        super(message, { code: 'BAKONG_UNAVAILABLE', retryable: true, ...options });
+        this.retryAfter = options.retryAfter || null; // Seconds until the circuit half-opens
+    }
+}
+
+class KHQRValidationError extends Error {
+    constructor(message, field = null) {
+        super(message);
+        this.name = 'KHQRValidationError';
+        this.code = 'KHQR_VALIDATION_ERROR';
+        this.field = field;
+        this.retryable = false;
+    }
+}
+
+module.exports = {
+    BakongError,
+    BakongBadRequestError,
+    BakongAuthError,
+    BakongGeoBlockedError,
+    BakongNotFoundError,
+    BakongRateLimitError,
+    BakongServerError,
+    BakongTimeoutError,
+    BakongNetworkError,
+    BakongUnavailableError,
+    KHQRValidationError
+};
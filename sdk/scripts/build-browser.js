@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Browser bundle builder
+ * Wraps browser.js and the modules it requires into one UMD script that sets
+ * `window.BakongKHQR` (or module.exports / AMD). Only relative requires are
+ * allowed, so the build fails if the encoder ever picks up a Node dependency.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SDK_ROOT = path.join(__dirname, '..');
+const ENTRY = path.join(SDK_ROOT, 'browser.js');
+const OUTPUT = path.join(SDK_ROOT, 'dist', 'bakong-khqr.browser.js');
+const REQUIRE_PATTERN = /require\((['"])([^'"]+)\1\)/g;
+
+/**
+ * Collect the entry and every module it requires, in dependency order
+ */
+const collectModules = (file, modules = new Map()) => {
+    if (modules.has(file)) return modules;
+
+    const id = path.relative(SDK_ROOT, file).split(path.sep).join('/');
+    modules.set(file, { id, source: null });
+
+    let source = fs.readFileSync(file, 'utf8');
+    source = source.replace(REQUIRE_PATTERN, (match, quote, request) => {
+        if (!request.startsWith('.')) {
+            throw new Error(`${id} requires '${request}', which is not available in browsers`);
+        }
+        let dependency = path.resolve(path.dirname(file), request);
+        if (!dependency.endsWith('.js')) dependency += '.js';
+
+        collectModules(dependency, modules);
+        return `require('${modules.get(dependency).id}')`;
+    });
+    modules.get(file).source = source;
+
+    return modules;
+};
+
+/**
+ * Build the bundle and return its source
+ */
+const buildBrowserBundle = () => {
+    const { version } = require('../package.json');
+    const modules = [...collectModules(ENTRY).values()];
+    const entryId = modules[0].id;
+
+    const definitions = modules.map(({ id, source }) =>
+        `    '${id}': function (module, exports, require) {\n${source.trim()}\n    }`
+    ).join(',\n');
+
+    return `/*! bakong-khqr-sdk ${version} | browser build of the KHQR encoder/decoder | MIT */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else if (typeof define === 'function' && define.amd) {
+        define([], factory);
+    } else {
+        root.BakongKHQR = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    var definitions = {
+${definitions}
+    };
+    var cache = {};
+
+    function require(id) {
+        if (!cache[id]) {
+            var module = cache[id] = { exports: {} };
+            definitions[id](module, module.exports, require);
+        }
+        return cache[id].exports;
+    }
+
+    return require('${entryId}');
+});
+`;
+};
+
+if (require.main === module) {
+    fs.mkdirSync(path.dirname(OUTPUT), { recursive: true });
+    fs.writeFileSync(OUTPUT, buildBrowserBundle());
+    console.log(`Wrote ${path.relative(process.cwd(), OUTPUT)}`);
+}
+
+module.exports = { buildBrowserBundle };
@@ -9,13 +9,16 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const path = require('path');
-const fs = require('fs');
 
 // Import custom modules
 const routes = require('./src/routes');
 const { logger } = require('./src/logger');
+const { redactUrl } = require('./src/auth');
 const AutoPaymentMonitor = require('./src/AutoPaymentMonitor');
 const PaymentService = require('./src/PaymentService');
+const WebhookService = require('./src/WebhookService');
+const PaymentEventStream = require('./src/PaymentEventStream');
+const { buildBrowserBundle } = require('./sdk/scripts/build-browser');
 
 // Create Express app
 const app = express();
@@ -24,6 +27,12 @@ const PORT = process.env.PORT || 3003;
 // Initialize services
 const paymentService = new PaymentService();
 const autoPaymentMonitor = new AutoPaymentMonitor(paymentService);
+const webhookService = new WebhookService();
+const eventStream = new PaymentEventStream();
+
+// Deliver monitor events to configured webhooks and SSE clients
+webhookService.attach(autoPaymentMonitor);
+eventStream.attach(autoPaymentMonitor);
 
 // Connect auto monitor to payment service
 paymentService.setAutoMonitor(autoPaymentMonitor);
@@ -31,12 +40,17 @@ paymentService.setAutoMonitor(autoPaymentMonitor);
 // Start auto payment monitoring
 autoPaymentMonitor.start();
 
+// Resume monitoring for payments still pending from a previous run
+paymentService.resumeMonitoring().catch(error => {
+    logger.error('Failed to resume pending payments', { error: error.message });
+});
+
 // Security middleware
 app.use(helmet({
     contentSecurityPolicy: {
         directives: {
             defaultSrc: ["'self'"],
-            imgSrc: ["'self'", "data:", "blob:", "/temp/*"],
+            imgSrc: ["'self'", "data:", "blob:"],
             scriptSrc: ["'self'", "'unsafe-inline'"],
             styleSrc: ["'self'", "'unsafe-inline'", "https:"],
             fontSrc: ["'self'", "https:", "data:"]
@@ -44,38 +58,46 @@ app.use(helmet({
     }
 }));
 
-// CORS configuration
+// CORS configuration: explicit origins from CORS_ORIGINS, any origin only outside production.
+// Credentials are not needed since clients authenticate with the X-Api-Key header.
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
 app.use(cors({
-    origin: true, // Allow all origins in development
-    credentials: true
+    origin: corsOrigins.length > 0 ? corsOrigins : process.env.NODE_ENV !== 'production',
+    credentials: false,
+    exposedHeaders: ['Idempotent-Replayed']
 }));
 
-// Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Body parsing middleware (raw body kept for request signature verification)
+const keepRawBody = (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
-// HTTP request logging
+// HTTP request logging, with credentials in query strings hidden
+morgan.token('url', req => redactUrl(req.originalUrl || req.url));
 app.use(morgan('combined', {
     stream: {
         write: (message) => logger.info(message.trim())
     }
 }));
 
-// Serve static files (QR images, etc.)
-const tempDir = path.join(__dirname, 'temp');
-if (!fs.existsSync(tempDir)) {
-    fs.mkdirSync(tempDir, { recursive: true });
-}
-app.use('/temp', express.static(tempDir));
-
 // Serve static web interface
 app.use('/public', express.static(path.join(__dirname, 'public')));
 
+// Browser build of the KHQR encoder/decoder, bundled once at startup
+const browserBundle = buildBrowserBundle();
+app.get('/sdk/bakong-khqr.browser.js', (req, res) => {
+    res.type('application/javascript').send(browserBundle);
+});
+
 // API routes
 // Setup routes with payment service
 app.use((req, res, next) => {
   req.paymentService = paymentService;
   req.autoPaymentMonitor = autoPaymentMonitor;
+  req.webhookService = webhookService;
+  req.eventStream = eventStream;
   next();
 });
 
@@ -95,6 +117,18 @@ app.get('/', (req, res) => {
             bulkCheck: 'POST /api/payments/bulk-check',
             transactions: 'GET /api/payments/transactions',
             history: 'GET /api/payments/history',
+            decodeKHQR: 'POST /api/khqr/decode',
+            verifyKHQR: 'POST /api/khqr/verify',
+            webhookDeliveries: 'GET /api/webhooks/deliveries',
+            merchants: 'GET|POST /api/merchants, GET|PUT|DELETE /api/merchants/:merchantId',
+            streamToken: 'POST /api/stream-tokens',
+            paymentEvents: 'GET /api/payments/:id/events',
+            paymentImage: 'GET /api/payments/:id/image?template=khqr-card',
+            staticQrPayments: 'GET /api/static-qr/:id/payments',
+            cancelPayment: 'POST /api/payments/:id/cancel',
+            refundPayment: 'POST /api/payments/:id/refund',
+            monitorStream: 'GET /api/monitor/stream',
+            browserSdk: '/sdk/bakong-khqr.browser.js',
             webInterface: '/web',
             paymentTest: '/test'
         },
@@ -145,6 +179,22 @@ app.use((req, res) => {
             'POST /api/payments/bulk-check',
             'GET /api/payments/transactions',
             'GET /api/payments/history',
+            'POST /api/khqr/decode',
+            'POST /api/khqr/verify',
+            'GET /api/webhooks/deliveries',
+            'GET /api/merchants',
+            'POST /api/merchants',
+            'GET /api/merchants/:merchantId',
+            'PUT /api/merchants/:merchantId',
+            'DELETE /api/merchants/:merchantId',
+            'POST /api/stream-tokens',
+            'GET /api/payments/:id/events',
+            'GET /api/payments/:id/image',
+            'GET /api/static-qr/:id/payments',
+            'POST /api/payments/:id/cancel',
+            'POST /api/payments/:id/refund',
+            'GET /api/monitor/stream',
+            'GET /sdk/bakong-khqr.browser.js',
             'GET /web',
             'GET /test'
         ]
@@ -5,20 +5,25 @@
  */
 
 const EventEmitter = require('events');
-const { logger, logPaymentSuccess } = require('./logger');
+const { logger } = require('./logger');
 
 class AutoPaymentMonitor extends EventEmitter {
-    constructor(paymentService) {
+    constructor(paymentService, options = {}) {
         super();
         this.paymentService = paymentService;
+        this.logger = options.logger || logger;
         this.activeMonitors = new Map(); // md5Hash -> monitorInfo
         this.userSessions = new Map(); // sessionId -> Set of md5Hashes
         this.paymentQueue = new Map(); // md5Hash -> payment details
+        this.cancelledMonitors = new Map(); // md5Hash -> monitorInfo of cancelled QRs watched for late payments
         this.maxMonitorTime = 30 * 60 * 1000; // 30 minutes
         this.checkInterval = 10000; // 10 seconds
+        this.bulkChunkSize = 50; // Bakong limit for check_transaction_by_md5_list
         this.isRunning = false;
+        this.loopGeneration = 0; // Incremented by every start()
+        this.checkTimer = null;
         
-        console.log('🤖 Auto Payment Monitor initialized');
+        this.logger.debug('🤖 Auto Payment Monitor initialized', { event: 'monitor.initialized' });
     }
 
     /**
@@ -30,15 +35,11 @@ class AutoPaymentMonitor extends EventEmitter {
         this.isRunning = true;
         this.startPeriodicCheck();
         
-        console.log('\n🚀========================================🚀');
-        console.log('     AUTO PAYMENT MONITOR STARTED        ');
-        console.log('🚀========================================🚀');
-        console.log('⏰ Check Interval: 10 seconds');
-        console.log('🕐 Max Monitor Time: 30 minutes');
-        console.log('🔄 Auto-monitoring enabled for all new payments');
-        console.log('🚀========================================🚀\n');
-        
-        logger.info('🤖 Auto Payment Monitor service started');
+        this.logger.info('🤖 Auto Payment Monitor service started', {
+            event: 'monitor.started',
+            checkInterval: this.checkInterval,
+            maxMonitorTime: this.maxMonitorTime
+        });
     }
 
     /**
@@ -46,28 +47,39 @@ class AutoPaymentMonitor extends EventEmitter {
      */
     stop() {
         this.isRunning = false;
+        clearTimeout(this.checkTimer);
+        this.checkTimer = null;
         this.activeMonitors.clear();
         this.userSessions.clear();
         this.paymentQueue.clear();
+        this.cancelledMonitors.clear();
         
-        console.log('\n🛑 Auto Payment Monitor stopped');
-        logger.info('🤖 Auto Payment Monitor service stopped');
+        this.logger.info('🤖 Auto Payment Monitor service stopped', { event: 'monitor.stopped' });
     }
 
     /**
      * Add a payment to auto-monitoring when QR is generated
      */
     addPayment(paymentData, sessionId = 'anonymous') {
-        const { md5Hash, billNumber, amount, currency, storeLabel, qrCode } = paymentData;
+        const { md5Hash, billNumber, amount, currency, storeLabel, qrCode, transactionId, webhookUrl, merchantId, isStatic = false } = paymentData;
+        const startTime = paymentData.startTime || Date.now();
         
         const monitorInfo = {
             md5Hash,
+            transactionId,
+            webhookUrl,
+            merchantId,
+            isStatic,
             billNumber,
             amount,
             currency,
             storeLabel,
             sessionId,
-            startTime: Date.now(),
+            startTime,
+            // Per-payment expiry from the QR, falling back to the global monitor window.
+            // Static QRs without an expiry are watched until the monitor stops.
+            expiresAt: paymentData.expiresAt || (isStatic ? null : startTime + this.maxMonitorTime),
+            paymentCount: 0, // Payments attributed to a static QR
             lastCheck: Date.now(),
             checkCount: 0,
             status: 'MONITORING',
@@ -86,55 +98,223 @@ class AutoPaymentMonitor extends EventEmitter {
         // Add to payment queue
         this.paymentQueue.set(md5Hash, paymentData);
         
-        console.log('\n🎯========================================🎯');
-        console.log('       NEW PAYMENT AUTO-MONITORING        ');
-        console.log('🎯========================================🎯');
-        console.log(`💳 Payment ID: ${md5Hash}`);
-        console.log(`📋 Bill Number: ${billNumber}`);
-        console.log(`💰 Amount: ${amount} ${currency}`);
-        console.log(`🏪 Store: ${storeLabel}`);
-        console.log(`👤 Session: ${sessionId}`);
-        console.log(`⏰ Started: ${new Date().toLocaleString()}`);
-        console.log(`🔄 Auto-monitoring: ACTIVE`);
-        console.log('🎯========================================🎯\n');
-        
-        logger.info('🎯 Auto-monitoring started for payment', {
+        this.logger.info('🎯 Auto-monitoring started for payment', {
+            event: 'monitor.payment_added',
             md5Hash,
             billNumber,
             sessionId,
             amount,
-            currency
+            currency,
+            storeLabel,
+            expiresAt: monitorInfo.expiresAt
         });
         
         this.emit('payment_added', monitorInfo);
     }
 
     /**
-     * Periodic check for all monitored payments
+     * Periodic check for all monitored payments. Each start() begins a new loop
+     * generation, so a loop left over from before stop() ends instead of
+     * running alongside the new one.
      */
     startPeriodicCheck() {
+        const loop = ++this.loopGeneration;
+
         const checkAllPayments = async () => {
-            if (!this.isRunning) return;
+            if (!this.isRunning || loop !== this.loopGeneration) return;
             
             const activeCount = this.activeMonitors.size;
             
-            if (activeCount > 0) {
-                console.log(`[${new Date().toLocaleTimeString()}] 🔄 Checking ${activeCount} active payment(s)...`);
-                
-                const checkPromises = [];
-                for (const [md5Hash, monitorInfo] of this.activeMonitors) {
-                    checkPromises.push(this.checkSinglePayment(md5Hash, monitorInfo));
-                }
+            if (activeCount > 0 || this.cancelledMonitors.size > 0) {
+                this.logger.debug('🔄 Checking monitored payments', {
+                    event: 'monitor.check',
+                    active: activeCount,
+                    cancelled: this.cancelledMonitors.size
+                });
                 
-                await Promise.all(checkPromises);
+                await this.checkAllPaymentsInBulk();
             }
             
-            // Schedule next check
-            setTimeout(checkAllPayments, this.checkInterval);
+            // Schedule next check, unless stopped or restarted meanwhile
+            if (this.isRunning && loop === this.loopGeneration) {
+                this.checkTimer = setTimeout(checkAllPayments, this.checkInterval);
+            }
         };
         
         // Start the checking loop
-        setTimeout(checkAllPayments, this.checkInterval);
+        this.checkTimer = setTimeout(checkAllPayments, this.checkInterval);
+    }
+
+    /**
+     * Whether a monitored payment has passed its expiry
+     */
+    isPastExpiry(monitorInfo, now = Date.now()) {
+        return !!monitorInfo.expiresAt && now > monitorInfo.expiresAt;
+    }
+
+    /**
+     * Check every monitored payment through the bulk MD5 endpoint.
+     * One Bakong request per 50 hashes of the same merchant, using that merchant's
+     * token; full details are only fetched for paid hashes. Payments past their
+     * expiry are checked once more and expire only when that check finds them unpaid.
+     */
+    async checkAllPaymentsInBulk() {
+        const now = Date.now();
+        const hashesByMerchant = new Map();
+        const staticQrs = [];
+        
+        for (const [md5Hash, monitorInfo] of this.activeMonitors) {
+            // The bulk endpoint only says "paid at least once", which says nothing new for static QRs
+            if (monitorInfo.isStatic) {
+                staticQrs.push([md5Hash, monitorInfo]);
+                continue;
+            }
+            
+            const merchantId = monitorInfo.merchantId || null;
+            if (!hashesByMerchant.has(merchantId)) {
+                hashesByMerchant.set(merchantId, []);
+            }
+            hashesByMerchant.get(merchantId).push(md5Hash);
+        }
+        
+        // Cancelled QRs are checked alongside, only to catch late payments
+        for (const [md5Hash, monitorInfo] of this.cancelledMonitors) {
+            if (now > monitorInfo.watchUntil) {
+                this.cancelledMonitors.delete(md5Hash);
+                continue;
+            }
+            
+            if (monitorInfo.isStatic) {
+                staticQrs.push([md5Hash, monitorInfo]);
+                continue;
+            }
+            
+            const merchantId = monitorInfo.merchantId || null;
+            if (!hashesByMerchant.has(merchantId)) {
+                hashesByMerchant.set(merchantId, []);
+            }
+            hashesByMerchant.get(merchantId).push(md5Hash);
+        }
+        
+        for (const [merchantId, hashes] of hashesByMerchant) {
+            for (let i = 0; i < hashes.length; i += this.bulkChunkSize) {
+                await this.checkChunk(hashes.slice(i, i + this.bulkChunkSize), merchantId);
+            }
+        }
+        
+        for (const [md5Hash, monitorInfo] of staticQrs) {
+            await this.checkStaticPayment(md5Hash, monitorInfo);
+        }
+    }
+
+    /**
+     * Poll a static QR and emit static_payment_received for every newly
+     * attributed payment. Static QRs stay monitored after each payment.
+     */
+    async checkStaticPayment(md5Hash, monitorInfo) {
+        monitorInfo.checkCount++;
+        monitorInfo.lastCheck = Date.now();
+        
+        let payments;
+        try {
+            payments = await this.paymentService.checkStaticPayments(md5Hash);
+        } catch (error) {
+            this.logger.error('Auto-monitor static QR check failed', { md5Hash, billNumber: monitorInfo.billNumber, error: error.message });
+            return;
+        }
+        
+        for (const payment of payments) {
+            if (payment.needsAttention) {
+                this.handleLatePayment(md5Hash, monitorInfo, {
+                    paymentDetails: payment.paymentDetails,
+                    reconciliation: payment.reconciliation
+                }, payment);
+                continue;
+            }
+            
+            monitorInfo.paymentCount++;
+            
+            this.emit('static_payment_received', {
+                md5Hash,
+                monitorInfo,
+                payment,
+                result: {
+                    paymentDetails: payment.paymentDetails,
+                    reconciliation: payment.reconciliation
+                }
+            });
+            
+            this.logger.info('🧾 Auto-monitor attributed a static QR payment', {
+                event: 'monitor.static_payment_received',
+                md5Hash,
+                billNumber: monitorInfo.billNumber,
+                paymentCount: monitorInfo.paymentCount,
+                staticQrId: monitorInfo.transactionId,
+                subTransactionId: payment.transactionId,
+                amount: payment.paymentData.amount,
+                currency: payment.paymentData.currency
+            });
+        }
+        
+        // Payments made before the expiry were recorded above
+        if (this.activeMonitors.has(md5Hash) && this.isPastExpiry(monitorInfo)) {
+            this.expirePayment(md5Hash, monitorInfo);
+        }
+    }
+
+    /**
+     * Check one chunk of up to 50 hashes belonging to one merchant
+     */
+    async checkChunk(hashes, merchantId = null) {
+        let paidHashes;
+        try {
+            paidHashes = await this.paymentService.getClient(merchantId).checkBulkPayments(hashes);
+        } catch (error) {
+            // Keep monitoring; the next cycle retries the whole chunk
+            this.logger.error('Auto-monitor bulk check failed', { count: hashes.length, error: error.message });
+            return;
+        }
+        
+        const paidSet = new Set(paidHashes);
+        const now = Date.now();
+        
+        for (const md5Hash of hashes) {
+            const cancelled = this.cancelledMonitors.has(md5Hash);
+            const monitorInfo = this.activeMonitors.get(md5Hash) || this.cancelledMonitors.get(md5Hash);
+            if (!monitorInfo) continue;
+            
+            monitorInfo.checkCount++;
+            monitorInfo.lastCheck = now;
+            
+            if (!paidSet.has(md5Hash)) {
+                if (!cancelled && this.isPastExpiry(monitorInfo, now)) {
+                    this.expirePayment(md5Hash, monitorInfo);
+                } else if (!cancelled) {
+                    monitorInfo.status = 'UNPAID';
+                }
+                continue;
+            }
+            
+            try {
+                // Bulk endpoint reported it paid: fetch details and update the transaction
+                // The stored status decides the event: the payment may have been
+                // cancelled meanwhile (late payment) or expired
+                const result = await this.paymentService.checkPaymentStatus(md5Hash, { reportedStatus: 'PAID' });
+                if (result.status === 'PAID') {
+                    this.handlePaymentSuccess(md5Hash, monitorInfo, result);
+                } else if (result.status === 'CANCELLED') {
+                    this.handleLatePayment(md5Hash, monitorInfo, result);
+                } else if (result.status === 'EXPIRED') {
+                    this.expirePayment(md5Hash, monitorInfo);
+                } else if (!cancelled) {
+                    monitorInfo.status = result.status;
+                }
+            } catch (error) {
+                this.logger.error('Auto-monitor payment confirmation failed', { md5Hash, error: error.message });
+            }
+        }
+        
+        this.logger.debug('💳 Bulk check complete', { event: 'monitor.bulk_check', checked: hashes.length, paid: paidSet.size });
     }
 
     /**
@@ -143,32 +323,37 @@ class AutoPaymentMonitor extends EventEmitter {
     async checkSinglePayment(md5Hash, monitorInfo) {
         try {
             const now = Date.now();
-            const elapsed = now - monitorInfo.startTime;
             
-            // Check if monitoring time expired
-            if (elapsed > this.maxMonitorTime) {
-                this.expirePayment(md5Hash, monitorInfo);
+            if (monitorInfo.isStatic) {
+                await this.checkStaticPayment(md5Hash, monitorInfo);
                 return;
             }
             
             monitorInfo.checkCount++;
             monitorInfo.lastCheck = now;
             
-            // Check payment status
+            // Check payment status; past the expiry this is the final check
             const result = await this.paymentService.checkPaymentStatus(md5Hash);
             
             if (result.status === 'PAID') {
                 this.handlePaymentSuccess(md5Hash, monitorInfo, result);
+            } else if (result.status === 'EXPIRED' || (result.status === 'UNPAID' && this.isPastExpiry(monitorInfo, now))) {
+                this.expirePayment(md5Hash, monitorInfo);
             } else {
                 // Update status but continue monitoring
                 monitorInfo.status = result.status;
                 
-                console.log(`[${new Date().toLocaleTimeString()}] 💳 ${monitorInfo.billNumber}: ${result.status} (Check #${monitorInfo.checkCount})`);
+                this.logger.debug('💳 Payment not paid yet', {
+                    event: 'monitor.payment_checked',
+                    md5Hash,
+                    billNumber: monitorInfo.billNumber,
+                    status: result.status,
+                    checkCount: monitorInfo.checkCount
+                });
             }
             
         } catch (error) {
-            console.error(`❌ Error checking payment ${md5Hash}:`, error.message);
-            logger.error('Auto-monitor check failed', { md5Hash, error: error.message });
+            this.logger.error('Auto-monitor check failed', { md5Hash, error: error.message });
         }
     }
 
@@ -176,19 +361,6 @@ class AutoPaymentMonitor extends EventEmitter {
      * Handle successful payment
      */
     handlePaymentSuccess(md5Hash, monitorInfo, result) {
-        console.log('\n🎊========================================🎊');
-        console.log('      AUTO-MONITOR: PAYMENT SUCCESS!      ');
-        console.log('🎊========================================🎊');
-        console.log(`💳 Payment: ${monitorInfo.billNumber}`);
-        console.log(`💰 Amount: ${monitorInfo.amount} ${monitorInfo.currency}`);
-        console.log(`🏪 Store: ${monitorInfo.storeLabel}`);
-        console.log(`👤 Session: ${monitorInfo.sessionId}`);
-        console.log(`⏰ Paid At: ${new Date().toLocaleString()}`);
-        console.log(`🕐 Monitor Duration: ${this.formatDuration(Date.now() - monitorInfo.startTime)}`);
-        console.log(`🔢 Total Checks: ${monitorInfo.checkCount}`);
-        console.log(`✅ Status: PAYMENT COMPLETED`);
-        console.log('🎊========================================🎊\n');
-        
         // Remove from monitoring
         this.removePayment(md5Hash);
         
@@ -200,12 +372,17 @@ class AutoPaymentMonitor extends EventEmitter {
             duration: Date.now() - monitorInfo.startTime
         });
         
-        logger.info('🎊 Auto-monitor detected payment success', {
+        this.logger.info('🎊 Auto-monitor detected payment success', {
+            event: 'monitor.payment_success',
             md5Hash,
             billNumber: monitorInfo.billNumber,
+            amount: monitorInfo.amount,
+            currency: monitorInfo.currency,
+            storeLabel: monitorInfo.storeLabel,
             sessionId: monitorInfo.sessionId,
             duration: Date.now() - monitorInfo.startTime,
-            checkCount: monitorInfo.checkCount
+            checkCount: monitorInfo.checkCount,
+            outcome: result?.reconciliation?.outcome || null
         });
     }
 
@@ -213,36 +390,106 @@ class AutoPaymentMonitor extends EventEmitter {
      * Handle payment expiration
      */
     expirePayment(md5Hash, monitorInfo) {
-        console.log('\n⏰========================================⏰');
-        console.log('     AUTO-MONITOR: PAYMENT EXPIRED        ');
-        console.log('⏰========================================⏰');
-        console.log(`💳 Payment: ${monitorInfo.billNumber}`);
-        console.log(`💰 Amount: ${monitorInfo.amount} ${monitorInfo.currency}`);
-        console.log(`🏪 Store: ${monitorInfo.storeLabel}`);
-        console.log(`👤 Session: ${monitorInfo.sessionId}`);
-        console.log(`⏰ Expired After: 30 minutes`);
-        console.log(`🔢 Total Checks: ${monitorInfo.checkCount}`);
-        console.log(`❌ Status: MONITORING EXPIRED`);
-        console.log('⏰========================================⏰\n');
-        
         // Remove from monitoring
         this.removePayment(md5Hash);
         
+        // Record the expiry on the stored transaction
+        this.paymentService.markExpired(md5Hash).catch(error => {
+            this.logger.error('Failed to mark payment expired', { md5Hash, error: error.message });
+        });
+        
         // Emit expiry event
         this.emit('payment_expired', {
             md5Hash,
             monitorInfo,
-            duration: this.maxMonitorTime
+            duration: monitorInfo.expiresAt - monitorInfo.startTime
         });
         
-        logger.info('⏰ Auto-monitor payment expired', {
+        this.logger.info('⏰ Auto-monitor payment expired', {
+            event: 'monitor.payment_expired',
             md5Hash,
             billNumber: monitorInfo.billNumber,
+            amount: monitorInfo.amount,
+            currency: monitorInfo.currency,
+            storeLabel: monitorInfo.storeLabel,
             sessionId: monitorInfo.sessionId,
+            duration: monitorInfo.expiresAt - monitorInfo.startTime,
             checkCount: monitorInfo.checkCount
         });
     }
 
+    /**
+     * Stop monitoring a cancelled payment and emit payment_cancelled. The QR may
+     * still be on a customer's screen, so it keeps being checked for late
+     * payments until it would have expired.
+     */
+    cancelPayment(transaction, reason = null) {
+        const { md5Hash } = transaction;
+        const monitorInfo = this.activeMonitors.get(md5Hash) || {
+            md5Hash,
+            transactionId: transaction.transactionId,
+            webhookUrl: transaction.paymentData.webhookUrl,
+            merchantId: transaction.merchantId,
+            isStatic: !!transaction.paymentData.isStatic,
+            billNumber: transaction.paymentData.billNumber,
+            amount: transaction.paymentData.amount,
+            currency: transaction.paymentData.currency,
+            storeLabel: transaction.paymentData.storeLabel,
+            sessionId: transaction.paymentData.sessionId || 'anonymous',
+            startTime: new Date(transaction.createdAt).getTime(),
+            paymentCount: 0,
+            checkCount: 0
+        };
+        
+        this.removePayment(md5Hash);
+        
+        monitorInfo.status = 'CANCELLED';
+        monitorInfo.watchUntil = monitorInfo.expiresAt || Date.now() + this.maxMonitorTime;
+        this.cancelledMonitors.set(md5Hash, monitorInfo);
+        
+        this.emit('payment_cancelled', {
+            md5Hash,
+            monitorInfo,
+            reason
+        });
+        
+        this.logger.info('🚫 Auto-monitor stopped for cancelled payment', {
+            event: 'monitor.payment_cancelled',
+            md5Hash,
+            billNumber: monitorInfo.billNumber,
+            sessionId: monitorInfo.sessionId,
+            reason,
+            watchUntil: new Date(monitorInfo.watchUntil).toISOString()
+        });
+    }
+
+    /**
+     * Handle a payment that arrived for a cancelled QR
+     */
+    handleLatePayment(md5Hash, monitorInfo, result, payment = null) {
+        // A static QR may be paid again; keep watching it until its window closes
+        if (!monitorInfo.isStatic) {
+            this.cancelledMonitors.delete(md5Hash);
+        }
+        
+        this.emit('payment_needs_attention', {
+            md5Hash,
+            monitorInfo,
+            payment,
+            result,
+            reason: 'PAID_AFTER_CANCELLATION'
+        });
+        
+        this.logger.warn('⚠️ Auto-monitor detected a payment to a cancelled QR', {
+            event: 'monitor.payment_needs_attention',
+            md5Hash,
+            transactionId: monitorInfo.transactionId,
+            subTransactionId: payment?.transactionId || null,
+            billNumber: monitorInfo.billNumber,
+            hash: result?.paymentDetails?.hash || null
+        });
+    }
+
     /**
      * Remove payment from monitoring
      */
@@ -390,7 +637,7 @@ class AutoPaymentMonitor extends EventEmitter {
                 status: monitor.status,
                 createdAt: new Date(monitor.startTime).toISOString()
             });
-            users[monitor.sessionId].totalAmount += monitor.amount;
+            users[monitor.sessionId].totalAmount += monitor.amount || 0; // Static QRs may have no amount
             if (monitor.status === 'PAID') {
                 users[monitor.sessionId].paidAmount += monitor.amount;
             }
@@ -422,7 +669,7 @@ class AutoPaymentMonitor extends EventEmitter {
             await this.checkSinglePayment(hash, monitor);
             return { success: true, data: monitor };
         } catch (error) {
-            logger.error(`Force check failed for payment ${hash}:`, error);
+            this.logger.error(`Force check failed for payment ${hash}:`, error);
             throw error;
         }
     }
@@ -0,0 +1,254 @@
+/**
+ * Bakong Mock Server
+ * Local stand-in for the Bakong Open API (check_transaction_by_md5,
+ * check_transaction_by_md5_list, generate_deeplink_by_qr) so payments can be
+ * exercised without a Cambodian IP. Point BAKONG_API_URL at <url>/v1 and mark
+ * QRs as paid through the /admin endpoints.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const BakongKHQR = require('./BakongKHQR');
+const { logger } = require('./logger');
+
+// Bakong responseCode/errorCode values mirrored by the mock
+const NOT_FOUND = { responseCode: 1, responseMessage: 'Transaction could not be found. Please check and try again.', errorCode: 1, data: null };
+const MAX_BULK_HASHES = 50;
+
+class BakongMockServer {
+    constructor(options = {}) {
+        this.logger = options.logger || logger;
+        this.token = options.token ?? process.env.MOCK_BAKONG_TOKEN ?? null; // null accepts any bearer token
+        this.payments = new Map(); // md5 -> payments, latest last
+        this.qrCodes = new Map(); // md5 -> QR string seen in deeplink requests
+        this.failures = []; // Queued HTTP statuses returned instead of the next responses
+        this.requests = []; // Recent API requests, for assertions in tests
+        this.khqr = new BakongKHQR(null, { logger: this.logger });
+        this.server = null;
+        this.app = this.createApp();
+    }
+
+    /**
+     * Build the Express app: Bakong API under /v1, controls under /admin
+     */
+    createApp() {
+        const app = express();
+        app.use(express.json({ limit: '1mb' }));
+
+        const api = express.Router();
+        api.use((req, res, next) => this.authenticate(req, res, next));
+        api.use((req, res, next) => this.injectFailure(req, res, next));
+
+        api.post('/check_transaction_by_md5', (req, res) => {
+            const { md5 } = req.body || {};
+            if (typeof md5 !== 'string' || !md5) {
+                return res.status(400).json({ responseCode: 1, responseMessage: 'md5 is required', errorCode: 5, data: null });
+            }
+
+            const payment = this.getPayment(md5);
+            res.json(payment ? this.success(payment) : NOT_FOUND);
+        });
+
+        api.post('/check_transaction_by_md5_list', (req, res) => {
+            const md5List = req.body;
+            if (!Array.isArray(md5List)) {
+                return res.status(400).json({ responseCode: 1, responseMessage: 'Request body must be an array of md5 hashes', errorCode: 5, data: null });
+            }
+            if (md5List.length > MAX_BULK_HASHES) {
+                return res.status(400).json({ responseCode: 1, responseMessage: `md5 list exceeds ${MAX_BULK_HASHES} items`, errorCode: 5, data: null });
+            }
+
+            res.json(this.success(md5List.map(md5 => {
+                const payment = this.getPayment(md5);
+                return payment ?
+                    { md5, status: 'SUCCESS', message: 'Transaction found', data: payment } :
+                    { md5, status: 'NOT_FOUND', message: NOT_FOUND.responseMessage, data: null };
+            })));
+        });
+
+        api.post('/generate_deeplink_by_qr', (req, res) => {
+            const { qr, sourceInfo } = req.body || {};
+            if (typeof qr !== 'string' || !qr || !sourceInfo) {
+                return res.status(400).json({ responseCode: 1, responseMessage: 'qr and sourceInfo are required', errorCode: 5, data: null });
+            }
+
+            const md5 = this.khqr.generateMD5(qr);
+            this.qrCodes.set(md5, qr);
+            res.json({
+                responseCode: 0,
+                responseMessage: 'Getting Deep Link successfully',
+                errorCode: null,
+                data: { shortLink: `https://bakong.page.link/mock-${md5.substring(0, 12)}` }
+            });
+        });
+
+        app.use('/v1', api);
+
+        // Admin controls (no authentication: never expose the mock publicly)
+        app.post('/admin/mark-paid', (req, res) => {
+            try {
+                const payment = this.markPaid(req.body || {});
+                res.status(201).json({ success: true, data: payment });
+            } catch (error) {
+                res.status(400).json({ success: false, error: error.message });
+            }
+        });
+
+        app.get('/admin/payments', (req, res) => {
+            const payments = Array.from(this.payments.entries())
+                .map(([md5, list]) => ({ md5, payments: list }));
+            res.json({ success: true, data: payments });
+        });
+
+        app.post('/admin/failures', (req, res) => {
+            const { status = 500, count = 1 } = req.body || {};
+            this.failNext(Number(status), Number(count));
+            res.json({ success: true, data: { queued: this.failures.length } });
+        });
+
+        app.post('/admin/reset', (req, res) => {
+            this.reset();
+            res.json({ success: true });
+        });
+
+        return app;
+    }
+
+    /**
+     * Require a bearer token like Bakong (a specific one when configured)
+     */
+    authenticate(req, res, next) {
+        const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+        if (!match || (this.token && match[1] !== this.token)) {
+            return res.status(401).json({ responseCode: 1, responseMessage: 'Unauthorized, not yet requested for token or code invalid', errorCode: 6, data: null });
+        }
+        next();
+    }
+
+    /**
+     * Record the request and answer with a queued failure status if any
+     */
+    injectFailure(req, res, next) {
+        this.requests.push({ path: req.path, body: req.body, at: Date.now() });
+        if (this.requests.length > 500) {
+            this.requests.shift();
+        }
+
+        const status = this.failures.shift();
+        if (status) {
+            return res.status(status).json({ responseCode: 1, responseMessage: `Simulated HTTP ${status}`, errorCode: null, data: null });
+        }
+        next();
+    }
+
+    /**
+     * Bakong success envelope
+     */
+    success(data) {
+        return { responseCode: 0, responseMessage: 'Success', errorCode: null, data };
+    }
+
+    /**
+     * Latest payment for an MD5 (Bakong only reports the most recent one)
+     */
+    getPayment(md5) {
+        const list = this.payments.get(md5);
+        return list ? list[list.length - 1] : null;
+    }
+
+    /**
+     * Mark a QR (md5 or qr string) as paid. Amount, currency and receiving
+     * account default to the ones encoded in the QR when it is known.
+     */
+    markPaid(options = {}) {
+        const qr = options.qr || this.qrCodes.get(options.md5);
+        const md5 = options.md5 || (qr && this.khqr.generateMD5(qr));
+        if (!md5) {
+            throw new Error('md5 or qr is required');
+        }
+
+        const decoded = qr ? this.khqr.decode(qr) : {};
+        const amount = options.amount ?? decoded.amount;
+        if (amount === undefined || amount === null || !(Number(amount) > 0)) {
+            throw new Error('amount is required for QRs without an encoded amount');
+        }
+
+        const now = Date.now();
+        const payment = {
+            hash: crypto.randomBytes(32).toString('hex'),
+            fromAccountId: options.fromAccountId || 'mock_payer@aclb',
+            toAccountId: options.toAccountId || decoded.bankAccount || 'mock_merchant@aclb',
+            currency: (options.currency || decoded.currency || 'USD').toUpperCase(),
+            amount: Number(amount),
+            description: options.description || 'Mock payment',
+            createdDateMs: options.createdDateMs || now,
+            acknowledgedDateMs: options.acknowledgedDateMs || now,
+            trackingStatus: null,
+            receiverBank: null,
+            receiverBankAccount: null,
+            instructionRef: null,
+            externalRef: options.externalRef || `100FT${now}${Math.floor(Math.random() * 1000)}`
+        };
+
+        if (!this.payments.has(md5)) {
+            this.payments.set(md5, []);
+        }
+        this.payments.get(md5).push(payment);
+        if (qr) {
+            this.qrCodes.set(md5, qr);
+        }
+
+        this.logger.info(`🧪 Mock Bakong payment recorded for ${md5}`, {
+            amount: payment.amount,
+            currency: payment.currency,
+            fromAccountId: payment.fromAccountId
+        });
+
+        return { md5, ...payment };
+    }
+
+    /**
+     * Answer the next count API requests with an HTTP error status
+     */
+    failNext(status = 500, count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.failures.push(status);
+        }
+    }
+
+    /**
+     * Forget all payments, QRs, queued failures and recorded requests
+     */
+    reset() {
+        this.payments.clear();
+        this.qrCodes.clear();
+        this.failures = [];
+        this.requests = [];
+    }
+
+    /**
+     * Start listening (port 0 picks a free port). Resolves to the API base URL.
+     */
+    listen(port = 0, host = '127.0.0.1') {
+        return new Promise((resolve, reject) => {
+            this.server = this.app.listen(port, host, () => {
+                this.url = `http://${host}:${this.server.address().port}/v1`;
+                resolve(this.url);
+            });
+            this.server.on('error', reject);
+        });
+    }
+
+    /**
+     * Stop listening
+     */
+    close() {
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+}
+
+module.exports = BakongMockServer;
@@ -0,0 +1,265 @@
+/**
+ * Merchant Registry
+ * Keeps the Bakong accounts (account ID, name, city, MCC, phone, token) of
+ * every shop, persisted to a JSON file, plus a read-only "default" merchant
+ * built from the BAKONG_* environment variables
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BakongKHQR = require('./BakongKHQR');
+const { KHQRValidationError } = require('./errors');
+const { logger } = require('./logger');
+
+const DEFAULT_MERCHANT_ID = 'default';
+
+// Editable merchant fields
+const MERCHANT_FIELDS = [
+    'bakongAccountId',
+    'merchantName',
+    'merchantCity',
+    'merchantCategoryCode',
+    'phoneNumber',
+    'token',
+    'accountType',
+    'bakongMerchantId',
+    'acquiringBank'
+];
+
+class MerchantRegistry {
+    constructor(options = {}) {
+        this.logger = options.logger || logger; // Passed on to each merchant's Bakong client
+        this.persist = options.persist !== false;
+        this.filePath = options.filePath || process.env.MERCHANT_REGISTRY_PATH ||
+            path.join(__dirname, '../data/merchants.json');
+        this.merchants = new Map(); // merchantId -> merchant
+        this.clients = new Map(); // merchantId -> BakongKHQR
+        this.writeQueue = Promise.resolve();
+
+        this.defaultMerchant = options.defaultMerchant || {
+            merchantId: DEFAULT_MERCHANT_ID,
+            bakongAccountId: process.env.BAKONG_MERCHANT_ID,
+            merchantName: process.env.DEFAULT_MERCHANT_NAME,
+            merchantCity: process.env.DEFAULT_MERCHANT_CITY,
+            merchantCategoryCode: process.env.DEFAULT_MERCHANT_CATEGORY_CODE,
+            phoneNumber: process.env.BAKONG_PHONE_NUMBER,
+            token: process.env.BAKONG_DEVELOPER_TOKEN,
+            accountType: process.env.BAKONG_ACCOUNT_TYPE,
+            bakongMerchantId: process.env.BAKONG_KHQR_MERCHANT_ID,
+            acquiringBank: process.env.BAKONG_ACQUIRING_BANK
+        };
+
+        if (this.persist) {
+            this.load();
+        }
+    }
+
+    /**
+     * Load registered merchants from disk. An unreadable file is moved aside
+     * (kept for manual recovery) and only the default merchant remains.
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        const content = fs.readFileSync(this.filePath, 'utf8');
+        if (!content.trim()) return;
+
+        let records;
+        try {
+            records = JSON.parse(content);
+            if (!Array.isArray(records)) {
+                throw new Error('expected an array of merchants');
+            }
+        } catch (error) {
+            const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(this.filePath, corruptPath);
+            this.logger.error('Merchant registry file is corrupt, starting with the default merchant only', {
+                filePath: this.filePath,
+                corruptPath,
+                error: error.message
+            });
+            return;
+        }
+
+        for (const merchant of records) {
+            this.merchants.set(merchant.merchantId, merchant);
+        }
+    }
+
+    /**
+     * Write registered merchants to disk atomically, serialising concurrent writes.
+     * A failed write rejects only its own caller; later writes still run.
+     */
+    save() {
+        if (!this.persist) return Promise.resolve();
+
+        const records = JSON.stringify(Array.from(this.merchants.values()), null, 2);
+
+        const write = this.writeQueue.catch(() => {}).then(async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, records, { encoding: 'utf8', mode: 0o600 });
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        this.writeQueue = write;
+
+        return write;
+    }
+
+    /**
+     * Validate merchant fields, reusing the KHQR length limits
+     */
+    validate(merchant) {
+        const khqr = new BakongKHQR();
+
+        if (!/^[A-Za-z0-9_-]{1,64}$/.test(merchant.merchantId || '')) {
+            throw new KHQRValidationError('Merchant ID must be 1-64 letters, digits, "_" or "-"', 'merchantId');
+        }
+        if (!merchant.bakongAccountId) {
+            throw new KHQRValidationError('Missing required field: bakongAccountId', 'bakongAccountId');
+        }
+        if (!merchant.merchantName) {
+            throw new KHQRValidationError('Missing required field: merchantName', 'merchantName');
+        }
+        if (!merchant.phoneNumber) {
+            throw new KHQRValidationError('Missing required field: phoneNumber', 'phoneNumber');
+        }
+        if (merchant.merchantCategoryCode && !/^\d{4}$/.test(merchant.merchantCategoryCode)) {
+            throw new KHQRValidationError('Merchant category code must be 4 digits', 'merchantCategoryCode');
+        }
+        if (merchant.accountType && !['individual', 'merchant'].includes(merchant.accountType)) {
+            throw new KHQRValidationError('Account type must be individual or merchant', 'accountType');
+        }
+
+        const { EMV } = BakongKHQR;
+        khqr.validateLength(merchant.bakongAccountId, EMV.INVALID_LENGTH_BAKONG_ACCOUNT, 'Bank account', 'bakongAccountId');
+        khqr.validateLength(merchant.merchantName, EMV.INVALID_LENGTH_MERCHANT_NAME, 'Merchant name', 'merchantName');
+        khqr.validateLength(merchant.merchantCity || '', EMV.INVALID_LENGTH_MERCHANT_CITY, 'Merchant city', 'merchantCity');
+        khqr.validateLength(merchant.phoneNumber, EMV.INVALID_LENGTH_MOBILE_NUMBER, 'Phone number', 'phoneNumber');
+    }
+
+    /**
+     * Get a merchant by ID (undefined or null selects the default merchant)
+     */
+    get(merchantId) {
+        if (!merchantId || merchantId === DEFAULT_MERCHANT_ID) {
+            return this.defaultMerchant;
+        }
+        return this.merchants.get(merchantId) || null;
+    }
+
+    /**
+     * List all merchants, default first
+     */
+    list() {
+        return [this.defaultMerchant, ...this.merchants.values()];
+    }
+
+    /**
+     * Register a new merchant
+     */
+    async create(data) {
+        const merchant = this.pick(data);
+        merchant.merchantId = data.merchantId;
+
+        if (merchant.merchantId === DEFAULT_MERCHANT_ID || this.merchants.has(merchant.merchantId)) {
+            throw new KHQRValidationError(`Merchant ${merchant.merchantId} already exists`, 'merchantId');
+        }
+
+        merchant.merchantCity = merchant.merchantCity || 'Phnom Penh';
+        merchant.merchantCategoryCode = merchant.merchantCategoryCode || '5999';
+        merchant.accountType = merchant.accountType || 'individual';
+        merchant.createdAt = new Date().toISOString();
+        merchant.updatedAt = merchant.createdAt;
+
+        this.validate(merchant);
+        this.merchants.set(merchant.merchantId, merchant);
+        await this.save();
+
+        return merchant;
+    }
+
+    /**
+     * Update fields of a registered merchant
+     */
+    async update(merchantId, data) {
+        if (merchantId === DEFAULT_MERCHANT_ID) {
+            throw new KHQRValidationError('The default merchant is configured through environment variables', 'merchantId');
+        }
+
+        const existing = this.merchants.get(merchantId);
+        if (!existing) return null;
+
+        const merchant = {
+            ...existing,
+            ...this.pick(data),
+            merchantId,
+            updatedAt: new Date().toISOString()
+        };
+
+        this.validate(merchant);
+        this.merchants.set(merchantId, merchant);
+        this.clients.delete(merchantId); // Token may have changed
+        await this.save();
+
+        return merchant;
+    }
+
+    /**
+     * Remove a registered merchant
+     */
+    async remove(merchantId) {
+        if (merchantId === DEFAULT_MERCHANT_ID) {
+            throw new KHQRValidationError('The default merchant cannot be deleted', 'merchantId');
+        }
+
+        const removed = this.merchants.delete(merchantId);
+        this.clients.delete(merchantId);
+        if (removed) {
+            await this.save();
+        }
+        return removed;
+    }
+
+    /**
+     * Get the Bakong client for a merchant, using its own developer token
+     * (falling back to the default token when the merchant has none)
+     */
+    getClient(merchantId) {
+        const merchant = this.get(merchantId);
+        if (!merchant) {
+            throw new KHQRValidationError(`Unknown merchant: ${merchantId}`, 'merchantId');
+        }
+
+        const key = merchant.merchantId;
+        if (!this.clients.has(key)) {
+            this.clients.set(key, new BakongKHQR(merchant.token || this.defaultMerchant.token, { logger: this.logger }));
+        }
+        return this.clients.get(key);
+    }
+
+    /**
+     * Copy only known merchant fields
+     */
+    pick(data = {}) {
+        const merchant = {};
+        for (const field of MERCHANT_FIELDS) {
+            if (data[field] !== undefined) {
+                merchant[field] = data[field];
+            }
+        }
+        return merchant;
+    }
+
+    /**
+     * Merchant view safe for API responses (token removed)
+     */
+    toPublic(merchant) {
+        const { token, ...rest } = merchant;
+        return { ...rest, hasToken: !!token };
+    }
+}
+
+MerchantRegistry.DEFAULT_MERCHANT_ID = DEFAULT_MERCHANT_ID;
+
+module.exports = MerchantRegistry;
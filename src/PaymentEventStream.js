@@ -0,0 +1,135 @@
+/**
+ * Payment Event Stream
+ * Pushes AutoPaymentMonitor events to browsers over Server-Sent Events,
+ * with heartbeats and Last-Event-ID resumption from a bounded replay buffer
+ */
+
+const { logger } = require('./logger');
+
+// Monitor events forwarded to SSE clients
+const STREAM_EVENTS = ['payment_added', 'payment_success', 'payment_expired', 'static_payment_received',
+    'payment_cancelled', 'payment_needs_attention'];
+
+class PaymentEventStream {
+    constructor(options = {}) {
+        this.logger = options.logger || logger;
+        this.heartbeatInterval = options.heartbeatInterval || 15000; // 15 seconds
+        this.bufferSize = options.bufferSize || 1000;
+        this.buffer = []; // Recent events for Last-Event-ID replay
+        this.clients = new Set();
+        this.lastEventId = 0;
+    }
+
+    /**
+     * Subscribe to payment lifecycle events from the auto monitor
+     */
+    attach(autoMonitor) {
+        STREAM_EVENTS.forEach(event => {
+            autoMonitor.on(event, (data) => this.publish(event, data));
+        });
+
+        this.logger.info('📡 Payment Event Stream attached to Auto Payment Monitor');
+    }
+
+    /**
+     * Record an event and push it to every matching client
+     */
+    publish(event, data) {
+        // payment_added emits monitorInfo directly, other events wrap it
+        const monitorInfo = data.monitorInfo || data;
+
+        const entry = {
+            id: ++this.lastEventId,
+            event,
+            data: {
+                transactionId: monitorInfo.transactionId || null,
+                md5Hash: monitorInfo.md5Hash,
+                subTransactionId: data.payment?.transactionId || null, // Static QR payment
+                billNumber: monitorInfo.billNumber,
+                amount: data.payment ? data.payment.paymentData.amount : monitorInfo.amount,
+                currency: data.payment ? data.payment.paymentData.currency : monitorInfo.currency,
+                sessionId: monitorInfo.sessionId,
+                merchantId: monitorInfo.merchantId || null,
+                status: event === 'payment_success' || event === 'static_payment_received' ? 'PAID' :
+                    event === 'payment_expired' ? 'EXPIRED' :
+                    event === 'payment_cancelled' || event === 'payment_needs_attention' ? 'CANCELLED' : 'PENDING',
+                paymentDetails: data.result?.paymentDetails || null,
+                reconciliation: data.result?.reconciliation || null,
+                reason: data.reason || null, // Cancellation reason or why the payment needs attention
+                timestamp: new Date().toISOString()
+            }
+        };
+
+        this.buffer.push(entry);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+
+        for (const client of this.clients) {
+            if (client.filter(entry.data)) {
+                this.write(client.res, entry);
+            }
+        }
+
+        return entry;
+    }
+
+    /**
+     * Open an SSE connection on an Express response.
+     * Replays buffered events newer than lastEventId that match the filter.
+     */
+    subscribe(req, res, filter = () => true) {
+        res.status(200);
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+        });
+        res.flushHeaders();
+
+        // Tell the browser how long to wait before reconnecting
+        res.write(`retry: 5000\n\n`);
+
+        const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId) || 0;
+        if (lastEventId > 0) {
+            this.buffer
+                .filter(entry => entry.id > lastEventId && filter(entry.data))
+                .forEach(entry => this.write(res, entry));
+        }
+
+        const client = { res, filter };
+        this.clients.add(client);
+
+        const heartbeat = setInterval(() => {
+            res.write(`: heartbeat ${Date.now()}\n\n`);
+        }, this.heartbeatInterval);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            this.clients.delete(client);
+        });
+
+        return client;
+    }
+
+    /**
+     * Write an event in SSE wire format
+     */
+    write(res, entry) {
+        if (entry.id !== undefined) {
+            res.write(`id: ${entry.id}\n`);
+        }
+        res.write(`event: ${entry.event}\n`);
+        res.write(`data: ${JSON.stringify(entry.data)}\n\n`);
+    }
+
+    /**
+     * Number of connected clients
+     */
+    getClientCount() {
+        return this.clients.size;
+    }
+}
+
+module.exports = PaymentEventStream;
@@ -2,25 +2,32 @@
  * Payment Service - Handles all payment operations with logging and auto-monitoring
  */
 
-const BakongKHQR = require('./BakongKHQR');
+const MerchantRegistry = require('./MerchantRegistry');
+const WebhookService = require('./WebhookService');
+const { createTransactionStore, OPEN_STATUSES } = require('./TransactionStore');
+const { SETTLED_STATUSES, canTransition, transition, recordAudit } = require('./PaymentStateMachine');
+const { KHQRValidationError, PaymentConflictError } = require('./errors');
+const { checkAmount } = require('./schemas');
+const { logger, createLogHelpers, maskAccount } = require('./logger');
 const { v4: uuidv4 } = require('uuid');
-const fs = require('fs').promises;
-const path = require('path');
-const {
-    logger,
-    logPaymentGeneration,
-    logPaymentCheck,
-    logDeepLinkGeneration,
-    logApiRequest,
-    logPaymentSuccess
-} = require('./logger');
+
+// Payments to a static QR timestamped slightly before the QR was created are
+// still attributed to it, to absorb clock differences with Bakong
+const STATIC_CLOCK_SKEW = 60 * 1000; // 1 minute
 
 class PaymentService {
-    constructor() {
-        this.khqr = new BakongKHQR(process.env.BAKONG_DEVELOPER_TOKEN);
-        this.activeTransactions = new Map();
-        this.transactionHistory = [];
+    constructor(options = {}) {
+        this.logger = options.logger || logger;
+        this.log = createLogHelpers(this.logger);
+        this.merchants = options.merchantRegistry || new MerchantRegistry({ logger: this.logger });
+        this.khqr = this.merchants.getClient(); // Default merchant client
+        this.store = options.store || createTransactionStore({ logger: this.logger });
+        this.defaultExpiresIn = options.defaultExpiresIn ||
+            parseInt(process.env.PAYMENT_EXPIRES_IN) || 30 * 60 * 1000; // 30 minutes for dynamic QRs
         this.autoMonitor = null; // Will be set by server
+        this.pendingCreates = new Map(); // Idempotency lock -> in-flight create
+        this.staticChecks = new Map(); // Static QR transactionId -> in-flight poll
+        this.transactionLocks = new Map(); // transactionId -> in-flight refund or cancellation
     }
 
     /**
@@ -28,84 +35,191 @@ class PaymentService {
      */
     setAutoMonitor(autoMonitor) {
         this.autoMonitor = autoMonitor;
-        logger.info('🤖 Auto Payment Monitor connected to PaymentService');
+        this.logger.info('🤖 Auto Payment Monitor connected to PaymentService');
+    }
+
+    /**
+     * Create a new payment QR code.
+     * Retries with the same Idempotency-Key, or for a bill number that still has
+     * an open payment, return the original transaction instead of a second QR.
+     */
+    async createPayment(paymentData, options = {}) {
+        const { idempotencyKey } = options;
+        const merchantId = paymentData.merchantId || MerchantRegistry.DEFAULT_MERCHANT_ID;
+
+        if (idempotencyKey !== undefined && (typeof idempotencyKey !== 'string' || !/^[\x21-\x7e]{1,255}$/.test(idempotencyKey))) {
+            throw new KHQRValidationError('Idempotency-Key must be 1-255 printable ASCII characters', 'idempotencyKey');
+        }
+
+        const lockKey = idempotencyKey ? `key:${merchantId}:${idempotencyKey}` :
+            paymentData.billNumber ? `bill:${merchantId}:${paymentData.billNumber}` : null;
+        if (!lockKey) {
+            return this.issuePayment({ ...paymentData, billNumber: `BILL${Date.now()}` }, options);
+        }
+
+        // Serialise creates sharing a key so concurrent retries cannot both issue a QR
+        const previous = this.pendingCreates.get(lockKey) || Promise.resolve();
+        const current = previous.catch(() => {}).then(async () => {
+            const existing = await this.findDuplicate(paymentData, idempotencyKey, merchantId);
+            if (existing) {
+                this.logger.info(`♻️ Returning existing payment for duplicate request: ${existing.transactionId}`, {
+                    idempotencyKey,
+                    billNumber: existing.paymentData.billNumber
+                });
+                return { ...existing, idempotentReplay: true };
+            }
+
+            return this.issuePayment({
+                ...paymentData,
+                billNumber: paymentData.billNumber || `BILL${Date.now()}`
+            }, options);
+        });
+
+        this.pendingCreates.set(lockKey, current);
+        try {
+            return await current;
+        } finally {
+            if (this.pendingCreates.get(lockKey) === current) {
+                this.pendingCreates.delete(lockKey);
+            }
+        }
     }
 
     /**
-     * Create a new payment QR code
+     * Find the transaction a create request repeats.
+     * Throws PaymentConflictError when the request reuses its key or bill number
+     * for a different payment, or the bill number is already settled.
      */
-    async createPayment(paymentData) {
+    async findDuplicate(paymentData, idempotencyKey, merchantId) {
+        if (idempotencyKey) {
+            const [existing] = await this.store.list({ idempotencyKey, merchantId });
+            if (existing) {
+                if (!this.isSameRequest(existing, paymentData)) {
+                    throw new PaymentConflictError('Idempotency-Key was already used for a different payment', {
+                        code: 'IDEMPOTENCY_KEY_REUSED',
+                        field: 'idempotencyKey',
+                        transactionId: existing.transactionId
+                    });
+                }
+                return existing;
+            }
+        }
+
+        if (paymentData.billNumber) {
+            // Expired and cancelled bills may be issued again with a fresh QR,
+            // unless a late payment arrived for the cancelled one
+            const transactions = await this.store.list({ billNumber: paymentData.billNumber, merchantId });
+            const existing = transactions.find(transaction => !transaction.staticQrId && !this.isExpired(transaction) &&
+                !(transaction.status === 'CANCELLED' && !transaction.needsAttention));
+            if (existing) {
+                if (!OPEN_STATUSES.includes(existing.status) || !this.isSameRequest(existing, paymentData)) {
+                    throw new PaymentConflictError(
+                        `Bill number ${paymentData.billNumber} is already used by ${existing.status} transaction ${existing.transactionId}`, {
+                            code: 'DUPLICATE_BILL_NUMBER',
+                            field: 'billNumber',
+                            transactionId: existing.transactionId
+                        });
+                }
+                return existing;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Whether a create request asks for the same payment as an existing transaction
+     */
+    isSameRequest(transaction, paymentData) {
+        const original = transaction.paymentData;
+        return original.amount === paymentData.amount &&
+            original.currency === paymentData.currency &&
+            !!original.isStatic === !!paymentData.isStatic &&
+            (!paymentData.billNumber || original.billNumber === paymentData.billNumber);
+    }
+
+    /**
+     * Generate the QR code, persist the transaction and start monitoring it
+     */
+    async issuePayment(paymentData, options = {}) {
         const transactionId = uuidv4();
         const startTime = Date.now();
 
         try {
-            logger.info(`🚀 Creating payment transaction: ${transactionId}`, paymentData);
+            this.logger.info(`🚀 Creating payment transaction: ${transactionId}`, paymentData);
 
             // Validate input
             this.validatePaymentData(paymentData);
 
+            // Resolve the merchant whose Bakong account and token receive this payment
+            const merchant = this.merchants.get(paymentData.merchantId);
+            if (!merchant) {
+                throw new KHQRValidationError(`Unknown merchant: ${paymentData.merchantId}`, 'merchantId');
+            }
+            const khqr = this.merchants.getClient(merchant.merchantId);
+
+            // Resolve expiry: explicit expiresAt/expiresIn, otherwise the default for dynamic QRs
+            const expiresAt = khqr.resolveExpiry({
+                expiresAt: paymentData.expiresAt,
+                expiresIn: paymentData.expiresIn ??
+                    (paymentData.isStatic ? null : this.defaultExpiresIn)
+            });
+
             // Generate QR code
-            const qrCode = this.khqr.createQR({
-                bankAccount: process.env.BAKONG_MERCHANT_ID,
-                merchantName: paymentData.merchantName || process.env.DEFAULT_MERCHANT_NAME,
-                merchantCity: paymentData.merchantCity || process.env.DEFAULT_MERCHANT_CITY,
+            const qrCode = khqr.createQR({
+                bankAccount: merchant.bakongAccountId,
+                merchantName: paymentData.merchantName || merchant.merchantName,
+                merchantCity: paymentData.merchantCity || merchant.merchantCity,
+                merchantCategoryCode: merchant.merchantCategoryCode,
                 amount: paymentData.amount,
                 currency: paymentData.currency,
                 storeLabel: paymentData.storeLabel,
-                phoneNumber: process.env.BAKONG_PHONE_NUMBER,
+                phoneNumber: merchant.phoneNumber,
                 billNumber: paymentData.billNumber,
                 terminalLabel: paymentData.terminalLabel,
-                isStatic: paymentData.isStatic || false
+                isStatic: paymentData.isStatic || false,
+                accountType: paymentData.accountType || merchant.accountType || 'individual',
+                merchantId: paymentData.bakongMerchantId || merchant.bakongMerchantId,
+                acquiringBank: paymentData.acquiringBank || merchant.acquiringBank,
+                expiresAt
             });
 
             // Generate MD5 hash for tracking
-            const md5Hash = this.khqr.generateMD5(qrCode);
-
-            // Generate QR image
-            let imagePath = null;
-            try {
-                const imageDir = path.join(__dirname, '../temp');
-                await fs.mkdir(imageDir, { recursive: true });
-                imagePath = path.join(imageDir, `qr_${paymentData.billNumber}.png`);
-                await this.khqr.generateQRImage(qrCode, { 
-                    format: 'png', 
-                    outputPath: imagePath 
-                });
-            } catch (imageError) {
-                logger.warn('QR image generation failed', { error: imageError.message });
-            }
+            const md5Hash = khqr.generateMD5(qrCode);
 
             // Generate deep link
             let deepLink = null;
             try {
-                deepLink = await this.khqr.generateDeeplink(
+                deepLink = await khqr.generateDeeplink(
                     qrCode,
                     paymentData.callback || 'https://bakong-test.com/success',
                     paymentData.appIconUrl || 'https://bakong-test.com/icon.png',
                     paymentData.appName || 'Bakong Test'
                 );
-                logDeepLinkGeneration(qrCode, deepLink);
+                this.log.logDeepLinkGeneration(qrCode, deepLink);
             } catch (deepLinkError) {
-                logger.warn('Deep link generation failed', { error: deepLinkError.message });
+                this.logger.warn('Deep link generation failed', { error: deepLinkError.message });
             }
 
             const result = {
                 transactionId,
                 qrCode,
                 md5Hash,
-                imagePath,
                 deepLink,
                 createdAt: new Date().toISOString(),
-                status: 'PENDING',
+                expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+                merchantId: merchant.merchantId,
+                idempotencyKey: options.idempotencyKey || null,
+                status: paymentData.isStatic ? 'ACTIVE' : 'PENDING',
                 paymentData
             };
+            recordAudit(result, null, result.status, { actor: options.actor, reason: 'Payment created' });
 
-            // Store active transaction
-            this.activeTransactions.set(transactionId, result);
-            this.transactionHistory.push(result);
+            // Persist transaction
+            await this.store.save(result);
 
             // Log successful generation
-            logPaymentGeneration(paymentData, result);
+            this.log.logPaymentGeneration(paymentData, result);
 
             // Start auto-monitoring if available
             if (this.autoMonitor) {
@@ -116,119 +230,632 @@ class PaymentService {
                     currency: paymentData.currency,
                     storeLabel: paymentData.storeLabel,
                     qrCode,
-                    transactionId
+                    transactionId,
+                    webhookUrl: paymentData.webhookUrl,
+                    expiresAt,
+                    merchantId: merchant.merchantId,
+                    isStatic: !!paymentData.isStatic
                 };
                 
                 this.autoMonitor.addPayment(monitorData, paymentData.sessionId || 'anonymous');
-                
-                console.log('\n🤖 AUTO-MONITORING ENABLED for this payment');
-                console.log(`🔍 Payment will be checked every 10 seconds`);
-                console.log(`⏰ Auto-monitoring duration: 30 minutes\n`);
             }
 
             const processingTime = Date.now() - startTime;
-            logger.info(`✅ Payment created successfully: ${transactionId} (${processingTime}ms)`);
+            this.logger.info(`✅ Payment created successfully: ${transactionId} (${processingTime}ms)`, {
+                event: 'payment.created',
+                transactionId,
+                md5Hash,
+                processingTime,
+                autoMonitored: !!this.autoMonitor
+            });
 
             return result;
 
         } catch (error) {
             const processingTime = Date.now() - startTime;
-            logger.error(`❌ Payment creation failed: ${transactionId} (${processingTime}ms)`, { error: error.message });
+            this.logger.error(`❌ Payment creation failed: ${transactionId} (${processingTime}ms)`, { error: error.message });
             throw error;
         }
     }
 
     /**
-     * Check payment status
+     * Get the Bakong client for a merchant, falling back to the default
+     * merchant when it is unknown (e.g. removed after the payment was created)
+     */
+    getClient(merchantId) {
+        return this.merchants.get(merchantId) ? this.merchants.getClient(merchantId) : this.khqr;
+    }
+
+    /**
+     * Resolve a transaction by transaction ID or MD5 hash
      */
-    async checkPaymentStatus(identifier) {
+    async findTransaction(identifier) {
+        return await this.store.get(identifier) || await this.store.findByMd5(identifier);
+    }
+
+    /**
+     * Re-attach pending transactions to the auto monitor after a restart
+     */
+    async resumeMonitoring() {
+        if (!this.autoMonitor) return 0;
+
+        const pending = await this.store.list({ status: OPEN_STATUSES });
+        for (const transaction of pending) {
+            this.autoMonitor.addPayment({
+                md5Hash: transaction.md5Hash,
+                billNumber: transaction.paymentData.billNumber,
+                amount: transaction.paymentData.amount,
+                currency: transaction.paymentData.currency,
+                storeLabel: transaction.paymentData.storeLabel,
+                qrCode: transaction.qrCode,
+                transactionId: transaction.transactionId,
+                webhookUrl: transaction.paymentData.webhookUrl,
+                merchantId: transaction.merchantId,
+                isStatic: !!transaction.paymentData.isStatic,
+                expiresAt: transaction.expiresAt ? new Date(transaction.expiresAt).getTime() : null,
+                startTime: new Date(transaction.createdAt).getTime()
+            }, transaction.paymentData.sessionId || 'anonymous');
+        }
+
+        if (pending.length > 0) {
+            this.logger.info(`🔁 Resumed monitoring for ${pending.length} pending transactions`);
+        }
+
+        return pending.length;
+    }
+
+    /**
+     * Check payment status.
+     * Pass options.reportedStatus when the status is already known (e.g. from a
+     * bulk check) to skip the single-hash status request.
+     */
+    async checkPaymentStatus(identifier, options = {}) {
         try {
-            logger.info(`🔍 Checking payment status: ${identifier}`);
+            this.logger.debug(`🔍 Checking payment status: ${identifier}`);
+
+            // Identifier may be a transaction ID or an MD5 hash
+            const transaction = await this.findTransaction(identifier);
+            const md5Hash = transaction ? transaction.md5Hash : identifier;
+
+            // A QR past its expiry gets one final Bakong check, so a payment made in
+            // the last poll interval is still confirmed; only a confirmed UNPAID (or
+            // a static QR, after recording its last payments) expires it.
+            // A status reported by a bulk check is trusted as-is, so a PAID report
+            // settles even an EXPIRED transaction (EXPIRED -> PAID).
+            let reportedStatus = options.reportedStatus;
+            if (transaction && !reportedStatus && this.isExpired(transaction) && transaction.status !== 'EXPIRED') {
+                if (transaction.paymentData.isStatic) {
+                    await this.checkStaticPayments(transaction);
+                    reportedStatus = 'UNPAID';
+                } else {
+                    reportedStatus = await this.getClient(transaction.merchantId).checkPayment(transaction.md5Hash);
+                }
+            }
 
-            let md5Hash = identifier;
-            let transaction = null;
+            const expired = transaction && this.isExpired(transaction) &&
+                ((transaction.status === 'EXPIRED' && reportedStatus !== 'PAID') || reportedStatus === 'UNPAID');
+            if (expired) {
+                await this.markExpired(transaction);
+                this.logger.info(`⏰ Payment expired: ${identifier}`);
 
-            // Check if identifier is transaction ID
-            if (this.activeTransactions.has(identifier)) {
-                transaction = this.activeTransactions.get(identifier);
-                md5Hash = transaction.md5Hash;
+                return {
+                    identifier,
+                    md5Hash,
+                    status: 'EXPIRED',
+                    paymentDetails: null,
+                    transaction,
+                    checkedAt: new Date().toISOString()
+                };
+            }
+
+            // Settled (or refunded) and cancelled payments are final; Bakong is not asked again.
+            // Payments attributed to a static QR are recorded already settled.
+            if (transaction && (transaction.staticQrId || this.isFinal(transaction))) {
+                return {
+                    identifier,
+                    md5Hash: null,
+                    status: transaction.status,
+                    paymentDetails: transaction.paymentDetails,
+                    reconciliation: transaction.reconciliation,
+                    needsAttention: transaction.needsAttention,
+                    transaction,
+                    checkedAt: new Date().toISOString()
+                };
+            }
+
+            // Static QRs collect many payments: poll for new ones instead of settling the QR
+            if (transaction?.paymentData.isStatic) {
+                const newPayments = await this.checkStaticPayments(transaction);
+
+                return {
+                    identifier,
+                    md5Hash,
+                    status: transaction.status,
+                    newPayments,
+                    transaction,
+                    checkedAt: new Date().toISOString()
+                };
             }
 
             // Check payment status via API
-            const status = await this.khqr.checkPayment(md5Hash);
+            const khqr = this.getClient(transaction?.merchantId);
+            const status = reportedStatus || await khqr.checkPayment(md5Hash);
             
             // Get payment details if paid
             let paymentDetails = null;
             if (status === 'PAID') {
                 try {
-                    paymentDetails = await this.khqr.getPayment(md5Hash);
+                    paymentDetails = await khqr.getPayment(md5Hash);
                     
                     // Log payment success
                     if (paymentDetails) {
-                        logPaymentSuccess(paymentDetails, md5Hash);
+                        this.log.logPaymentSuccess(paymentDetails, md5Hash);
                     }
                     
-                    // Enhanced console logging for successful payments
-                    console.log('\n💼========================================💼');
-                    console.log('       PAYMENT SERVICE NOTIFICATION       ');
-                    console.log('💼========================================💼');
-                    console.log(`🔍 Payment Check Result: PAYMENT CONFIRMED`);
-                    console.log(`🆔 Identifier: ${identifier}`);
-                    console.log(`🔑 MD5 Hash: ${md5Hash}`);
-                    console.log(`⏰ Checked At: ${new Date().toLocaleString()}`);
-                    if (transaction) {
-                        console.log(`📋 Bill Number: ${transaction.billNumber}`);
-                        console.log(`🏪 Store: ${transaction.storeLabel}`);
-                        console.log(`💰 Amount: ${transaction.amount} ${transaction.currency}`);
-                    }
-                    console.log('💼========================================💼\n');
+                    this.logger.info(`💼 Payment confirmed: ${identifier}`, {
+                        event: 'payment.confirmed',
+                        identifier,
+                        md5Hash,
+                        transactionId: transaction?.transactionId || null,
+                        billNumber: transaction?.paymentData?.billNumber,
+                        storeLabel: transaction?.paymentData?.storeLabel,
+                        amount: paymentDetails?.amount ?? transaction?.paymentData?.amount,
+                        currency: paymentDetails?.currency ?? transaction?.paymentData?.currency,
+                        fromAccountId: maskAccount(paymentDetails?.fromAccountId),
+                        toAccountId: paymentDetails?.toAccountId,
+                        hash: paymentDetails?.hash,
+                        externalRef: paymentDetails?.externalRef,
+                        acknowledgedDateMs: paymentDetails?.acknowledgedDateMs
+                    });
                     
                 } catch (detailError) {
-                    logger.warn('Could not retrieve payment details', { error: detailError.message });
+                    this.logger.warn('Could not retrieve payment details', { error: detailError.message });
                 }
             }
 
-            // Update transaction status if we have it
+            // Compare the settled amount, currency and account with the request
+            let reconciliation = null;
+            if (transaction && paymentDetails) {
+                reconciliation = this.reconcile(transaction, paymentDetails);
+            }
+
+            // Update transaction status if we have it; UNKNOWN means Bakong could
+            // not be reached, so the stored status is left as it was
             if (transaction) {
                 const previousStatus = transaction.status;
-                transaction.status = status;
+                if (status === 'PAID' && transaction.status === 'CANCELLED') {
+                    this.flagLatePayment(transaction, paymentDetails);
+                } else if (status === 'PAID') {
+                    transition(transaction, 'PAID', {
+                        reason: previousStatus === 'EXPIRED' ? 'Payment confirmed by Bakong after expiry' : 'Payment confirmed by Bakong',
+                        hash: paymentDetails?.hash
+                    });
+                }
                 transaction.lastChecked = new Date().toISOString();
                 if (paymentDetails) {
                     transaction.paymentDetails = paymentDetails;
                 }
+                if (reconciliation) {
+                    transaction.reconciliation = reconciliation;
+                }
+                await this.store.save(transaction);
                 
                 // Log status change
                 if (previousStatus !== status && status === 'PAID') {
-                    console.log('\n🔄========================================🔄');
-                    console.log('        PAYMENT STATUS CHANGED!           ');
-                    console.log('🔄========================================🔄');
-                    console.log(`📊 Status Change: ${previousStatus} → ${status}`);
-                    console.log(`🆔 Transaction ID: ${identifier}`);
-                    console.log(`⏰ Status Changed At: ${new Date().toLocaleString()}`);
-                    console.log('🔄========================================🔄\n');
+                    this.logger.info(`🔄 Payment status changed: ${previousStatus} → ${status}`, {
+                        event: 'payment.status_changed',
+                        transactionId: transaction.transactionId,
+                        from: previousStatus,
+                        to: status
+                    });
                 }
             }
 
             // Log status check
-            logPaymentCheck(md5Hash, status, paymentDetails);
+            this.log.logPaymentCheck(md5Hash, status, paymentDetails);
+
+            this.logger.debug(`📊 Payment status checked: ${identifier} - ${status}`);
 
-            logger.info(`📊 Payment status checked: ${identifier} - ${status}`);
+            // A cancelled payment stays cancelled whatever Bakong reports
+            const cancelled = transaction?.status === 'CANCELLED';
 
             return {
                 identifier,
                 md5Hash,
-                status,
+                status: cancelled ? 'CANCELLED' : status,
                 paymentDetails,
+                reconciliation,
+                needsAttention: cancelled ? transaction.needsAttention || null : undefined,
                 transaction,
                 checkedAt: new Date().toISOString()
             };
 
         } catch (error) {
-            logger.error(`❌ Payment status check failed: ${identifier}`, { error: error.message });
+            this.logger.error(`❌ Payment status check failed: ${identifier}`, { error: error.message });
             throw error;
         }
     }
 
+    /**
+     * Reconcile a confirmed payment against the transaction it settles.
+     * Outcome is PAID, UNDERPAID, OVERPAID, MISMATCHED_CURRENCY or MISMATCHED_ACCOUNT;
+     * amounts are compared in cents for USD and whole riel for KHR.
+     */
+    reconcile(transaction, paymentDetails) {
+        const expected = {
+            amount: transaction.paymentData.amount,
+            currency: String(transaction.paymentData.currency).toUpperCase(),
+            account: this.khqr.decode(transaction.qrCode).bankAccount // Account the QR actually pays into
+        };
+        const received = {
+            amount: Number(paymentDetails.amount),
+            currency: String(paymentDetails.currency || '').toUpperCase(),
+            account: paymentDetails.toAccountId || null
+        };
+
+        let outcome;
+        let difference = null;
+        if (received.account && received.account !== expected.account) {
+            outcome = 'MISMATCHED_ACCOUNT';
+        } else if (received.currency !== expected.currency) {
+            outcome = 'MISMATCHED_CURRENCY';
+        } else if (expected.amount === undefined || expected.amount === null) {
+            outcome = 'PAID'; // Static QR without a reference amount: payer chose the amount
+        } else {
+            const scale = expected.currency === 'KHR' ? 1 : 100;
+            const units = Math.round(received.amount * scale) - Math.round(expected.amount * scale);
+            difference = units / scale;
+            outcome = units < 0 ? 'UNDERPAID' : units > 0 ? 'OVERPAID' : 'PAID';
+        }
+
+        const reconciliation = {
+            outcome,
+            expected,
+            received,
+            difference,
+            reconciledAt: new Date().toISOString()
+        };
+
+        if (outcome !== 'PAID') {
+            this.logger.warn(`⚠️ Payment reconciliation: ${outcome} for ${transaction.transactionId}`, {
+                transactionId: transaction.transactionId,
+                billNumber: transaction.paymentData.billNumber,
+                merchantId: transaction.merchantId,
+                expected,
+                received,
+                difference
+            });
+        } else {
+            this.logger.info(`🧾 Payment reconciled: ${transaction.transactionId}`, { outcome, received });
+        }
+
+        return reconciliation;
+    }
+
+    /**
+     * Poll a static QR (object, transaction ID or MD5 hash) for payments not yet
+     * attributed to it. Every payer of a static QR produces the same MD5, so each
+     * poll surfaces the latest payment Bakong holds for it; payments are told
+     * apart by Bakong hash and externalRef and must fall inside the QR's active window.
+     * Resolves to the newly recorded sub-transactions.
+     */
+    async checkStaticPayments(staticQrOrId) {
+        const staticQr = typeof staticQrOrId === 'string' ?
+            await this.findTransaction(staticQrOrId) :
+            staticQrOrId;
+
+        if (!staticQr || !staticQr.paymentData.isStatic) {
+            throw new KHQRValidationError(`Not a static QR: ${staticQrOrId}`, 'identifier');
+        }
+        if (staticQr.status !== 'ACTIVE' && staticQr.status !== 'CANCELLED') {
+            return []; // Cancelled QRs are still polled so late payments get flagged
+        }
+
+        // Coalesce concurrent polls (auto monitor and API) of the same QR
+        const inFlight = this.staticChecks.get(staticQr.transactionId);
+        if (inFlight) return inFlight;
+
+        const check = (async () => {
+            const paymentDetails = await this.getClient(staticQr.merchantId).getPayment(staticQr.md5Hash);
+            const payment = paymentDetails ? await this.recordStaticPayment(staticQr, paymentDetails) : null;
+
+            staticQr.lastChecked = new Date().toISOString();
+            await this.store.save(staticQr);
+
+            return payment ? [payment] : [];
+        })();
+
+        this.staticChecks.set(staticQr.transactionId, check);
+        try {
+            return await check;
+        } finally {
+            this.staticChecks.delete(staticQr.transactionId);
+        }
+    }
+
+    /**
+     * Record a Bakong payment against a static QR as its own sub-transaction.
+     * Returns null when the payment was already recorded or falls outside the QR's window.
+     */
+    async recordStaticPayment(staticQr, paymentDetails) {
+        const paidAt = paymentDetails.createdDateMs || Date.now();
+        const openedAt = new Date(staticQr.createdAt).getTime() - STATIC_CLOCK_SKEW;
+        const closesAt = staticQr.expiresAt ? new Date(staticQr.expiresAt).getTime() : Infinity;
+        if (paidAt < openedAt || paidAt > closesAt) {
+            return null;
+        }
+
+        const recorded = await this.store.list({ staticQrId: staticQr.transactionId });
+        const isRecorded = recorded.some(payment =>
+            payment.paymentDetails.hash === paymentDetails.hash ||
+            (paymentDetails.externalRef && payment.paymentDetails.externalRef === paymentDetails.externalRef)
+        );
+        if (isRecorded) {
+            return null;
+        }
+
+        const payment = {
+            transactionId: uuidv4(),
+            staticQrId: staticQr.transactionId,
+            md5Hash: null, // The MD5 identifies the static QR, not this payment
+            createdAt: new Date(paidAt).toISOString(),
+            merchantId: staticQr.merchantId,
+            status: 'PAID',
+            auditTrail: [],
+            paymentData: {
+                amount: Number(paymentDetails.amount),
+                currency: String(paymentDetails.currency || staticQr.paymentData.currency).toUpperCase(),
+                billNumber: staticQr.paymentData.billNumber,
+                storeLabel: staticQr.paymentData.storeLabel,
+                terminalLabel: staticQr.paymentData.terminalLabel
+            },
+            paymentDetails,
+            reconciliation: this.reconcile(staticQr, paymentDetails)
+        };
+        recordAudit(payment, null, 'PAID', { reason: 'Payment to static QR', hash: paymentDetails.hash });
+        if (staticQr.cancelledAt && paidAt > new Date(staticQr.cancelledAt).getTime()) {
+            this.flagLatePayment(payment, paymentDetails);
+        }
+
+        await this.store.save(payment);
+        this.log.logPaymentSuccess(paymentDetails, staticQr.md5Hash);
+        this.logger.info(`🧾 Static QR payment recorded: ${payment.transactionId}`, {
+            staticQrId: staticQr.transactionId,
+            amount: payment.paymentData.amount,
+            currency: payment.paymentData.currency,
+            hash: paymentDetails.hash
+        });
+
+        return payment;
+    }
+
+    /**
+     * Get a static QR (transaction ID or MD5 hash) and the payments attributed to it,
+     * newest first, with totals per currency. Returns null for unknown or dynamic QRs.
+     */
+    async getStaticPayments(identifier, limit = 50) {
+        const staticQr = await this.findTransaction(identifier);
+        if (!staticQr || !staticQr.paymentData.isStatic) {
+            return null;
+        }
+
+        const payments = await this.store.list({ staticQrId: staticQr.transactionId });
+        const totals = {};
+        for (const payment of payments) {
+            const { amount, currency } = payment.paymentData;
+            totals[currency] = Math.round(((totals[currency] || 0) + amount) * 100) / 100;
+        }
+
+        return {
+            staticQr,
+            payments: payments.slice(-limit).reverse(),
+            count: payments.length,
+            totals
+        };
+    }
+
+    /**
+     * Whether a transaction needs no further status checks: settled or refunded,
+     * or cancelled with a late payment already flagged
+     */
+    isFinal(transaction) {
+        return SETTLED_STATUSES.includes(transaction.status) ||
+            (transaction.status === 'CANCELLED' && !!transaction.needsAttention);
+    }
+
+    /**
+     * Whether an unpaid transaction has passed its expiry
+     */
+    isExpired(transaction) {
+        if (transaction.status === 'EXPIRED') return true;
+        if (!OPEN_STATUSES.includes(transaction.status)) return false;
+        return !!transaction.expiresAt && Date.now() > new Date(transaction.expiresAt).getTime();
+    }
+
+    /**
+     * Mark a transaction (object, transaction ID or MD5 hash) as expired
+     */
+    async markExpired(transactionOrId) {
+        const transaction = typeof transactionOrId === 'string' ?
+            await this.findTransaction(transactionOrId) :
+            transactionOrId;
+
+        if (!transaction || !OPEN_STATUSES.includes(transaction.status)) {
+            return transaction;
+        }
+
+        transition(transaction, 'EXPIRED', { reason: 'QR expired' });
+        transaction.expiredAt = new Date().toISOString();
+        await this.store.save(transaction);
+        return transaction;
+    }
+
+    /**
+     * Record a manual refund or void of a confirmed payment (transaction ID or MD5 hash).
+     * Omitting the amount refunds whatever is left; a VOID reverses the full
+     * payment and is only allowed before any refund. Cancelled payments can only be
+     * refunded once a late payment was flagged. Resolves to null for unknown payments.
+     */
+    async refundPayment(identifier, refundData = {}) {
+        const transaction = await this.findTransaction(identifier);
+        if (!transaction) return null;
+
+        return this.withTransactionLock(transaction.transactionId, async () => {
+            // Re-read so concurrent refunds see each other
+            const current = await this.store.get(transaction.transactionId);
+            const { reason, actor, type = 'REFUND' } = refundData;
+
+            if (!canTransition(current.status, 'REFUNDED') || (current.status === 'CANCELLED' && !current.needsAttention)) {
+                throw new PaymentConflictError(`Payment ${current.transactionId} is ${current.status} and cannot be refunded`, {
+                    code: 'INVALID_STATUS_TRANSITION',
+                    field: 'status',
+                    transactionId: current.transactionId
+                });
+            }
+            if (!['REFUND', 'VOID'].includes(type)) {
+                throw new KHQRValidationError('Refund type must be REFUND or VOID', 'type');
+            }
+            if (typeof reason !== 'string' || !reason.trim() || reason.length > 255) {
+                throw new KHQRValidationError('Refund reason must be 1-255 characters', 'reason');
+            }
+
+            // Refund what was actually received, in the currency it was paid in
+            const received = current.reconciliation?.received;
+            const currency = received?.currency || current.paymentData.currency;
+            const scale = currency === 'KHR' ? 1 : 100;
+            const paidUnits = Math.round((received ? received.amount : current.paymentData.amount) * scale);
+            const refundedUnits = Math.round((current.refundedAmount || 0) * scale);
+            const remainingUnits = paidUnits - refundedUnits;
+
+            const amount = refundData.amount ?? remainingUnits / scale;
+            if (typeof amount !== 'number' || !(amount > 0) || Math.abs(amount * scale - Math.round(amount * scale)) > 1e-6) {
+                throw new KHQRValidationError(currency === 'KHR' ?
+                    'Refund amount must be a positive whole number of riel' :
+                    'Refund amount must be a positive amount with at most 2 decimals', 'amount');
+            }
+            const amountUnits = Math.round(amount * scale);
+            if (amountUnits > remainingUnits) {
+                throw new KHQRValidationError(`Refund amount exceeds the refundable ${remainingUnits / scale} ${currency}`, 'amount');
+            }
+            if (type === 'VOID' && (refundedUnits > 0 || amountUnits !== paidUnits)) {
+                throw new KHQRValidationError('A void must reverse the full payment before any refund', 'type');
+            }
+
+            const refund = {
+                refundId: uuidv4(),
+                type,
+                amount: amountUnits / scale,
+                currency,
+                reason: reason.trim(),
+                actor: actor || 'system',
+                createdAt: new Date().toISOString()
+            };
+
+            current.refunds = [...(current.refunds || []), refund];
+            current.refundedAmount = (refundedUnits + amountUnits) / scale;
+            transition(current, amountUnits === remainingUnits ? 'REFUNDED' : 'PARTIALLY_REFUNDED', {
+                actor: refund.actor,
+                reason: refund.reason,
+                refundId: refund.refundId,
+                amount: refund.amount
+            });
+            await this.store.save(current);
+
+            this.logger.info(`↩️ ${type === 'VOID' ? 'Void' : 'Refund'} recorded: ${current.transactionId}`, {
+                refundId: refund.refundId,
+                amount: refund.amount,
+                currency,
+                status: current.status,
+                actor: refund.actor
+            });
+
+            return { transaction: current, refund };
+        });
+    }
+
+    /**
+     * Cancel an outstanding payment or static QR (transaction ID or MD5 hash) and
+     * stop monitoring it. Resolves to null for unknown payments.
+     */
+    async cancelPayment(identifier, options = {}) {
+        const transaction = await this.findTransaction(identifier);
+        if (!transaction) return null;
+
+        const cancelled = await this.withTransactionLock(transaction.transactionId, async () => {
+            const current = await this.store.get(transaction.transactionId);
+
+            // A QR past its expiry is expired, not cancelled; it is left for the
+            // monitor to expire after its final Bakong check
+            if (this.isExpired(current)) {
+                throw new PaymentConflictError(`Payment ${current.transactionId} has expired and cannot be cancelled`, {
+                    code: 'INVALID_STATUS_TRANSITION',
+                    field: 'status',
+                    transactionId: current.transactionId
+                });
+            }
+
+            transition(current, 'CANCELLED', { actor: options.actor, reason: options.reason || null });
+            current.cancelledAt = new Date().toISOString();
+            await this.store.save(current);
+            return current;
+        });
+
+        if (this.autoMonitor) {
+            this.autoMonitor.cancelPayment(cancelled, options.reason || null);
+        }
+
+        this.logger.info(`🚫 Payment cancelled: ${cancelled.transactionId}`, {
+            billNumber: cancelled.paymentData.billNumber,
+            reason: options.reason || null,
+            actor: options.actor || 'system'
+        });
+
+        return cancelled;
+    }
+
+    /**
+     * Flag a payment Bakong confirmed for a cancelled QR. The status stays
+     * CANCELLED (or PAID for a static QR sub-transaction) until someone
+     * refunds or otherwise resolves the payment.
+     */
+    flagLatePayment(transaction, paymentDetails) {
+        transaction.needsAttention = {
+            reason: 'PAID_AFTER_CANCELLATION',
+            detectedAt: new Date().toISOString(),
+            hash: paymentDetails?.hash || null,
+            amount: paymentDetails ? Number(paymentDetails.amount) : null,
+            currency: paymentDetails?.currency || null
+        };
+        recordAudit(transaction, transaction.status, transaction.status, {
+            reason: 'Payment received after cancellation',
+            hash: transaction.needsAttention.hash
+        });
+
+        this.logger.warn(`⚠️ Payment received for cancelled QR: ${transaction.staticQrId || transaction.transactionId}`, {
+            transactionId: transaction.transactionId,
+            billNumber: transaction.paymentData.billNumber,
+            merchantId: transaction.merchantId,
+            ...transaction.needsAttention
+        });
+    }
+
+    /**
+     * Run changes to one transaction one at a time
+     */
+    async withTransactionLock(transactionId, task) {
+        const previous = this.transactionLocks.get(transactionId) || Promise.resolve();
+        const current = previous.catch(() => {}).then(task);
+
+        this.transactionLocks.set(transactionId, current);
+        try {
+            return await current;
+        } finally {
+            if (this.transactionLocks.get(transactionId) === current) {
+                this.transactionLocks.delete(transactionId);
+            }
+        }
+    }
+
     /**
      * Monitor payment until completion or timeout
      */
@@ -236,7 +863,7 @@ class PaymentService {
         const { timeout = 300000, interval = 5000 } = options; // 5 minutes timeout, 5 second interval
         const startTime = Date.now();
 
-        logger.info(`⏳ Starting payment monitoring: ${identifier}`, { timeout, interval });
+        this.logger.info(`⏳ Starting payment monitoring: ${identifier}`, { timeout, interval });
 
         return new Promise((resolve, reject) => {
             const checkInterval = setInterval(async () => {
@@ -245,7 +872,7 @@ class PaymentService {
                     
                     if (elapsed > timeout) {
                         clearInterval(checkInterval);
-                        logger.warn(`⏰ Payment monitoring timeout: ${identifier} (${elapsed}ms)`);
+                        this.logger.warn(`⏰ Payment monitoring timeout: ${identifier} (${elapsed}ms)`);
                         resolve({ status: 'TIMEOUT', elapsed });
                         return;
                     }
@@ -254,16 +881,16 @@ class PaymentService {
                     
                     if (result.status === 'PAID') {
                         clearInterval(checkInterval);
-                        logger.info(`🎉 Payment completed: ${identifier} (${elapsed}ms)`);
+                        this.logger.info(`🎉 Payment completed: ${identifier} (${elapsed}ms)`);
                         resolve({ ...result, elapsed });
                         return;
                     }
 
-                    logger.debug(`⏳ Payment still pending: ${identifier} (${elapsed}ms)`);
+                    this.logger.debug(`⏳ Payment still pending: ${identifier} (${elapsed}ms)`);
 
                 } catch (error) {
                     clearInterval(checkInterval);
-                    logger.error(`❌ Payment monitoring error: ${identifier}`, { error: error.message });
+                    this.logger.error(`❌ Payment monitoring error: ${identifier}`, { error: error.message });
                     reject(error);
                 }
             }, interval);
@@ -273,24 +900,22 @@ class PaymentService {
     /**
      * Get transaction by ID
      */
-    getTransaction(transactionId) {
-        return this.activeTransactions.get(transactionId) || null;
+    async getTransaction(transactionId) {
+        return this.store.get(transactionId);
     }
 
     /**
      * Get all transactions
      */
-    getAllTransactions() {
-        return Array.from(this.activeTransactions.values());
+    async getAllTransactions(filter = {}) {
+        return this.store.list(filter);
     }
 
     /**
      * Get transaction history
      */
-    getTransactionHistory(limit = 50) {
-        return this.transactionHistory
-            .slice(-limit)
-            .reverse(); // Most recent first
+    async getTransactionHistory(limit = 50, filter = {}) {
+        return this.store.history(limit, filter); // Most recent first
     }
 
     /**
@@ -298,29 +923,33 @@ class PaymentService {
      */
     async checkBulkPayments(identifiers) {
         try {
-            logger.info(`🔍 Bulk payment check for ${identifiers.length} transactions`);
-
-            const md5Hashes = identifiers.map(id => {
-                if (this.activeTransactions.has(id)) {
-                    return this.activeTransactions.get(id).md5Hash;
+            this.logger.info(`🔍 Bulk payment check for ${identifiers.length} transactions`);
+
+            // Group hashes by merchant so each request uses that merchant's token
+            const hashesByMerchant = new Map();
+            for (const id of identifiers) {
+                const transaction = await this.findTransaction(id);
+                const merchantId = transaction ? transaction.merchantId : null;
+                if (!hashesByMerchant.has(merchantId)) {
+                    hashesByMerchant.set(merchantId, []);
                 }
-                return id; // Assume it's already an MD5 hash
-            });
+                hashesByMerchant.get(merchantId).push(transaction ? transaction.md5Hash : id); // Otherwise assume it's already an MD5 hash
+            }
 
-            const paidHashes = await this.khqr.checkBulkPayments(md5Hashes);
+            const paidHashes = [];
+            for (const [merchantId, md5Hashes] of hashesByMerchant) {
+                paidHashes.push(...await this.getClient(merchantId).checkBulkPayments(md5Hashes));
+            }
 
-            // Update transaction statuses
-            paidHashes.forEach(md5Hash => {
-                for (const [transactionId, transaction] of this.activeTransactions.entries()) {
-                    if (transaction.md5Hash === md5Hash) {
-                        transaction.status = 'PAID';
-                        transaction.lastChecked = new Date().toISOString();
-                        break;
-                    }
+            // Settle known transactions through the single check, which fetches the
+            // payment details, reconciles them and flags late payments
+            for (const md5Hash of paidHashes) {
+                if (await this.store.findByMd5(md5Hash)) {
+                    await this.checkPaymentStatus(md5Hash, { reportedStatus: 'PAID' });
                 }
-            });
+            }
 
-            logger.info(`📊 Bulk check complete: ${paidHashes.length}/${identifiers.length} paid`);
+            this.logger.info(`📊 Bulk check complete: ${paidHashes.length}/${identifiers.length} paid`);
 
             return {
                 total: identifiers.length,
@@ -330,7 +959,7 @@ class PaymentService {
             };
 
         } catch (error) {
-            logger.error('❌ Bulk payment check failed', { error: error.message });
+            this.logger.error('❌ Bulk payment check failed', { error: error.message });
             throw error;
         }
     }
@@ -339,40 +968,52 @@ class PaymentService {
      * Validate payment data
      */
     validatePaymentData(data) {
-        const required = ['amount', 'currency', 'billNumber', 'storeLabel', 'terminalLabel'];
+        // Static QRs let the payer enter the amount, so it is optional there
+        const required = data.isStatic ?
+            ['currency', 'billNumber', 'storeLabel', 'terminalLabel'] :
+            ['amount', 'currency', 'billNumber', 'storeLabel', 'terminalLabel'];
         
         for (const field of required) {
             if (!data[field]) {
-                throw new Error(`Missing required field: ${field}`);
+                throw new KHQRValidationError(`Missing required field: ${field}`, field);
             }
         }
 
-        if (typeof data.amount !== 'number' || data.amount <= 0) {
-            throw new Error('Amount must be a positive number');
+        if ((!data.isStatic || data.amount !== undefined) && (typeof data.amount !== 'number' || !(data.amount > 0))) {
+            throw new KHQRValidationError('Amount must be a positive number', 'amount');
+        }
+
+        const amountError = data.amount !== undefined ? checkAmount(data.amount, data) : null;
+        if (amountError) {
+            throw new KHQRValidationError(amountError, 'amount');
         }
 
         if (!['USD', 'KHR'].includes(data.currency.toUpperCase())) {
-            throw new Error('Currency must be USD or KHR');
+            throw new KHQRValidationError('Currency must be USD or KHR', 'currency');
+        }
+
+        if (data.accountType && !['individual', 'merchant'].includes(data.accountType)) {
+            throw new KHQRValidationError('Account type must be individual or merchant', 'accountType');
+        }
+
+        if (data.webhookUrl && !process.env.WEBHOOK_SECRET) {
+            throw new KHQRValidationError('Webhook URL cannot be used: webhooks are disabled until WEBHOOK_SECRET is set', 'webhookUrl');
+        }
+        const webhookUrlError = data.webhookUrl ? WebhookService.checkUrl(data.webhookUrl) : null;
+        if (webhookUrlError) {
+            throw new KHQRValidationError(`Webhook URL ${webhookUrlError}`, 'webhookUrl');
         }
     }
 
     /**
      * Clean up old transactions (optional maintenance)
      */
-    cleanupOldTransactions(maxAge = 86400000) { // 24 hours default
+    async cleanupOldTransactions(maxAge = 86400000) { // 24 hours default
         const cutoff = Date.now() - maxAge;
-        let cleaned = 0;
-
-        for (const [transactionId, transaction] of this.activeTransactions.entries()) {
-            const createdAt = new Date(transaction.createdAt).getTime();
-            if (createdAt < cutoff) {
-                this.activeTransactions.delete(transactionId);
-                cleaned++;
-            }
-        }
+        const cleaned = await this.store.removeOlderThan(cutoff);
 
         if (cleaned > 0) {
-            logger.info(`🧹 Cleaned up ${cleaned} old transactions`);
+            this.logger.info(`🧹 Cleaned up ${cleaned} old transactions`);
         }
 
         return cleaned;
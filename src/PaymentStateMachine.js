@@ -0,0 +1,74 @@
+/**
+ * Payment State Machine
+ * Allowed transaction status transitions and the audit entries recorded for them
+ */
+
+const { PaymentConflictError } = require('./errors');
+
+// Status -> statuses it may move to. UNPAID is a PENDING payment Bakong
+// reported as not yet paid; ACTIVE is a static QR collecting payments.
+const TRANSITIONS = {
+    PENDING: ['PAID', 'CANCELLED', 'EXPIRED'],
+    UNPAID: ['PAID', 'CANCELLED', 'EXPIRED'],
+    ACTIVE: ['CANCELLED', 'EXPIRED'],
+    EXPIRED: ['PAID'], // Paid before expiry but confirmed afterwards
+    PAID: ['PARTIALLY_REFUNDED', 'REFUNDED'],
+    PARTIALLY_REFUNDED: ['PARTIALLY_REFUNDED', 'REFUNDED'],
+    REFUNDED: [],
+    CANCELLED: ['PARTIALLY_REFUNDED', 'REFUNDED'] // Only to return a payment that arrived after cancellation
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+// Statuses of payments that were confirmed by Bakong
+const SETTLED_STATUSES = ['PAID', 'PARTIALLY_REFUNDED', 'REFUNDED'];
+
+/**
+ * Whether a transaction may move from one status to another
+ */
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+/**
+ * Move a transaction to a new status and append the change to its audit trail.
+ * Throws PaymentConflictError (INVALID_STATUS_TRANSITION) for disallowed transitions.
+ */
+const transition = (transaction, to, details = {}) => {
+    const from = transaction.status;
+    if (!canTransition(from, to)) {
+        throw new PaymentConflictError(`Cannot change payment ${transaction.transactionId} from ${from} to ${to}`, {
+            code: 'INVALID_STATUS_TRANSITION',
+            field: 'status',
+            transactionId: transaction.transactionId
+        });
+    }
+
+    transaction.status = to;
+    recordAudit(transaction, from, to, details);
+    return transaction;
+};
+
+/**
+ * Append an entry to the transaction's audit trail
+ */
+const recordAudit = (transaction, from, to, details = {}) => {
+    const { actor = 'system', reason = null, ...data } = details;
+
+    transaction.auditTrail = transaction.auditTrail || [];
+    transaction.auditTrail.push({
+        from,
+        to,
+        at: new Date().toISOString(),
+        actor,
+        reason,
+        ...data
+    });
+};
+
+module.exports = {
+    STATUSES,
+    TRANSITIONS,
+    SETTLED_STATUSES,
+    canTransition,
+    transition,
+    recordAudit
+};
@@ -0,0 +1,145 @@
+/**
+ * Pretty Console Transport
+ * Development-only winston transport that renders payment events as the emoji
+ * banners the services used to print, and everything else as one short line.
+ * Enabled with LOG_PRETTY=true; it shows payer details, so keep it off in production.
+ */
+
+const Transport = require('winston').Transport;
+
+const RULE = '========================================';
+
+/**
+ * Format milliseconds as 1h 2m 3s
+ */
+const formatDuration = (milliseconds) => {
+    const seconds = Math.floor(milliseconds / 1000);
+    const minutes = Math.floor(seconds / 60);
+    const hours = Math.floor(minutes / 60);
+
+    if (hours > 0) return `${hours}h ${minutes % 60}m ${seconds % 60}s`;
+    if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+    return `${seconds}s`;
+};
+
+const formatTime = (value) => value ? new Date(value).toLocaleString() : null;
+const formatAmount = (info) => info.amount !== undefined && info.amount !== null ?
+    `${info.amount} ${info.currency || ''}`.trim() : null;
+
+// event -> banner: icon, title and [label, value] rows (rows without a value are skipped)
+const BANNERS = {
+    'monitor.started': {
+        icon: '🚀',
+        title: 'AUTO PAYMENT MONITOR STARTED',
+        rows: info => [
+            ['⏰ Check Interval', `${info.checkInterval / 1000} seconds`],
+            ['🕐 Max Monitor Time', `${info.maxMonitorTime / 60000} minutes`]
+        ]
+    },
+    'monitor.payment_added': {
+        icon: '🎯',
+        title: 'NEW PAYMENT AUTO-MONITORING',
+        rows: info => [
+            ['💳 Payment ID', info.md5Hash],
+            ['📋 Bill Number', info.billNumber],
+            ['💰 Amount', formatAmount(info)],
+            ['🏪 Store', info.storeLabel],
+            ['👤 Session', info.sessionId],
+            ['⏰ Monitoring Until', formatTime(info.expiresAt)]
+        ]
+    },
+    'monitor.payment_success': {
+        icon: '🎊',
+        title: 'AUTO-MONITOR: PAYMENT SUCCESS!',
+        rows: info => [
+            ['💳 Payment', info.billNumber],
+            ['💰 Amount', formatAmount(info)],
+            ['🏪 Store', info.storeLabel],
+            ['👤 Session', info.sessionId],
+            ['🕐 Monitor Duration', formatDuration(info.duration)],
+            ['🔢 Total Checks', info.checkCount],
+            ['🧾 Reconciliation', info.outcome]
+        ]
+    },
+    'monitor.payment_expired': {
+        icon: '⏰',
+        title: 'AUTO-MONITOR: PAYMENT EXPIRED',
+        rows: info => [
+            ['💳 Payment', info.billNumber],
+            ['💰 Amount', formatAmount(info)],
+            ['🏪 Store', info.storeLabel],
+            ['👤 Session', info.sessionId],
+            ['⏰ Expired After', formatDuration(info.duration)],
+            ['🔢 Total Checks', info.checkCount]
+        ]
+    },
+    'payment.confirmed': {
+        icon: '💼',
+        title: 'PAYMENT CONFIRMED',
+        rows: info => [
+            ['🆔 Identifier', info.identifier],
+            ['🔑 MD5 Hash', info.md5Hash],
+            ['📋 Bill Number', info.billNumber],
+            ['🏪 Store', info.storeLabel],
+            ['💰 Amount', formatAmount(info)],
+            ['👤 From', info.fromAccountId],
+            ['🏦 To', info.toAccountId],
+            ['🔗 Transaction Hash', info.hash],
+            ['📋 External Ref', info.externalRef],
+            ['✅ Acknowledged', formatTime(info.acknowledgedDateMs)]
+        ]
+    },
+    'payment.status_changed': {
+        icon: '🔄',
+        title: 'PAYMENT STATUS CHANGED!',
+        rows: info => [
+            ['📊 Status Change', `${info.from} → ${info.to}`],
+            ['🆔 Transaction ID', info.transactionId]
+        ]
+    }
+};
+
+class PrettyConsoleTransport extends Transport {
+    constructor(options = {}) {
+        super(options);
+        this.stream = options.stream || process.stdout;
+    }
+
+    /**
+     * Render one banner
+     */
+    renderBanner(banner, info) {
+        const border = `${banner.icon}${RULE}${banner.icon}`;
+        const lines = ['', border, `  ${banner.title}`, border];
+
+        for (const [label, value] of banner.rows(info)) {
+            if (value !== undefined && value !== null && value !== '') {
+                lines.push(`${label}: ${value}`);
+            }
+        }
+        lines.push(border, '');
+
+        return lines.join('\n');
+    }
+
+    /**
+     * Render a log entry without a banner as a single line
+     */
+    renderLine(info) {
+        const time = new Date().toLocaleTimeString();
+        const error = info.error ? ` (${info.error})` : '';
+        return `[${time}] ${info.level.toUpperCase().padEnd(5)} ${info.message}${error}`;
+    }
+
+    log(info, callback) {
+        const banner = BANNERS[info.event];
+        this.stream.write(`${banner ? this.renderBanner(banner, info) : this.renderLine(info)}\n`);
+
+        this.emit('logged', info);
+        callback();
+    }
+}
+
+PrettyConsoleTransport.BANNERS = BANNERS;
+
+module.exports = PrettyConsoleTransport;
@@ -0,0 +1,297 @@
+/**
+ * Transaction Store - Pluggable persistence for payment transactions
+ * Provides an in-memory store (tests, development) and a JSON file-backed
+ * store so pending payments survive server restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Statuses of transactions that may still be paid (ACTIVE: static QR collecting payments)
+const OPEN_STATUSES = ['PENDING', 'UNPAID', 'ACTIVE'];
+
+// Fields updated on every status poll; changing only these does not rewrite the file
+const VOLATILE_FIELDS = ['lastChecked'];
+
+/**
+ * Serialised transaction without its volatile fields, to detect real changes
+ */
+const fingerprint = (transaction) =>
+    JSON.stringify(transaction, (key, value) => (VOLATILE_FIELDS.includes(key) ? undefined : value));
+
+/**
+ * Base store interface. Every method is async so that database-backed
+ * implementations can be dropped in without changing PaymentService.
+ */
+class TransactionStore {
+    /**
+     * Insert or update a transaction (keyed by transactionId)
+     */
+    async save(transaction) {
+        throw new Error('TransactionStore.save() is not implemented');
+    }
+
+    /**
+     * Get a transaction by ID
+     */
+    async get(transactionId) {
+        throw new Error('TransactionStore.get() is not implemented');
+    }
+
+    /**
+     * Find a transaction by its QR MD5 hash
+     */
+    async findByMd5(md5Hash) {
+        throw new Error('TransactionStore.findByMd5() is not implemented');
+    }
+
+    /**
+     * List transactions in creation order, optionally filtered by status,
+     * merchantId, billNumber, idempotencyKey and staticQrId
+     */
+    async list(filter = {}) {
+        throw new Error('TransactionStore.list() is not implemented');
+    }
+
+    /**
+     * Get the most recent transactions first, optionally filtered like list()
+     */
+    async history(limit = 50, filter = {}) {
+        throw new Error('TransactionStore.history() is not implemented');
+    }
+
+    /**
+     * Delete transactions created before the cutoff timestamp
+     */
+    async removeOlderThan(cutoff) {
+        throw new Error('TransactionStore.removeOlderThan() is not implemented');
+    }
+}
+
+/**
+ * In-memory store backed by a Map
+ */
+class MemoryTransactionStore extends TransactionStore {
+    constructor(options = {}) {
+        super();
+        this.transactions = new Map(); // transactionId -> transaction
+        this.maxRecords = options.maxRecords || 1000;
+    }
+
+    async save(transaction) {
+        this.transactions.set(transaction.transactionId, transaction);
+        this.enforceLimit();
+        return transaction;
+    }
+
+    async get(transactionId) {
+        return this.transactions.get(transactionId) || null;
+    }
+
+    async findByMd5(md5Hash) {
+        for (const transaction of this.transactions.values()) {
+            if (transaction.md5Hash === md5Hash) {
+                return transaction;
+            }
+        }
+        return null;
+    }
+
+    async list(filter = {}) {
+        let transactions = Array.from(this.transactions.values());
+
+        if (filter.status) {
+            const statuses = [].concat(filter.status);
+            transactions = transactions.filter(t => statuses.includes(t.status));
+        }
+
+        if (filter.merchantId) {
+            transactions = transactions.filter(t => t.merchantId === filter.merchantId);
+        }
+
+        if (filter.billNumber) {
+            transactions = transactions.filter(t => t.paymentData?.billNumber === filter.billNumber);
+        }
+
+        if (filter.idempotencyKey) {
+            transactions = transactions.filter(t => t.idempotencyKey === filter.idempotencyKey);
+        }
+
+        if (filter.staticQrId) {
+            transactions = transactions.filter(t => t.staticQrId === filter.staticQrId);
+        }
+
+        return transactions;
+    }
+
+    async history(limit = 50, filter = {}) {
+        const transactions = await this.list(filter);
+        return transactions
+            .slice(-limit)
+            .reverse(); // Most recent first
+    }
+
+    async removeOlderThan(cutoff) {
+        let removed = 0;
+
+        for (const [transactionId, transaction] of this.transactions.entries()) {
+            if (new Date(transaction.createdAt).getTime() < cutoff) {
+                this.transactions.delete(transactionId);
+                removed++;
+            }
+        }
+
+        return removed;
+    }
+
+    /**
+     * Drop the oldest settled transactions once maxRecords is exceeded.
+     * Open (pending/unpaid) transactions are never evicted.
+     */
+    enforceLimit() {
+        if (this.transactions.size <= this.maxRecords) return;
+
+        for (const [transactionId, transaction] of this.transactions.entries()) {
+            if (this.transactions.size <= this.maxRecords) break;
+            if (!OPEN_STATUSES.includes(transaction.status)) {
+                this.transactions.delete(transactionId);
+            }
+        }
+    }
+}
+
+/**
+ * JSON file-backed store. Keeps an in-memory index and rewrites the file
+ * atomically (write to temp file, then rename) after each change. Saves that
+ * arrive while a write is running share the next write, and saves that only
+ * touch volatile fields (lastChecked) stay in memory until the next real change.
+ */
+class FileTransactionStore extends MemoryTransactionStore {
+    constructor(options = {}) {
+        super(options);
+        this.logger = options.logger || logger;
+        this.filePath = options.filePath || path.join(__dirname, '../data/transactions.json');
+        this.writeQueue = Promise.resolve();
+        this.pendingWrite = null; // Next write, shared by every save made before it starts
+        this.persisted = new WeakMap(); // transaction -> fingerprint last written
+        this.load();
+    }
+
+    /**
+     * Load existing transactions from disk. A file that cannot be parsed is moved
+     * aside (kept for manual recovery) and the store starts empty; a file that
+     * cannot be read (permissions, a directory) stops startup.
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        let content;
+        try {
+            content = fs.readFileSync(this.filePath, 'utf8');
+        } catch (error) {
+            this.logger.error('Transaction store file cannot be read', { filePath: this.filePath, error: error.message });
+            throw Object.assign(new Error(`Cannot read transaction store ${this.filePath}: ${error.message}`), { code: error.code });
+        }
+        if (!content.trim()) return;
+
+        let records;
+        try {
+            records = JSON.parse(content);
+            if (!Array.isArray(records)) {
+                throw new Error('expected an array of transactions');
+            }
+        } catch (error) {
+            const corruptPath = `${this.filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(this.filePath, corruptPath);
+            this.logger.error('Transaction store file is corrupt, starting empty', {
+                filePath: this.filePath,
+                corruptPath,
+                error: error.message
+            });
+            return;
+        }
+
+        for (const transaction of records) {
+            this.transactions.set(transaction.transactionId, transaction);
+            this.persisted.set(transaction, fingerprint(transaction));
+        }
+    }
+
+    /**
+     * Persist the current transactions to disk, serialising writes. The snapshot
+     * is taken when the write starts, so saves queued behind a running write are
+     * batched into one. A failed write rejects only the saves that shared it;
+     * later writes still run and rewrite the full snapshot.
+     */
+    persist() {
+        if (this.pendingWrite) return this.pendingWrite;
+
+        const write = this.writeQueue.catch(() => {}).then(async () => {
+            this.pendingWrite = null; // Changes from here on need another write
+            const records = JSON.stringify(Array.from(this.transactions.values()));
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, records, 'utf8');
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        this.pendingWrite = write;
+        this.writeQueue = write;
+
+        return write;
+    }
+
+    async save(transaction) {
+        const current = fingerprint(transaction);
+        await super.save(transaction);
+        if (this.persisted.get(transaction) === current) {
+            return transaction; // Only volatile fields changed
+        }
+
+        this.persisted.set(transaction, current);
+        try {
+            await this.persist();
+        } catch (error) {
+            this.persisted.delete(transaction); // Written again by the next save
+            throw error;
+        }
+        return transaction;
+    }
+
+    async removeOlderThan(cutoff) {
+        const removed = await super.removeOlderThan(cutoff);
+        if (removed > 0) {
+            await this.persist();
+        }
+        return removed;
+    }
+}
+
+/**
+ * Create the store configured through TRANSACTION_STORE ('file' or 'memory')
+ */
+const createTransactionStore = (options = {}) => {
+    const type = options.type || process.env.TRANSACTION_STORE || 'file';
+    const storeOptions = {
+        filePath: options.filePath || process.env.TRANSACTION_STORE_PATH,
+        maxRecords: options.maxRecords || parseInt(process.env.TRANSACTION_STORE_MAX_RECORDS) || undefined,
+        logger: options.logger
+    };
+
+    switch (type) {
+        case 'memory':
+            return new MemoryTransactionStore(storeOptions);
+        case 'file':
+            return new FileTransactionStore(storeOptions);
+        default:
+            throw new Error(`Unknown transaction store type: ${type}`);
+    }
+};
+
+module.exports = {
+    OPEN_STATUSES,
+    TransactionStore,
+    MemoryTransactionStore,
+    FileTransactionStore,
+    createTransactionStore
+};
@@ -0,0 +1,306 @@
+/**
+ * Webhook Service
+ * Delivers signed payment lifecycle events from AutoPaymentMonitor to
+ * global and per-payment webhook URLs, with retries and a dead-letter list.
+ * Deliveries and dead letters are kept in memory only and are lost on restart.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('./logger');
+
+// Monitor events forwarded to webhooks
+const WEBHOOK_EVENTS = ['payment_added', 'payment_success', 'payment_expired', 'static_payment_received',
+    'payment_cancelled', 'payment_needs_attention'];
+
+// Addresses a per-payment webhook URL may not reach: unspecified, private,
+// CGNAT, loopback, link-local, multicast, reserved and IPv4-mapped IPv6
+const BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+    .forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address literal is in a blocked range (hostnames are not)
+ */
+const isBlockedAddress = (address) => {
+    const family = net.isIP(address);
+    return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Split a comma-separated host list
+ */
+const parseHosts = (value = '') => value
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * axios `lookup` for per-payment URLs: resolves the host and refuses private
+ * addresses, so a public name cannot be pointed at an internal service
+ */
+const guardedLookup = async (hostname) => {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+        const error = new Error(`Webhook host ${hostname} resolves to private address ${blocked.address}`);
+        error.code = 'WEBHOOK_TARGET_BLOCKED';
+        throw error;
+    }
+    return [addresses[0].address, addresses[0].family];
+};
+
+class WebhookService {
+    constructor(options = {}) {
+        this.logger = options.logger || logger;
+        this.globalUrls = options.urls || (process.env.WEBHOOK_URLS || '')
+            .split(',')
+            .map(url => url.trim())
+            .filter(Boolean);
+        this.allowedHosts = options.allowedHosts || parseHosts(process.env.WEBHOOK_ALLOWED_HOSTS);
+        this.secret = options.secret !== undefined ? options.secret : (process.env.WEBHOOK_SECRET || null);
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+        this.baseDelay = options.baseDelay || 1000; // 1 second, doubled on each retry
+        this.timeout = options.timeout || 10000; // 10 seconds per attempt
+        this.maxDeliveries = options.maxDeliveries || 500;
+        this.httpClient = options.httpClient || axios;
+
+        this.deliveries = []; // Most recent last
+        this.deadLetters = [];
+
+        // Every webhook is signed: without a secret receivers could not tell them from forgeries
+        if (!this.secret && this.globalUrls.length > 0) {
+            throw new Error('WEBHOOK_SECRET must be set when WEBHOOK_URLS is configured (webhooks are always signed)');
+        }
+        this.enabled = !!this.secret;
+        if (!this.enabled) {
+            this.logger.warn('⚠️ WEBHOOK_SECRET is not set: webhooks are disabled');
+        }
+    }
+
+    /**
+     * Reason a per-payment webhook URL is refused, or null when it is allowed.
+     * With WEBHOOK_ALLOWED_HOSTS only those hosts are accepted; otherwise
+     * loopback and private address literals are refused here and resolved
+     * hostnames are checked again when connecting.
+     */
+    static checkUrl(url, allowedHosts = parseHosts(process.env.WEBHOOK_ALLOWED_HOSTS)) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            return 'must be an http(s) URL';
+        }
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            return 'must be an http(s) URL';
+        }
+
+        const hostname = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+        if (allowedHosts.length > 0) {
+            return allowedHosts.includes(hostname) ? null : `host ${hostname} is not in WEBHOOK_ALLOWED_HOSTS`;
+        }
+        if (hostname === 'localhost' || hostname.endsWith('.localhost') || isBlockedAddress(hostname)) {
+            return `host ${hostname} is a loopback or private address`;
+        }
+        return null;
+    }
+
+    /**
+     * Subscribe to payment lifecycle events from the auto monitor
+     */
+    attach(autoMonitor) {
+        WEBHOOK_EVENTS.forEach(event => {
+            autoMonitor.on(event, (data) => this.dispatch(event, data));
+        });
+
+        this.logger.info('🪝 Webhook Service attached to Auto Payment Monitor', {
+            globalUrls: this.globalUrls.length
+        });
+    }
+
+    /**
+     * Build the event payload and queue a delivery for every target URL
+     */
+    dispatch(event, data) {
+        if (!this.enabled) return [];
+
+        // payment_added emits monitorInfo directly, other events wrap it
+        const monitorInfo = data.monitorInfo || data;
+        const urls = [...this.globalUrls];
+        if (monitorInfo.webhookUrl && !urls.includes(monitorInfo.webhookUrl)) {
+            const reason = WebhookService.checkUrl(monitorInfo.webhookUrl, this.allowedHosts);
+            if (reason) {
+                this.logger.warn('🪝 Per-payment webhook URL refused', {
+                    transactionId: monitorInfo.transactionId,
+                    url: monitorInfo.webhookUrl,
+                    reason
+                });
+            } else {
+                urls.push(monitorInfo.webhookUrl);
+            }
+        }
+
+        if (urls.length === 0) return [];
+
+        const payload = {
+            id: uuidv4(),
+            event,
+            createdAt: new Date().toISOString(),
+            data: {
+                transactionId: monitorInfo.transactionId || null,
+                md5Hash: monitorInfo.md5Hash,
+                subTransactionId: data.payment?.transactionId || null, // Static QR payment
+                billNumber: monitorInfo.billNumber,
+                amount: data.payment ? data.payment.paymentData.amount : monitorInfo.amount,
+                currency: data.payment ? data.payment.paymentData.currency : monitorInfo.currency,
+                storeLabel: monitorInfo.storeLabel,
+                paymentDetails: data.result?.paymentDetails || null,
+                reconciliation: data.result?.reconciliation || null,
+                reason: data.reason || null // Cancellation reason or why the payment needs attention
+            }
+        };
+
+        return urls.map(url => this.enqueue(url, payload));
+    }
+
+    /**
+     * Record a delivery and make the first attempt
+     */
+    enqueue(url, payload) {
+        const delivery = {
+            id: uuidv4(),
+            eventId: payload.id,
+            event: payload.event,
+            url,
+            payload,
+            status: 'PENDING',
+            attempts: 0,
+            lastError: null,
+            lastStatusCode: null,
+            createdAt: new Date().toISOString(),
+            deliveredAt: null,
+            nextAttemptAt: null
+        };
+
+        this.deliveries.push(delivery);
+        if (this.deliveries.length > this.maxDeliveries) {
+            this.deliveries.shift();
+        }
+
+        this.attempt(delivery);
+        return delivery;
+    }
+
+    /**
+     * Sign a payload body: HMAC-SHA256 over "<timestamp>.<body>"
+     */
+    sign(body, timestamp) {
+        return crypto
+            .createHmac('sha256', this.secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+    }
+
+    /**
+     * Attempt a delivery, scheduling a retry with exponential backoff on failure
+     */
+    async attempt(delivery) {
+        delivery.attempts++;
+        delivery.nextAttemptAt = null;
+
+        const body = JSON.stringify(delivery.payload);
+        const timestamp = Date.now().toString();
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Webhook-Id': delivery.id,
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${this.sign(body, timestamp)}`
+        };
+
+        const config = { headers, timeout: this.timeout };
+        if (!this.globalUrls.includes(delivery.url) && this.allowedHosts.length === 0) {
+            // Per-payment URL: check the resolved address and do not follow redirects
+            config.lookup = guardedLookup;
+            config.maxRedirects = 0;
+        }
+
+        try {
+            const response = await this.httpClient.post(delivery.url, body, config);
+
+            delivery.status = 'DELIVERED';
+            delivery.lastStatusCode = response.status;
+            delivery.deliveredAt = new Date().toISOString();
+
+            this.logger.info('🪝 Webhook delivered', {
+                deliveryId: delivery.id,
+                event: delivery.event,
+                url: delivery.url,
+                attempts: delivery.attempts
+            });
+
+        } catch (error) {
+            delivery.lastError = error.message;
+            delivery.lastStatusCode = error.response?.status || null;
+
+            if (delivery.attempts >= this.maxAttempts || error.code === 'WEBHOOK_TARGET_BLOCKED') {
+                delivery.status = 'FAILED';
+                this.deadLetters.push(delivery);
+                if (this.deadLetters.length > this.maxDeliveries) {
+                    this.deadLetters.shift();
+                }
+
+                this.logger.error('🪝 Webhook moved to dead-letter list', {
+                    deliveryId: delivery.id,
+                    event: delivery.event,
+                    url: delivery.url,
+                    attempts: delivery.attempts,
+                    error: error.message
+                });
+                return;
+            }
+
+            const delay = this.baseDelay * Math.pow(2, delivery.attempts - 1);
+            delivery.status = 'RETRYING';
+            delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+
+            this.logger.warn('🪝 Webhook delivery failed, retrying', {
+                deliveryId: delivery.id,
+                event: delivery.event,
+                url: delivery.url,
+                attempts: delivery.attempts,
+                retryIn: delay,
+                error: error.message
+            });
+
+            setTimeout(() => this.attempt(delivery), delay);
+        }
+    }
+
+    /**
+     * Get recent deliveries (most recent first) and the dead-letter list
+     */
+    getDeliveries(options = {}) {
+        const { status, limit = 50 } = options;
+        let deliveries = this.deliveries;
+
+        if (status) {
+            deliveries = deliveries.filter(d => d.status === status.toUpperCase());
+        }
+
+        return {
+            deliveries: deliveries.slice(-limit).reverse(),
+            deadLetters: this.deadLetters.slice().reverse()
+        };
+    }
+}
+
+WebhookService.guardedLookup = guardedLookup;
+
+module.exports = WebhookService;
@@ -0,0 +1,247 @@
+/**
+ * API key authentication for the REST API
+ * Keys carry a role (read < create < admin), an optional merchant scope and
+ * an optional secret; keys with a secret must also sign every request.
+ * Event streams authenticate with short-lived stream tokens instead, because
+ * EventSource cannot send headers and query strings end up in access logs.
+ */
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Roles in increasing order of privilege
+const ROLES = ['read', 'create', 'admin'];
+
+// Maximum clock skew accepted for signed requests
+const MAX_SIGNATURE_AGE = 5 * 60 * 1000; // 5 minutes
+
+// Lifetime of a stream token; it is only checked when a stream is opened
+const STREAM_TOKEN_TTL = 60 * 1000; // 1 minute
+
+// Query parameters holding credentials, hidden in logged URLs
+const CREDENTIAL_PARAMS = ['apiKey', 'streamToken'];
+
+// Body fields holding credentials (e.g. a merchant's Bakong developer token), hidden in logged bodies
+const CREDENTIAL_FIELDS = ['token', 'secret', 'apiKey', 'password'];
+
+/**
+ * Parse API_KEYS: comma-separated "key:role[:merchantId[:secret]]" entries.
+ * Use "*" (or leave empty) as merchantId for keys that may see every merchant.
+ */
+const parseApiKeys = (value = '') => {
+    const keys = new Map();
+
+    value.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .forEach(entry => {
+            const [key, role = 'read', merchantId = '', secret = ''] = entry.split(':');
+            if (!ROLES.includes(role)) {
+                throw new Error(`Invalid role "${role}" for API key ${maskKey(key)}. Use one of: ${ROLES.join(', ')}`);
+            }
+            keys.set(key, {
+                role,
+                merchantId: merchantId && merchantId !== '*' ? merchantId : null,
+                secret: secret || null
+            });
+        });
+
+    return keys;
+};
+
+/**
+ * Shorten a key for logs and responses
+ */
+const maskKey = (key = '') => `${key.substring(0, 4)}…`;
+
+/**
+ * Constant-time string comparison
+ */
+const safeEqual = (a, b) => {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+/**
+ * Compute the request signature: HMAC-SHA256 over
+ * "<timestamp>.<METHOD>.<originalUrl>.<raw body>"
+ */
+const signRequest = (secret, timestamp, method, url, body = '') => {
+    return crypto
+        .createHmac('sha256', secret)
+        .update(`${timestamp}.${method.toUpperCase()}.${url}.${body}`)
+        .digest('hex');
+};
+
+/**
+ * Replace credential query parameters in a URL for logging
+ */
+const redactUrl = (url = '') => url.replace(
+    new RegExp(`([?&](?:${CREDENTIAL_PARAMS.join('|')})=)[^&#]*`, 'gi'),
+    '$1[REDACTED]'
+);
+
+/**
+ * Copy of a request body with credential fields replaced, for logging
+ */
+const redactBody = (body) => {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) return body;
+
+    const redacted = { ...body };
+    for (const field of CREDENTIAL_FIELDS) {
+        if (redacted[field] !== undefined) {
+            redacted[field] = '[REDACTED]';
+        }
+    }
+    return redacted;
+};
+
+const sendAuthError = (res, status, code, error) => {
+    res.status(status).json({
+        success: false,
+        error,
+        code,
+        message: status === 401 ? 'Authentication required' : 'Access denied'
+    });
+};
+
+/**
+ * Create the authentication middleware.
+ * Authentication is enforced when API keys are configured or in production.
+ * Stream tokens are accepted only on options.streamPaths (RegExps matched
+ * against req.path). The middleware's issueStreamToken(auth) creates them.
+ */
+const createAuthenticator = (options = {}) => {
+    const log = options.logger || logger;
+    const keys = options.keys || parseApiKeys(process.env.API_KEYS);
+    const streamPaths = options.streamPaths || [];
+    const required = options.required ?? (keys.size > 0 || process.env.NODE_ENV === 'production');
+    const tokenSecret = options.streamTokenSecret || crypto.randomBytes(32); // Tokens end with the process
+
+    if (!required) {
+        log.warn('🔓 API_KEYS not configured - API authentication is disabled');
+    }
+
+    /**
+     * Sign the caller's role and merchant scope into a token valid for STREAM_TOKEN_TTL
+     */
+    const issueStreamToken = (auth) => {
+        const expiresAt = Date.now() + STREAM_TOKEN_TTL;
+        const payload = Buffer.from(JSON.stringify({
+            role: auth.role,
+            merchantId: auth.merchantId,
+            keyId: auth.keyId,
+            exp: expiresAt
+        })).toString('base64url');
+        const signature = crypto.createHmac('sha256', tokenSecret).update(payload).digest('base64url');
+
+        return { token: `${payload}.${signature}`, expiresAt: new Date(expiresAt).toISOString() };
+    };
+
+    /**
+     * Caller identity from a stream token, or null when it is forged or expired
+     */
+    const verifyStreamToken = (token) => {
+        const [payload, signature] = String(token).split('.');
+        const expected = crypto.createHmac('sha256', tokenSecret).update(payload || '').digest('base64url');
+        if (!signature || !safeEqual(signature, expected)) return null;
+
+        const { role, merchantId, keyId, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+        return Date.now() <= exp ? { role, merchantId, keyId } : null;
+    };
+
+    const authenticate = (req, res, next) => {
+        if (!required) {
+            req.auth = { role: 'admin', merchantId: null, keyId: null };
+            return next();
+        }
+
+        const apiKey = req.get('X-Api-Key');
+
+        // EventSource cannot send headers: event-stream routes take a stream token as a query param
+        const isStream = req.method === 'GET' && streamPaths.some(pattern => pattern.test(req.path));
+        const streamToken = isStream ? req.query.streamToken : undefined;
+        if (!apiKey && streamToken) {
+            const auth = verifyStreamToken(streamToken);
+            if (!auth) {
+                return sendAuthError(res, 401, 'INVALID_STREAM_TOKEN', 'Stream token is invalid or expired');
+            }
+            req.auth = auth;
+            return next();
+        }
+
+        if (!apiKey) {
+            return sendAuthError(res, 401, 'UNAUTHORIZED', 'Missing X-Api-Key header');
+        }
+
+        const entry = keys.get(apiKey);
+        if (!entry) {
+            log.warn('🔒 Rejected unknown API key', { keyId: maskKey(apiKey), ip: req.ip });
+            return sendAuthError(res, 401, 'UNAUTHORIZED', 'Invalid API key');
+        }
+
+        if (entry.secret) {
+            const timestamp = req.get('X-Timestamp');
+            const signature = req.get('X-Signature');
+
+            if (!timestamp || !signature) {
+                return sendAuthError(res, 401, 'SIGNATURE_REQUIRED', 'X-Timestamp and X-Signature headers are required for this key');
+            }
+            // A body parsed without keeping its raw text could be changed without breaking the signature
+            if (req.body && Object.keys(req.body).length > 0 && req.rawBody === undefined) {
+                return sendAuthError(res, 401, 'UNSIGNABLE_BODY', 'Signed requests must send a JSON or form-encoded body');
+            }
+            if (Math.abs(Date.now() - Number(timestamp)) > MAX_SIGNATURE_AGE) {
+                return sendAuthError(res, 401, 'SIGNATURE_EXPIRED', 'Request timestamp is outside the allowed window');
+            }
+
+            const expected = signRequest(entry.secret, timestamp, req.method, req.originalUrl, req.rawBody);
+            if (!safeEqual(signature.replace(/^sha256=/, ''), expected)) {
+                log.warn('🔒 Rejected request with invalid signature', { keyId: maskKey(apiKey), ip: req.ip });
+                return sendAuthError(res, 401, 'INVALID_SIGNATURE', 'Request signature does not match');
+            }
+        }
+
+        req.auth = {
+            role: entry.role,
+            merchantId: entry.merchantId,
+            keyId: maskKey(apiKey)
+        };
+        next();
+    };
+
+    authenticate.issueStreamToken = issueStreamToken;
+    return authenticate;
+};
+
+/**
+ * Require at least the given role
+ */
+const requireRole = (role) => (req, res, next) => {
+    const current = req.auth?.role;
+    if (!current || ROLES.indexOf(current) < ROLES.indexOf(role)) {
+        return sendAuthError(res, 403, 'FORBIDDEN', `This endpoint requires the "${role}" role`);
+    }
+    next();
+};
+
+/**
+ * Whether the caller may access a transaction (unscoped keys see everything)
+ */
+const canAccessTransaction = (auth, transaction) => {
+    if (!auth?.merchantId) return true;
+    return !!transaction && transaction.merchantId === auth.merchantId;
+};
+
+module.exports = {
+    ROLES,
+    STREAM_TOKEN_TTL,
+    parseApiKeys,
+    signRequest,
+    redactUrl,
+    redactBody,
+    createAuthenticator,
+    requireRole,
+    canAccessTransaction
+};
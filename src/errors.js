@@ -0,0 +1,22 @@
+/**
+ * Error classes for the payment server: the SDK's Bakong and KHQR errors plus
+ * the payment service's own
+ */
+
+const sdkErrors = require('../sdk/lib/errors');
+
+class PaymentConflictError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'PaymentConflictError';
+        this.code = options.code || 'PAYMENT_CONFLICT';
+        this.field = options.field || null;
+        this.transactionId = options.transactionId || null; // Existing transaction the request collides with
+        this.retryable = false;
+    }
+}
+
+module.exports = {
+    ...sdkErrors,
+    PaymentConflictError
+};
@@ -1,26 +1,26 @@
 /**
  * Logger utility for Bakong KHQR API
+ * Services take an injected logger (options.logger) and fall back to this one.
+ * Log files hold one JSON event per line; console output only comes from the
+ * development transports below.
  */
 
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const PrettyConsoleTransport = require('./PrettyConsoleTransport');
 
 // Ensure logs directory exists
-const logsDir = path.join(__dirname, '../logs');
+const logsDir = process.env.LOG_DIR ? path.resolve(process.env.LOG_DIR) : path.join(__dirname, '../logs');
 if (!fs.existsSync(logsDir)) {
     fs.mkdirSync(logsDir, { recursive: true });
 }
 
-// Custom format for logs
+// Structured format: timestamp, level, message and metadata as one JSON line
 const logFormat = winston.format.combine(
-    winston.format.timestamp({
-        format: 'YYYY-MM-DD HH:mm:ss'
-    }),
+    winston.format.timestamp(),
     winston.format.errors({ stack: true }),
-    winston.format.printf(({ level, message, timestamp, stack }) => {
-        return `${timestamp} | ${level.toUpperCase().padStart(8)} | ${stack || message}`;
-    })
+    winston.format.json()
 );
 
 // Create logger
@@ -46,9 +46,9 @@ const logger = winston.createLogger({
     ]
 });
 
-// Add console transport for development
+// Console transport for development; LOG_PRETTY=true renders payment events as banners
 if (process.env.NODE_ENV !== 'production') {
-    logger.add(new winston.transports.Console({
+    logger.add(process.env.LOG_PRETTY === 'true' ? new PrettyConsoleTransport() : new winston.transports.Console({
         format: winston.format.combine(
             winston.format.colorize(),
             winston.format.simple()
@@ -56,120 +56,138 @@ if (process.env.NODE_ENV !== 'production') {
     }));
 }
 
-// Helper functions for structured logging
-const createTransactionLog = (action, data, result = null, error = null) => {
-    const logData = {
-        action,
-        timestamp: new Date().toISOString(),
-        data,
-        result,
-        error: error ? error.message : null
-    };
-    
-    if (error) {
-        logger.error('Transaction failed', logData);
-    } else {
-        logger.info('Transaction processed', logData);
-    }
-    
-    return logData;
+/**
+ * Mask a payer's Bakong account for logs, keeping its first two characters and bank ("pa***@aclb")
+ */
+const maskAccount = (accountId) => {
+    if (!accountId) return accountId;
+    const [name, bank] = String(accountId).split('@');
+    return `${name.slice(0, 2)}***${bank ? `@${bank}` : ''}`;
 };
 
-const logPaymentGeneration = (paymentData, qrResult) => {
-    return createTransactionLog('PAYMENT_GENERATION', {
-        amount: paymentData.amount,
-        currency: paymentData.currency,
-        billNumber: paymentData.billNumber,
-        merchantName: paymentData.merchantName
-    }, {
-        qrCode: qrResult.qrCode?.substring(0, 50) + '...',
-        md5Hash: qrResult.md5Hash,
-        imageGenerated: !!qrResult.imagePath
-    });
+/**
+ * ISO time for a Bakong epoch-ms field; a missing or invalid value is logged as-is
+ */
+const toIsoTime = (value) => {
+    const date = new Date(value);
+    return value !== undefined && value !== null && !isNaN(date) ? date.toISOString() : value ?? null;
 };
 
-const logPaymentCheck = (md5Hash, status, details = null) => {
-    return createTransactionLog('PAYMENT_CHECK', {
-        md5Hash
-    }, {
-        status,
-        details: details ? 'Details available' : 'No details'
-    });
-};
+/**
+ * Structured logging helpers bound to a logger, so services with an injected
+ * logger emit the same transaction events
+ */
+const createLogHelpers = (target = logger) => {
+    const createTransactionLog = (action, data, result = null, error = null, level = 'info') => {
+        const logData = {
+            action,
+            timestamp: new Date().toISOString(),
+            data,
+            result,
+            error: error ? error.message : null
+        };
 
-const logDeepLinkGeneration = (qrCode, deepLink) => {
-    return createTransactionLog('DEEPLINK_GENERATION', {
-        qrCode: qrCode.substring(0, 50) + '...'
-    }, {
-        deepLink,
-        success: !!deepLink
-    });
-};
+        if (error) {
+            target.error('Transaction failed', logData);
+        } else {
+            target[level]('Transaction processed', logData);
+        }
 
-const logApiRequest = (endpoint, payload, response, error = null) => {
-    const logData = {
-        endpoint,
-        payloadSize: JSON.stringify(payload).length,
-        responseCode: response?.responseCode || null,
-        error: error ? error.message : null
+        return logData;
     };
-    
-    if (error) {
-        logger.error(`API request failed: ${endpoint}`, logData);
-    } else {
-        logger.info(`API request successful: ${endpoint}`, logData);
-    }
-    
-    return logData;
-};
 
-const logUserSession = (sessionId, action, data = {}) => {
-    logger.info('User session activity', {
-        sessionId,
-        action,
-        timestamp: new Date().toISOString(),
-        data
-    });
-};
+    const logPaymentGeneration = (paymentData, qrResult) => {
+        return createTransactionLog('PAYMENT_GENERATION', {
+            amount: paymentData.amount,
+            currency: paymentData.currency,
+            billNumber: paymentData.billNumber,
+            merchantName: paymentData.merchantName
+        }, {
+            qrCode: qrResult.qrCode?.substring(0, 50) + '...',
+            md5Hash: qrResult.md5Hash
+        });
+    };
+
+    // Runs on every poll, so only at debug level
+    const logPaymentCheck = (md5Hash, status, details = null) => {
+        return createTransactionLog('PAYMENT_CHECK', {
+            md5Hash
+        }, {
+            status,
+            details: details ? 'Details available' : 'No details'
+        }, null, 'debug');
+    };
+
+    const logDeepLinkGeneration = (qrCode, deepLink) => {
+        return createTransactionLog('DEEPLINK_GENERATION', {
+            qrCode: qrCode.substring(0, 50) + '...'
+        }, {
+            deepLink,
+            success: !!deepLink
+        });
+    };
+
+    const logApiRequest = (endpoint, payload, response, error = null) => {
+        const logData = {
+            endpoint,
+            payloadSize: JSON.stringify(payload).length,
+            responseCode: response?.responseCode || null,
+            error: error ? error.message : null
+        };
+
+        if (error) {
+            target.error(`API request failed: ${endpoint}`, logData);
+        } else {
+            target.info(`API request successful: ${endpoint}`, logData);
+        }
+
+        return logData;
+    };
+
+    const logUserSession = (sessionId, action, data = {}) => {
+        target.info('User session activity', {
+            sessionId,
+            action,
+            timestamp: new Date().toISOString(),
+            data
+        });
+    };
+
+    const logPaymentSuccess = (paymentData, md5Hash) => {
+        const logData = {
+            event: 'payment.success',
+            action: 'PAYMENT_SUCCESS',
+            md5Hash,
+            amount: paymentData.amount,
+            currency: paymentData.currency,
+            fromAccount: maskAccount(paymentData.fromAccountId),
+            toAccount: paymentData.toAccountId,
+            transactionHash: paymentData.hash,
+            createdAt: toIsoTime(paymentData.createdDateMs),
+            acknowledgedAt: toIsoTime(paymentData.acknowledgedDateMs),
+            externalRef: paymentData.externalRef,
+            timestamp: new Date().toISOString()
+        };
+
+        target.info('🎉 PAYMENT SUCCESSFULLY COMPLETED', logData);
+
+        return logData;
+    };
 
-const logPaymentSuccess = (paymentData, md5Hash) => {
-    const logData = {
-        action: 'PAYMENT_SUCCESS',
-        md5Hash,
-        amount: paymentData.amount,
-        currency: paymentData.currency,
-        fromAccount: paymentData.fromAccountId,
-        toAccount: paymentData.toAccountId,
-        transactionHash: paymentData.hash,
-        createdAt: new Date(paymentData.createdDateMs).toISOString(),
-        acknowledgedAt: new Date(paymentData.acknowledgedDateMs).toISOString(),
-        externalRef: paymentData.externalRef,
-        timestamp: new Date().toISOString()
+    return {
+        createTransactionLog,
+        logPaymentGeneration,
+        logPaymentCheck,
+        logDeepLinkGeneration,
+        logApiRequest,
+        logUserSession,
+        logPaymentSuccess
     };
-    
-    logger.info('🎉 PAYMENT SUCCESSFULLY COMPLETED', logData);
-    
-    // Enhanced console output
-    console.log('\n📄========================================📄');
-    console.log('          PAYMENT LOG RECORDED            ');
-    console.log('📄========================================📄');
-    console.log(`📝 Log Entry: PAYMENT_SUCCESS`);
-    console.log(`💰 Amount: ${paymentData.amount} ${paymentData.currency}`);
-    console.log(`🔗 Transaction Hash: ${paymentData.hash}`);
-    console.log(`📋 External Reference: ${paymentData.externalRef}`);
-    console.log(`⏰ Logged At: ${new Date().toLocaleString()}`);
-    console.log('📄========================================📄\n');
-    
-    return logData;
 };
 
 module.exports = {
     logger,
-    createTransactionLog,
-    logPaymentGeneration,
-    logPaymentCheck,
-    logDeepLinkGeneration,
-    logApiRequest,
-    logUserSession,
-    logPaymentSuccess
+    createLogHelpers,
+    maskAccount,
+    ...createLogHelpers(logger)
 };
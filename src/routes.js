@@ -3,54 +3,166 @@
  */
 
 const express = require('express');
+const crypto = require('crypto');
 const { logger, logUserSession } = require('./logger');
+const {
+    BakongError,
+    BakongBadRequestError,
+    BakongRateLimitError,
+    BakongTimeoutError,
+    BakongUnavailableError,
+    KHQRValidationError,
+    PaymentConflictError
+} = require('./errors');
+const { createAuthenticator, requireRole, canAccessTransaction, redactBody } = require('./auth');
+const { validate } = require('./validation');
+const { schemas } = require('./schemas');
 
 const router = express.Router();
 
-// Middleware to log all API requests
+/**
+ * Map an error to the HTTP status returned to API clients
+ */
+const getHttpStatus = (error) => {
+    if (error instanceof KHQRValidationError) return 400;
+    if (error instanceof PaymentConflictError) return 409;
+    if (error instanceof BakongBadRequestError) return 400;
+    if (error instanceof BakongRateLimitError) return 429;
+    if (error instanceof BakongUnavailableError) return 503;
+    if (error instanceof BakongTimeoutError) return 504;
+    if (error instanceof BakongError) return 502; // Auth, geo-blocking and upstream failures
+    return 500; // Unexpected: a bug or a storage failure
+};
+
+/**
+ * Send an error response with a machine-readable code
+ */
+const sendError = (res, error, message) => {
+    if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+    }
+
+    // Internal details stay in the logs
+    const status = getHttpStatus(error);
+    if (status === 500) {
+        logger.error(`💥 Unexpected error: ${message}`, { error: error.message, stack: error.stack });
+        return res.status(500).json({
+            success: false,
+            error: 'Internal server error',
+            code: 'INTERNAL_ERROR',
+            retryable: false,
+            message
+        });
+    }
+
+    res.status(status).json({
+        success: false,
+        error: error.message,
+        code: error.code || 'BAD_REQUEST',
+        field: error.field || undefined,
+        transactionId: error.transactionId || undefined,
+        responseCode: error.responseCode ?? undefined,
+        retryable: error.retryable || false,
+        message
+    });
+};
+
+// Middleware to log all API requests (credential fields in bodies are redacted)
 router.use((req, res, next) => {
     const sessionId = req.headers['x-session-id'] || 'anonymous';
     logger.info(`🌐 API Request: ${req.method} ${req.path}`, {
         sessionId,
         ip: req.ip,
         userAgent: req.get('User-Agent'),
-        body: req.method === 'POST' ? req.body : undefined
+        body: ['POST', 'PUT'].includes(req.method) ? redactBody(req.body) : undefined
     });
     next();
 });
 
+// Authenticate every route except the health check
+const authenticate = createAuthenticator({
+    streamPaths: [/^\/payments\/[^/]+\/events$/, /^\/monitor\/stream$/] // The only routes accepting stream tokens
+});
+router.use((req, res, next) => (req.path === '/health' ? next() : authenticate(req, res, next)));
+
+/**
+ * Respond 404 for missing transactions and for transactions outside the caller's merchant scope
+ */
+const sendTransactionNotFound = (res) => {
+    res.status(404).json({
+        success: false,
+        code: 'NOT_FOUND',
+        message: 'Transaction not found'
+    });
+};
+
+/**
+ * Whether the caller may act on a transaction ID or MD5 hash.
+ * Unscoped callers may also check raw MD5 hashes that are not stored.
+ */
+const isAccessible = async (req, identifier) => {
+    const transaction = await req.paymentService.findTransaction(identifier);
+    return canAccessTransaction(req.auth, transaction);
+};
+
 /**
  * POST /api/payments/create
  * Create a new payment QR code
  */
-router.post('/payments/create', async (req, res) => {
+router.post('/payments/create', requireRole('create'), validate(schemas.createPayment), async (req, res) => {
     const sessionId = req.headers['x-session-id'] || 'anonymous';
     
     try {
         const paymentService = req.paymentService;
         logUserSession(sessionId, 'CREATE_PAYMENT_REQUEST', req.body);
 
+        // Scoped keys always create payments for their own merchant
+        if (req.auth.merchantId && req.body.merchantId && req.body.merchantId !== req.auth.merchantId) {
+            return res.status(403).json({
+                success: false,
+                error: 'API key is not allowed to create payments for this merchant',
+                code: 'FORBIDDEN',
+                message: 'Access denied'
+            });
+        }
+
+        // Body is already validated, coerced and defaulted by schemas.createPayment
         const paymentData = {
-            amount: parseFloat(req.body.amount),
-            currency: req.body.currency?.toUpperCase() || 'USD',
-            billNumber: req.body.billNumber || `BILL${Date.now()}`,
-            storeLabel: req.body.storeLabel || 'Test Store',
-            terminalLabel: req.body.terminalLabel || 'Terminal',
+            amount: req.body.amount,
+            currency: req.body.currency,
+            billNumber: req.body.billNumber, // Generated by PaymentService when omitted
+            storeLabel: req.body.storeLabel,
+            terminalLabel: req.body.terminalLabel,
             merchantName: req.body.merchantName,
             merchantCity: req.body.merchantCity,
-            isStatic: req.body.isStatic === true,
+            isStatic: req.body.isStatic,
+            accountType: req.body.accountType,
+            bakongMerchantId: req.body.bakongMerchantId,
+            acquiringBank: req.body.acquiringBank,
             callback: req.body.callback,
             appIconUrl: req.body.appIconUrl,
-            appName: req.body.appName
+            appName: req.body.appName,
+            webhookUrl: req.body.webhookUrl,
+            expiresIn: req.body.expiresIn,
+            expiresAt: req.body.expiresAt,
+            merchantId: req.auth.merchantId || req.body.merchantId
         };
 
-        const result = await req.paymentService.createPayment(paymentData);
+        const result = await req.paymentService.createPayment(paymentData, {
+            idempotencyKey: req.get('Idempotency-Key'),
+            actor: req.auth.keyId || sessionId
+        });
 
         logUserSession(sessionId, 'CREATE_PAYMENT_SUCCESS', {
             transactionId: result.transactionId,
-            billNumber: result.paymentData.billNumber
+            billNumber: result.paymentData.billNumber,
+            idempotentReplay: !!result.idempotentReplay
         });
 
+        if (result.idempotentReplay) {
+            res.set('Idempotent-Replayed', 'true');
+        }
+
         res.json({
             success: true,
             data: {
@@ -58,24 +170,25 @@ router.post('/payments/create', async (req, res) => {
                 qrCode: result.qrCode,
                 md5Hash: result.md5Hash,
                 deepLink: result.deepLink,
-                imagePath: result.imagePath,
+                imageUrl: `/api/payments/${result.transactionId}/image`,
                 billNumber: result.paymentData.billNumber,
                 amount: result.paymentData.amount,
                 currency: result.paymentData.currency,
                 createdAt: result.createdAt,
-                status: result.status
+                expiresAt: result.expiresAt,
+                merchantId: result.merchantId,
+                status: result.status,
+                idempotentReplay: !!result.idempotentReplay
             },
-            message: 'Payment QR code created successfully'
+            message: result.idempotentReplay ?
+                'Returning the existing payment for this request' :
+                'Payment QR code created successfully'
         });
 
     } catch (error) {
         logUserSession(sessionId, 'CREATE_PAYMENT_ERROR', { error: error.message });
         
-        res.status(400).json({
-            success: false,
-            error: error.message,
-            message: 'Failed to create payment QR code'
-        });
+        sendError(res, error, 'Failed to create payment QR code');
     }
 });
 
@@ -83,13 +196,17 @@ router.post('/payments/create', async (req, res) => {
  * GET /api/payments/check/:identifier
  * Check payment status by transaction ID or MD5 hash
  */
-router.get('/payments/check/:identifier', async (req, res) => {
+router.get('/payments/check/:identifier', requireRole('read'), validate(schemas.checkPayment), async (req, res) => {
     const sessionId = req.headers['x-session-id'] || 'anonymous';
     const { identifier } = req.params;
 
     try {
         logUserSession(sessionId, 'CHECK_PAYMENT_REQUEST', { identifier });
 
+        if (!await isAccessible(req, identifier)) {
+            return sendTransactionNotFound(res);
+        }
+
         const result = await req.paymentService.checkPaymentStatus(identifier);
 
         logUserSession(sessionId, 'CHECK_PAYMENT_SUCCESS', {
@@ -106,11 +223,7 @@ router.get('/payments/check/:identifier', async (req, res) => {
     } catch (error) {
         logUserSession(sessionId, 'CHECK_PAYMENT_ERROR', { identifier, error: error.message });
         
-        res.status(400).json({
-            success: false,
-            error: error.message,
-            message: 'Failed to check payment status'
-        });
+        sendError(res, error, 'Failed to check payment status');
     }
 });
 
@@ -118,13 +231,17 @@ router.get('/payments/check/:identifier', async (req, res) => {
  * POST /api/payments/monitor
  * Monitor payment until completion with real-time updates
  */
-router.post('/payments/monitor', async (req, res) => {
+router.post('/payments/monitor', requireRole('read'), validate(schemas.monitorPayment), async (req, res) => {
     const sessionId = req.headers['x-session-id'] || 'anonymous';
-    const { identifier, timeout = 300000, interval = 5000 } = req.body;
+    const { identifier, timeout, interval } = req.body;
 
     try {
         logUserSession(sessionId, 'MONITOR_PAYMENT_REQUEST', { identifier, timeout, interval });
 
+        if (!await isAccessible(req, identifier)) {
+            return sendTransactionNotFound(res);
+        }
+
         const result = await req.paymentService.monitorPayment(identifier, { timeout, interval });
 
         logUserSession(sessionId, 'MONITOR_PAYMENT_COMPLETE', {
@@ -142,11 +259,7 @@ router.post('/payments/monitor', async (req, res) => {
     } catch (error) {
         logUserSession(sessionId, 'MONITOR_PAYMENT_ERROR', { identifier, error: error.message });
         
-        res.status(400).json({
-            success: false,
-            error: error.message,
-            message: 'Payment monitoring failed'
-        });
+        sendError(res, error, 'Payment monitoring failed');
     }
 });
 
@@ -154,21 +267,19 @@ router.post('/payments/monitor', async (req, res) => {
  * POST /api/payments/bulk-check
  * Check multiple payments at once
  */
-router.post('/payments/bulk-check', async (req, res) => {
+router.post('/payments/bulk-check', requireRole('read'), validate(schemas.bulkCheck), async (req, res) => {
     const sessionId = req.headers['x-session-id'] || 'anonymous';
     const { identifiers } = req.body;
 
     try {
-        if (!Array.isArray(identifiers) || identifiers.length === 0) {
-            throw new Error('Identifiers array is required');
-        }
+        logUserSession(sessionId, 'BULK_CHECK_REQUEST', { count: identifiers.length });
 
-        if (identifiers.length > 50) {
-            throw new Error('Maximum 50 identifiers allowed');
+        for (const identifier of identifiers) {
+            if (!await isAccessible(req, identifier)) {
+                return sendTransactionNotFound(res);
+            }
         }
 
-        logUserSession(sessionId, 'BULK_CHECK_REQUEST', { count: identifiers.length });
-
         const result = await req.paymentService.checkBulkPayments(identifiers);
 
         logUserSession(sessionId, 'BULK_CHECK_SUCCESS', {
@@ -185,11 +296,7 @@ router.post('/payments/bulk-check', async (req, res) => {
     } catch (error) {
         logUserSession(sessionId, 'BULK_CHECK_ERROR', { error: error.message });
         
-        res.status(400).json({
-            success: false,
-            error: error.message,
-            message: 'Bulk payment check failed'
-        });
+        sendError(res, error, 'Bulk payment check failed');
     }
 });
 
@@ -197,20 +304,17 @@ router.post('/payments/bulk-check', async (req, res) => {
  * GET /api/payments/transaction/:transactionId
  * Get transaction details
  */
-router.get('/payments/transaction/:transactionId', async (req, res) => {
+router.get('/payments/transaction/:transactionId', requireRole('read'), validate(schemas.getTransaction), async (req, res) => {
     const sessionId = req.headers['x-session-id'] || 'anonymous';
     const { transactionId } = req.params;
 
     try {
         logUserSession(sessionId, 'GET_TRANSACTION_REQUEST', { transactionId });
 
-        const transaction = req.paymentService.getTransaction(transactionId);
+        const transaction = await req.paymentService.getTransaction(transactionId);
 
-        if (!transaction) {
-            return res.status(404).json({
-                success: false,
-                message: 'Transaction not found'
-            });
+        if (!transaction || !canAccessTransaction(req.auth, transaction)) {
+            return sendTransactionNotFound(res);
         }
 
         logUserSession(sessionId, 'GET_TRANSACTION_SUCCESS', { transactionId });
@@ -224,11 +328,262 @@ router.get('/payments/transaction/:transactionId', async (req, res) => {
     } catch (error) {
         logUserSession(sessionId, 'GET_TRANSACTION_ERROR', { transactionId, error: error.message });
         
-        res.status(400).json({
-            success: false,
-            error: error.message,
-            message: 'Failed to retrieve transaction'
+        sendError(res, error, 'Failed to retrieve transaction');
+    }
+});
+
+/**
+ * POST /api/payments/:id/cancel
+ * Cancel an outstanding payment or static QR and stop monitoring it
+ */
+router.post('/payments/:id/cancel', requireRole('create'), validate(schemas.cancelPayment), async (req, res) => {
+    const sessionId = req.headers['x-session-id'] || 'anonymous';
+    const { id } = req.params;
+    const { reason } = req.body;
+
+    try {
+        logUserSession(sessionId, 'CANCEL_PAYMENT_REQUEST', { id, reason });
+
+        if (!await isAccessible(req, id)) {
+            return sendTransactionNotFound(res);
+        }
+
+        const transaction = await req.paymentService.cancelPayment(id, {
+            reason: reason || null,
+            actor: req.auth.keyId || sessionId
+        });
+        if (!transaction) {
+            return sendTransactionNotFound(res);
+        }
+
+        logUserSession(sessionId, 'CANCEL_PAYMENT_SUCCESS', { id, transactionId: transaction.transactionId });
+
+        res.json({
+            success: true,
+            data: {
+                transactionId: transaction.transactionId,
+                md5Hash: transaction.md5Hash,
+                billNumber: transaction.paymentData.billNumber,
+                status: transaction.status,
+                cancelledAt: transaction.cancelledAt,
+                auditTrail: transaction.auditTrail
+            },
+            message: 'Payment cancelled successfully'
+        });
+
+    } catch (error) {
+        logUserSession(sessionId, 'CANCEL_PAYMENT_ERROR', { id, error: error.message });
+
+        sendError(res, error, 'Failed to cancel payment');
+    }
+});
+
+/**
+ * POST /api/payments/:id/refund
+ * Record a manual refund or void of a confirmed payment (transaction ID or MD5 hash)
+ */
+router.post('/payments/:id/refund', requireRole('admin'), validate(schemas.refundPayment), async (req, res) => {
+    const sessionId = req.headers['x-session-id'] || 'anonymous';
+    const { id } = req.params;
+    const { amount, reason, type } = req.body;
+
+    try {
+        logUserSession(sessionId, 'REFUND_PAYMENT_REQUEST', { id, amount, type });
+
+        if (!await isAccessible(req, id)) {
+            return sendTransactionNotFound(res);
+        }
+
+        const result = await req.paymentService.refundPayment(id, {
+            amount,
+            reason,
+            type,
+            actor: req.auth.keyId || sessionId
+        });
+        if (!result) {
+            return sendTransactionNotFound(res);
+        }
+
+        logUserSession(sessionId, 'REFUND_PAYMENT_SUCCESS', { id, refundId: result.refund.refundId, status: result.transaction.status });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                transactionId: result.transaction.transactionId,
+                status: result.transaction.status,
+                refund: result.refund,
+                refundedAmount: result.transaction.refundedAmount,
+                refunds: result.transaction.refunds,
+                auditTrail: result.transaction.auditTrail
+            },
+            message: `${result.refund.type === 'VOID' ? 'Void' : 'Refund'} recorded successfully`
         });
+
+    } catch (error) {
+        logUserSession(sessionId, 'REFUND_PAYMENT_ERROR', { id, error: error.message });
+
+        sendError(res, error, 'Failed to record refund');
+    }
+});
+
+/**
+ * POST /api/stream-tokens
+ * Short-lived token for opening event streams with EventSource (?streamToken=),
+ * which cannot send the X-Api-Key header. Signed keys sign this request as usual.
+ */
+router.post('/stream-tokens', requireRole('read'), validate(schemas.none), (req, res) => {
+    res.json({
+        success: true,
+        data: authenticate.issueStreamToken(req.auth),
+        message: 'Stream token issued'
+    });
+});
+
+/**
+ * GET /api/payments/:id/events
+ * Server-Sent Events stream for a single payment (transaction ID or MD5 hash)
+ */
+router.get('/payments/:id/events', requireRole('read'), validate(schemas.paymentEvents), async (req, res) => {
+    const sessionId = req.headers['x-session-id'] || 'anonymous';
+    const { id } = req.params;
+
+    try {
+        logUserSession(sessionId, 'PAYMENT_EVENTS_SUBSCRIBE', { id });
+
+        const transaction = await req.paymentService.findTransaction(id);
+        if (!canAccessTransaction(req.auth, transaction)) {
+            return sendTransactionNotFound(res);
+        }
+        const matches = (data) => data.transactionId === id || data.md5Hash === id ||
+            (transaction && data.md5Hash === transaction.md5Hash);
+
+        req.eventStream.subscribe(req, res, matches);
+
+        // Send the current state so clients don't wait for the next event
+        if (transaction) {
+            req.eventStream.write(res, {
+                event: 'snapshot',
+                data: {
+                    transactionId: transaction.transactionId,
+                    md5Hash: transaction.md5Hash,
+                    billNumber: transaction.paymentData.billNumber,
+                    amount: transaction.paymentData.amount,
+                    currency: transaction.paymentData.currency,
+                    status: transaction.status,
+                    paymentDetails: transaction.paymentDetails || null,
+                    timestamp: new Date().toISOString()
+                }
+            });
+        }
+
+    } catch (error) {
+        logUserSession(sessionId, 'PAYMENT_EVENTS_ERROR', { id, error: error.message });
+
+        if (!res.headersSent) {
+            sendError(res, error, 'Failed to open payment event stream');
+        }
+    }
+});
+
+/**
+ * GET /api/payments/:id/image
+ * Render the payment QR as an image (template=plain|khqr-card, format=png|svg,
+ * size, margin, errorCorrectionLevel). A payment's QR string never changes, so
+ * images are cacheable and revalidated with an ETag.
+ */
+router.get('/payments/:id/image', requireRole('read'), validate(schemas.paymentImage), async (req, res) => {
+    const sessionId = req.headers['x-session-id'] || 'anonymous';
+    const { id } = req.params;
+    const { template, format, size, margin, errorCorrectionLevel } = req.query;
+
+    try {
+        logUserSession(sessionId, 'GET_PAYMENT_IMAGE_REQUEST', { id, template, format });
+
+        const transaction = await req.paymentService.findTransaction(id);
+        if (!transaction || !transaction.qrCode || !canAccessTransaction(req.auth, transaction)) {
+            return sendTransactionNotFound(res);
+        }
+
+        const khqr = req.paymentService.getClient(transaction.merchantId);
+        const imageOptions = {
+            format,
+            ...khqr.resolveImageOptions({ template, size, margin, errorCorrectionLevel })
+        };
+
+        const etag = `"${crypto.createHash('sha1')
+            .update(JSON.stringify([transaction.qrCode, imageOptions]))
+            .digest('hex')}"`;
+        const cacheHeaders = {
+            'Cache-Control': 'private, max-age=86400',
+            'ETag': etag
+        };
+
+        // Client already holds this image (req.fresh compares against the response ETag)
+        res.set('ETag', etag);
+        if (req.fresh) {
+            return res.set(cacheHeaders).status(304).end();
+        }
+        res.removeHeader('ETag');
+
+        // Image headers are set only once rendering succeeded, so errors are not cached
+        const image = await khqr.generateQRImage(transaction.qrCode, imageOptions);
+        res.set({
+            ...cacheHeaders,
+            'Content-Type': format === 'svg' ? 'image/svg+xml' : 'image/png',
+            'Content-Disposition': `inline; filename="khqr_${transaction.transactionId}.${format}"`
+        });
+        res.send(image);
+
+    } catch (error) {
+        logUserSession(sessionId, 'GET_PAYMENT_IMAGE_ERROR', { id, error: error.message });
+
+        sendError(res, error, 'Failed to render payment QR image');
+    }
+});
+
+/**
+ * GET /api/static-qr/:id/payments
+ * List payments attributed to a static QR (transaction ID or MD5 hash)
+ */
+router.get('/static-qr/:id/payments', requireRole('read'), validate(schemas.staticPayments), async (req, res) => {
+    const sessionId = req.headers['x-session-id'] || 'anonymous';
+    const { id } = req.params;
+    const { limit } = req.query;
+
+    try {
+        logUserSession(sessionId, 'GET_STATIC_PAYMENTS_REQUEST', { id, limit });
+
+        if (!await isAccessible(req, id)) {
+            return sendTransactionNotFound(res);
+        }
+
+        const result = await req.paymentService.getStaticPayments(id, limit);
+        if (!result) {
+            return sendTransactionNotFound(res);
+        }
+
+        logUserSession(sessionId, 'GET_STATIC_PAYMENTS_SUCCESS', { id, count: result.count });
+
+        res.json({
+            success: true,
+            data: {
+                staticQrId: result.staticQr.transactionId,
+                md5Hash: result.staticQr.md5Hash,
+                billNumber: result.staticQr.paymentData.billNumber,
+                status: result.staticQr.status,
+                lastChecked: result.staticQr.lastChecked || null,
+                payments: result.payments,
+                count: result.count,
+                totals: result.totals,
+                limit: limit
+            },
+            message: `Retrieved ${result.payments.length} of ${result.count} static QR payments`
+        });
+
+    } catch (error) {
+        logUserSession(sessionId, 'GET_STATIC_PAYMENTS_ERROR', { id, error: error.message });
+
+        sendError(res, error, 'Failed to retrieve static QR payments');
     }
 });
 
@@ -236,15 +591,15 @@ router.get('/payments/transaction/:transactionId', async (req, res) => {
  * GET /api/payments/transactions
  * Get all active transactions
  */
-router.get('/payments/transactions', async (req, res) => {
+router.get('/payments/transactions', requireRole('read'), validate(schemas.listTransactions), async (req, res) => {
     const sessionId = req.headers['x-session-id'] || 'anonymous';
-    const { limit = 50 } = req.query;
+    const { limit } = req.query;
 
     try {
         logUserSession(sessionId, 'GET_TRANSACTIONS_REQUEST', { limit });
 
-        const transactions = req.paymentService.getAllTransactions();
-        const limitedTransactions = transactions.slice(0, parseInt(limit));
+        const transactions = await req.paymentService.getAllTransactions({ merchantId: req.auth.merchantId });
+        const limitedTransactions = transactions.slice(0, limit);
 
         logUserSession(sessionId, 'GET_TRANSACTIONS_SUCCESS', { count: limitedTransactions.length });
 
@@ -253,7 +608,7 @@ router.get('/payments/transactions', async (req, res) => {
             data: {
                 transactions: limitedTransactions,
                 total: transactions.length,
-                limit: parseInt(limit)
+                limit: limit
             },
             message: `Retrieved ${limitedTransactions.length} transactions`
         });
@@ -261,11 +616,7 @@ router.get('/payments/transactions', async (req, res) => {
     } catch (error) {
         logUserSession(sessionId, 'GET_TRANSACTIONS_ERROR', { error: error.message });
         
-        res.status(400).json({
-            success: false,
-            error: error.message,
-            message: 'Failed to retrieve transactions'
-        });
+        sendError(res, error, 'Failed to retrieve transactions');
     }
 });
 
@@ -273,14 +624,14 @@ router.get('/payments/transactions', async (req, res) => {
  * GET /api/payments/history
  * Get transaction history
  */
-router.get('/payments/history', async (req, res) => {
+router.get('/payments/history', requireRole('read'), validate(schemas.listTransactions), async (req, res) => {
     const sessionId = req.headers['x-session-id'] || 'anonymous';
-    const { limit = 50 } = req.query;
+    const { limit } = req.query;
 
     try {
         logUserSession(sessionId, 'GET_HISTORY_REQUEST', { limit });
 
-        const history = req.paymentService.getTransactionHistory(parseInt(limit));
+        const history = await req.paymentService.getTransactionHistory(limit, { merchantId: req.auth.merchantId });
 
         logUserSession(sessionId, 'GET_HISTORY_SUCCESS', { count: history.length });
 
@@ -289,7 +640,7 @@ router.get('/payments/history', async (req, res) => {
             data: {
                 history,
                 count: history.length,
-                limit: parseInt(limit)
+                limit: limit
             },
             message: `Retrieved ${history.length} transaction history records`
         });
@@ -297,11 +648,7 @@ router.get('/payments/history', async (req, res) => {
     } catch (error) {
         logUserSession(sessionId, 'GET_HISTORY_ERROR', { error: error.message });
         
-        res.status(400).json({
-            success: false,
-            error: error.message,
-            message: 'Failed to retrieve transaction history'
-        });
+        sendError(res, error, 'Failed to retrieve transaction history');
     }
 });
 
@@ -309,14 +656,14 @@ router.get('/payments/history', async (req, res) => {
  * POST /api/payments/cleanup
  * Clean up old transactions
  */
-router.post('/payments/cleanup', async (req, res) => {
+router.post('/payments/cleanup', requireRole('admin'), validate(schemas.cleanup), async (req, res) => {
     const sessionId = req.headers['x-session-id'] || 'anonymous';
-    const { maxAge = 86400000 } = req.body; // 24 hours default
+    const { maxAge } = req.body; // 24 hours by default
 
     try {
         logUserSession(sessionId, 'CLEANUP_REQUEST', { maxAge });
 
-        const cleaned = req.paymentService.cleanupOldTransactions(maxAge);
+        const cleaned = await req.paymentService.cleanupOldTransactions(maxAge);
 
         logUserSession(sessionId, 'CLEANUP_SUCCESS', { cleaned });
 
@@ -329,11 +676,238 @@ router.post('/payments/cleanup', async (req, res) => {
     } catch (error) {
         logUserSession(sessionId, 'CLEANUP_ERROR', { error: error.message });
         
-        res.status(400).json({
-            success: false,
-            error: error.message,
-            message: 'Failed to cleanup transactions'
+        sendError(res, error, 'Failed to cleanup transactions');
+    }
+});
+
+/**
+ * POST /api/khqr/decode
+ * Decode a KHQR string into its structured fields
+ */
+router.post('/khqr/decode', requireRole('read'), validate(schemas.khqr), (req, res) => {
+    const sessionId = req.headers['x-session-id'] || 'anonymous';
+    const { qr } = req.body;
+
+    try {
+        logUserSession(sessionId, 'DECODE_KHQR_REQUEST', { length: qr?.length });
+
+        const decoded = req.paymentService.khqr.decode(qr);
+
+        logUserSession(sessionId, 'DECODE_KHQR_SUCCESS', { billNumber: decoded.billNumber });
+
+        res.json({
+            success: true,
+            data: decoded,
+            message: 'KHQR decoded successfully'
         });
+
+    } catch (error) {
+        logUserSession(sessionId, 'DECODE_KHQR_ERROR', { error: error.message });
+
+        sendError(res, error, 'Failed to decode KHQR');
+    }
+});
+
+/**
+ * POST /api/khqr/verify
+ * Verify CRC, mandatory tags and field lengths of a KHQR string
+ */
+router.post('/khqr/verify', requireRole('read'), validate(schemas.khqr), (req, res) => {
+    const sessionId = req.headers['x-session-id'] || 'anonymous';
+    const { qr } = req.body;
+
+    try {
+        logUserSession(sessionId, 'VERIFY_KHQR_REQUEST', { length: qr?.length });
+
+        const result = req.paymentService.khqr.verify(qr);
+
+        logUserSession(sessionId, 'VERIFY_KHQR_SUCCESS', {
+            valid: result.valid,
+            violations: result.errors.length
+        });
+
+        res.json({
+            success: true,
+            data: result,
+            message: result.valid ?
+                'KHQR is valid' :
+                `KHQR has ${result.errors.length} violation(s)`
+        });
+
+    } catch (error) {
+        logUserSession(sessionId, 'VERIFY_KHQR_ERROR', { error: error.message });
+
+        sendError(res, error, 'Failed to verify KHQR');
+    }
+});
+
+/**
+ * GET /api/webhooks/deliveries
+ * List recent webhook deliveries and the dead-letter list
+ */
+router.get('/webhooks/deliveries', requireRole('admin'), validate(schemas.webhookDeliveries), (req, res) => {
+    const sessionId = req.headers['x-session-id'] || 'anonymous';
+    const { status, limit } = req.query;
+
+    try {
+        logUserSession(sessionId, 'GET_WEBHOOK_DELIVERIES_REQUEST', { status, limit });
+
+        const result = req.webhookService.getDeliveries({ status, limit: limit });
+
+        res.json({
+            success: true,
+            data: {
+                ...result,
+                limit: limit
+            },
+            message: `Retrieved ${result.deliveries.length} webhook deliveries`
+        });
+
+    } catch (error) {
+        logUserSession(sessionId, 'GET_WEBHOOK_DELIVERIES_ERROR', { error: error.message });
+
+        sendError(res, error, 'Failed to retrieve webhook deliveries');
+    }
+});
+
+/**
+ * Respond 404 for unknown merchants
+ */
+const sendMerchantNotFound = (res) => {
+    res.status(404).json({
+        success: false,
+        code: 'NOT_FOUND',
+        message: 'Merchant not found'
+    });
+};
+
+/**
+ * GET /api/merchants
+ * List registered merchants (tokens are never returned)
+ */
+router.get('/merchants', requireRole('admin'), validate(schemas.none), (req, res) => {
+    const registry = req.paymentService.merchants;
+    const merchants = registry.list().map(merchant => registry.toPublic(merchant));
+
+    res.json({
+        success: true,
+        data: {
+            merchants,
+            count: merchants.length
+        },
+        message: `Retrieved ${merchants.length} merchants`
+    });
+});
+
+/**
+ * POST /api/merchants
+ * Register a merchant
+ */
+router.post('/merchants', requireRole('admin'), validate(schemas.createMerchant), async (req, res) => {
+    const sessionId = req.headers['x-session-id'] || 'anonymous';
+
+    try {
+        logUserSession(sessionId, 'CREATE_MERCHANT_REQUEST', { merchantId: req.body.merchantId });
+
+        const registry = req.paymentService.merchants;
+        const merchant = await registry.create(req.body);
+
+        logUserSession(sessionId, 'CREATE_MERCHANT_SUCCESS', { merchantId: merchant.merchantId });
+
+        res.status(201).json({
+            success: true,
+            data: registry.toPublic(merchant),
+            message: 'Merchant created successfully'
+        });
+
+    } catch (error) {
+        logUserSession(sessionId, 'CREATE_MERCHANT_ERROR', { error: error.message });
+
+        sendError(res, error, 'Failed to create merchant');
+    }
+});
+
+/**
+ * GET /api/merchants/:merchantId
+ * Get one merchant
+ */
+router.get('/merchants/:merchantId', requireRole('admin'), validate(schemas.merchant), (req, res) => {
+    const registry = req.paymentService.merchants;
+    const merchant = registry.get(req.params.merchantId);
+
+    if (!merchant) {
+        return sendMerchantNotFound(res);
+    }
+
+    res.json({
+        success: true,
+        data: registry.toPublic(merchant),
+        message: 'Merchant retrieved successfully'
+    });
+});
+
+/**
+ * PUT /api/merchants/:merchantId
+ * Update a registered merchant
+ */
+router.put('/merchants/:merchantId', requireRole('admin'), validate(schemas.updateMerchant), async (req, res) => {
+    const sessionId = req.headers['x-session-id'] || 'anonymous';
+    const { merchantId } = req.params;
+
+    try {
+        logUserSession(sessionId, 'UPDATE_MERCHANT_REQUEST', { merchantId });
+
+        const registry = req.paymentService.merchants;
+        const merchant = await registry.update(merchantId, req.body);
+
+        if (!merchant) {
+            return sendMerchantNotFound(res);
+        }
+
+        logUserSession(sessionId, 'UPDATE_MERCHANT_SUCCESS', { merchantId });
+
+        res.json({
+            success: true,
+            data: registry.toPublic(merchant),
+            message: 'Merchant updated successfully'
+        });
+
+    } catch (error) {
+        logUserSession(sessionId, 'UPDATE_MERCHANT_ERROR', { error: error.message });
+
+        sendError(res, error, 'Failed to update merchant');
+    }
+});
+
+/**
+ * DELETE /api/merchants/:merchantId
+ * Remove a registered merchant
+ */
+router.delete('/merchants/:merchantId', requireRole('admin'), validate(schemas.merchant), async (req, res) => {
+    const sessionId = req.headers['x-session-id'] || 'anonymous';
+    const { merchantId } = req.params;
+
+    try {
+        logUserSession(sessionId, 'DELETE_MERCHANT_REQUEST', { merchantId });
+
+        const removed = await req.paymentService.merchants.remove(merchantId);
+
+        if (!removed) {
+            return sendMerchantNotFound(res);
+        }
+
+        logUserSession(sessionId, 'DELETE_MERCHANT_SUCCESS', { merchantId });
+
+        res.json({
+            success: true,
+            data: { merchantId },
+            message: 'Merchant deleted successfully'
+        });
+
+    } catch (error) {
+        logUserSession(sessionId, 'DELETE_MERCHANT_ERROR', { error: error.message });
+
+        sendError(res, error, 'Failed to delete merchant');
     }
 });
 
@@ -348,18 +922,19 @@ router.get('/health', (req, res) => {
             status: 'healthy',
             timestamp: new Date().toISOString(),
             uptime: process.uptime(),
-            version: '1.0.0'
+            version: '1.0.0',
+            bakongApi: req.paymentService.khqr.getCircuitState()
         },
         message: 'Bakong KHQR API is healthy'
     });
 });
 
 // Payment monitoring endpoints
-router.get('/monitor/status', async (req, res) => {
+router.get('/monitor/status', requireRole('read'), validate(schemas.none), async (req, res) => {
   try {
     const autoMonitor = req.autoPaymentMonitor;
     const status = {
-      active: autoMonitor.isActive,
+      active: autoMonitor.isRunning,
       userCount: autoMonitor.getUserCount(),
       totalPayments: autoMonitor.getTotalPayments(),
       completedPayments: autoMonitor.getCompletedPayments(),
@@ -377,7 +952,26 @@ router.get('/monitor/status', async (req, res) => {
   }
 });
 
-router.get('/monitor/users', async (req, res) => {
+// Session-wide SSE stream; EventSource cannot send headers, so sessionId may be a query param
+router.get('/monitor/stream', requireRole('read'), validate(schemas.monitorStream), (req, res) => {
+  const sessionId = req.query.sessionId || req.headers['x-session-id'];
+  const { merchantId } = req.auth;
+
+  try {
+    logger.info('Monitor stream opened', { sessionId: sessionId || 'all', merchantId });
+    req.eventStream.subscribe(req, res, (data) =>
+      (!sessionId || data.sessionId === sessionId) &&
+      (!merchantId || data.merchantId === merchantId));
+  } catch (error) {
+    logger.error('Error opening monitor stream:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to open monitor stream' 
+    });
+  }
+});
+
+router.get('/monitor/users', requireRole('admin'), validate(schemas.none), async (req, res) => {
   try {
     const autoMonitor = req.autoPaymentMonitor;
     const users = autoMonitor.getActiveUsers();
@@ -393,7 +987,7 @@ router.get('/monitor/users', async (req, res) => {
   }
 });
 
-router.post('/monitor/force-check', async (req, res) => {
+router.post('/monitor/force-check', requireRole('admin'), validate(schemas.forceCheck), async (req, res) => {
   try {
     const autoMonitor = req.autoPaymentMonitor;
     const { hash } = req.body;
@@ -426,7 +1020,7 @@ router.post('/monitor/force-check', async (req, res) => {
   }
 });
 
-router.get('/monitor/user/:userId', async (req, res) => {
+router.get('/monitor/user/:userId', requireRole('admin'), validate(schemas.monitorUser), async (req, res) => {
   try {
     const autoMonitor = req.autoPaymentMonitor;
     const { userId } = req.params;
@@ -0,0 +1,232 @@
+/**
+ * Request schemas for every API endpoint, checked by the validate() middleware
+ * EMV byte limits come from the KHQR encoder so both reject the same inputs
+ */
+
+const { EMV, IMAGE_TEMPLATES } = require('./BakongKHQR');
+
+const URL_PATTERN = /^https?:\/\/\S+$/i;
+const IDENTIFIER_PATTERN = /^[A-Za-z0-9-]{1,64}$/; // Transaction ID (UUID) or MD5 hash
+const MERCHANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Amounts need at most 2 decimals in USD and whole riel in KHR, and must fit
+ * the EMV transaction amount field
+ */
+const checkAmount = (amount, data = {}) => {
+    const currency = String(data.currency || 'USD').toUpperCase();
+    const scale = currency === 'KHR' ? 1 : 100;
+
+    if (Math.abs(amount * scale - Math.round(amount * scale)) > 1e-6) {
+        return currency === 'KHR' ?
+            'amount must be a whole number of riel for KHR' :
+            'amount cannot have more than 2 decimals for USD';
+    }
+    if (amount.toFixed(2).replace(/\.?0+$/, '').padStart(11, '0').length > EMV.INVALID_LENGTH_TRANSACTION_AMOUNT) {
+        return 'amount is too large for a KHQR code';
+    }
+    return null;
+};
+
+/**
+ * Expiry timestamps must be a parseable date or epoch milliseconds in the future
+ */
+const checkExpiresAt = (expiresAt) => {
+    const time = typeof expiresAt === 'number' ? expiresAt : new Date(expiresAt).getTime();
+    if (!Number.isFinite(time)) return 'expiresAt must be an ISO date or epoch milliseconds';
+    if (time <= Date.now()) return 'expiresAt must be in the future';
+    return null;
+};
+
+const identifierParam = (name) => ({
+    [name]: { type: 'string', required: true, pattern: IDENTIFIER_PATTERN, message: 'must be a transaction ID or MD5 hash' }
+});
+
+const merchantParam = {
+    merchantId: { type: 'string', required: true, pattern: MERCHANT_ID_PATTERN, message: 'must be 1-64 letters, digits, "_" or "-"' }
+};
+
+const limitQuery = {
+    limit: { type: 'integer', min: 1, max: 1000, default: 50 }
+};
+
+// Event streams resume after Last-Event-ID, which EventSource may send as a query param
+const streamQuery = {
+    lastEventId: { type: 'integer', min: 0 }
+};
+
+// Monitor sessions are named by the client's X-Session-Id header
+const SESSION_ID_RULE = { type: 'string', maxLength: 128 };
+
+// Merchant fields shared by create and update; create adds the required ones
+const merchantFields = {
+    bakongAccountId: { type: 'string', maxBytes: EMV.INVALID_LENGTH_BAKONG_ACCOUNT, pattern: /^[^@\s]+@[^@\s]+$/, message: 'must look like name@bank' },
+    merchantName: { type: 'string', maxBytes: EMV.INVALID_LENGTH_MERCHANT_NAME },
+    merchantCity: { type: 'string', maxBytes: EMV.INVALID_LENGTH_MERCHANT_CITY },
+    merchantCategoryCode: { type: 'string', pattern: /^\d{4}$/, message: 'must be 4 digits' },
+    phoneNumber: { type: 'string', maxBytes: EMV.INVALID_LENGTH_MOBILE_NUMBER },
+    token: { type: 'string', maxLength: 4096 },
+    accountType: { type: 'string', enum: ['individual', 'merchant'] },
+    bakongMerchantId: { type: 'string', maxBytes: EMV.INVALID_LENGTH_MERCHANT_ID },
+    acquiringBank: { type: 'string', maxBytes: EMV.INVALID_LENGTH_ACQUIRING_BANK }
+};
+
+const schemas = {
+    createPayment: {
+        body: {
+            amount: { type: 'number', required: data => !data.isStatic, exclusiveMin: 0, check: checkAmount },
+            currency: { type: 'string', uppercase: true, enum: ['USD', 'KHR'], default: 'USD' },
+            billNumber: { type: 'string', maxBytes: EMV.INVALID_LENGTH_BILL_NUMBER }, // Generated when omitted
+            storeLabel: { type: 'string', maxBytes: EMV.INVALID_LENGTH_STORE_LABEL, default: 'Test Store' },
+            terminalLabel: { type: 'string', maxBytes: EMV.INVALID_LENGTH_TERMINAL_LABEL, default: 'Terminal' },
+            merchantName: { type: 'string', maxBytes: EMV.INVALID_LENGTH_MERCHANT_NAME },
+            merchantCity: { type: 'string', maxBytes: EMV.INVALID_LENGTH_MERCHANT_CITY },
+            isStatic: { type: 'boolean', default: false },
+            accountType: { type: 'string', enum: ['individual', 'merchant'] },
+            bakongMerchantId: { type: 'string', maxBytes: EMV.INVALID_LENGTH_MERCHANT_ID },
+            acquiringBank: { type: 'string', maxBytes: EMV.INVALID_LENGTH_ACQUIRING_BANK },
+            callback: { type: 'string', pattern: URL_PATTERN, message: 'must be an http(s) URL' },
+            appIconUrl: { type: 'string', pattern: URL_PATTERN, message: 'must be an http(s) URL' },
+            appName: { type: 'string', maxLength: 100 },
+            webhookUrl: { type: 'string', pattern: URL_PATTERN, message: 'must be an http(s) URL' },
+            expiresIn: { type: 'integer', min: 1000, max: 365 * 24 * 60 * 60 * 1000 },
+            expiresAt: { check: checkExpiresAt },
+            merchantId: { type: 'string', pattern: MERCHANT_ID_PATTERN, message: 'must be 1-64 letters, digits, "_" or "-"' }
+        }
+    },
+
+    checkPayment: {
+        params: identifierParam('identifier')
+    },
+
+    monitorPayment: {
+        body: {
+            identifier: { type: 'string', required: true, pattern: IDENTIFIER_PATTERN, message: 'must be a transaction ID or MD5 hash' },
+            timeout: { type: 'integer', min: 1000, max: 30 * 60 * 1000, default: 300000 },
+            interval: { type: 'integer', min: 1000, max: 60000, default: 5000 }
+        }
+    },
+
+    bulkCheck: {
+        body: {
+            identifiers: {
+                type: 'array',
+                required: true,
+                minLength: 1,
+                maxLength: 50,
+                items: { type: 'string', pattern: IDENTIFIER_PATTERN, message: 'must be a transaction ID or MD5 hash' }
+            }
+        }
+    },
+
+    getTransaction: {
+        params: identifierParam('transactionId')
+    },
+
+    cancelPayment: {
+        params: identifierParam('id'),
+        body: {
+            reason: { type: 'string', maxLength: 255 }
+        }
+    },
+
+    refundPayment: {
+        params: identifierParam('id'),
+        body: {
+            amount: { type: 'number', exclusiveMin: 0 }, // Defaults to the refundable remainder
+            reason: { type: 'string', required: true, maxLength: 255 },
+            type: { type: 'string', uppercase: true, enum: ['REFUND', 'VOID'], default: 'REFUND' }
+        }
+    },
+
+    paymentEvents: {
+        params: identifierParam('id'),
+        query: streamQuery
+    },
+
+    paymentImage: {
+        params: identifierParam('id'),
+        query: {
+            template: { type: 'string', enum: IMAGE_TEMPLATES, default: 'plain' },
+            format: { type: 'string', enum: ['png', 'svg'], default: 'png' },
+            size: { type: 'integer', min: 100, max: 2000 },
+            margin: { type: 'integer', min: 0, max: 10 },
+            errorCorrectionLevel: { type: 'string', uppercase: true, enum: ['L', 'M', 'Q', 'H'] }
+        }
+    },
+
+    staticPayments: {
+        params: identifierParam('id'),
+        query: limitQuery
+    },
+
+    listTransactions: {
+        query: limitQuery
+    },
+
+    cleanup: {
+        body: {
+            maxAge: { type: 'integer', min: 60000, default: 86400000 } // At least a minute
+        }
+    },
+
+    khqr: {
+        body: {
+            qr: { type: 'string', required: true, maxLength: 512 }
+        }
+    },
+
+    webhookDeliveries: {
+        query: {
+            status: { type: 'string', uppercase: true, enum: ['PENDING', 'RETRYING', 'DELIVERED', 'FAILED'] },
+            ...limitQuery
+        }
+    },
+
+    createMerchant: {
+        body: {
+            ...merchantParam,
+            ...merchantFields,
+            bakongAccountId: { ...merchantFields.bakongAccountId, required: true },
+            merchantName: { ...merchantFields.merchantName, required: true },
+            phoneNumber: { ...merchantFields.phoneNumber, required: true }
+        }
+    },
+
+    merchant: {
+        params: merchantParam
+    },
+
+    updateMerchant: {
+        params: merchantParam,
+        body: merchantFields
+    },
+
+    forceCheck: {
+        body: {
+            hash: { type: 'string', pattern: /^[a-f0-9]{32}$/i, message: 'must be an MD5 hash' }
+        }
+    },
+
+    monitorStream: {
+        query: {
+            sessionId: SESSION_ID_RULE,
+            ...streamQuery
+        }
+    },
+
+    monitorUser: {
+        params: {
+            userId: { ...SESSION_ID_RULE, required: true }
+        }
+    },
+
+    // Endpoints without input (merchant list, monitor status and users, stream
+    // tokens); still validated so adding a parameter later means adding a schema
+    none: {}
+};
+
+module.exports = {
+    schemas,
+    checkAmount
+};
@@ -0,0 +1,183 @@
+/**
+ * Request validation
+ * Checks request body, query and route parameters against declarative
+ * schemas and reports every invalid field at once
+ */
+
+/**
+ * Field rules:
+ *   type       'string', 'number', 'integer', 'boolean' or 'array'
+ *   required   true, or (data) => boolean for conditionally required fields
+ *   default    value used when the field is absent
+ *   uppercase  upper-case strings before checking them
+ *   enum       allowed values
+ *   pattern    RegExp that strings must match
+ *   maxBytes   maximum UTF-8 byte length (EMV field lengths count bytes)
+ *   minLength / maxLength  string length or number of array items
+ *   min / max  numeric bounds; exclusiveMin for bounds like "greater than 0"
+ *   items      rule applied to every array item
+ *   check      (value, data) => error message, or null when valid
+ *   message    text after the field name replacing the generated pattern or enum error
+ *
+ * Absent means undefined, null or an empty string (blank form fields).
+ */
+
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Whether a value counts as not provided
+ */
+const isAbsent = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Convert strings from query strings and form posts to the rule's type
+ */
+const coerce = (rule, value) => {
+    if (typeof value !== 'string') return value;
+
+    if ((rule.type === 'number' || rule.type === 'integer') && NUMBER_PATTERN.test(value.trim())) {
+        return Number(value);
+    }
+    if (rule.type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    if (rule.type === 'string' && rule.uppercase) {
+        return value.toUpperCase();
+    }
+    return value;
+};
+
+/**
+ * Check one value against its rule. Returns the error message or null.
+ */
+const checkRule = (rule, value, data, label) => {
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') return `${label} must be a string`;
+            break;
+        case 'number':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${label} must be a number`;
+            break;
+        case 'integer':
+            if (!Number.isInteger(value)) return `${label} must be a whole number`;
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return `${label} must be true or false`;
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return `${label} must be an array`;
+            break;
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `${label} ${rule.message || `must be one of: ${rule.enum.join(', ')}`}`;
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+        return `${label} ${rule.message || 'has an invalid format'}`;
+    }
+    if (rule.maxBytes !== undefined && Buffer.byteLength(value, 'utf8') > rule.maxBytes) {
+        return `${label} cannot exceed ${rule.maxBytes} bytes (got ${Buffer.byteLength(value, 'utf8')})`;
+    }
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return rule.type === 'array' ?
+            `${label} must contain at least ${rule.minLength} item(s)` :
+            `${label} must be at least ${rule.minLength} characters`;
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return rule.type === 'array' ?
+            `${label} cannot contain more than ${rule.maxLength} items` :
+            `${label} cannot exceed ${rule.maxLength} characters`;
+    }
+    if (rule.exclusiveMin !== undefined && !(value > rule.exclusiveMin)) {
+        return `${label} must be greater than ${rule.exclusiveMin}`;
+    }
+    if (rule.min !== undefined && value < rule.min) {
+        return `${label} must be at least ${rule.min}`;
+    }
+    if (rule.max !== undefined && value > rule.max) {
+        return `${label} cannot exceed ${rule.max}`;
+    }
+
+    return rule.check ? rule.check(value, data) : null;
+};
+
+/**
+ * Validate an object against a map of field rules.
+ * Returns the input with coerced values and defaults applied, plus every error found.
+ */
+const validateObject = (fields, input = {}) => {
+    const value = { ...input };
+    const errors = [];
+
+    // Coerce first so conditional rules and checks see final values
+    for (const [field, rule] of Object.entries(fields)) {
+        if (isAbsent(value[field])) {
+            value[field] = rule.default;
+        } else {
+            value[field] = coerce(rule, value[field]);
+        }
+    }
+
+    for (const [field, rule] of Object.entries(fields)) {
+        const fieldValue = value[field];
+
+        if (isAbsent(fieldValue)) {
+            const required = typeof rule.required === 'function' ? rule.required(value) : rule.required;
+            if (required) {
+                errors.push({ field, message: `${field} is required` });
+            }
+            continue;
+        }
+
+        const message = checkRule(rule, fieldValue, value, field);
+        if (message) {
+            errors.push({ field, message });
+            continue;
+        }
+
+        if (rule.items) {
+            fieldValue.forEach((item, index) => {
+                const itemMessage = checkRule(rule.items, coerce(rule.items, item), value, `${field}[${index}]`);
+                if (itemMessage) {
+                    errors.push({ field: `${field}[${index}]`, message: itemMessage });
+                }
+            });
+        }
+    }
+
+    return { value, errors };
+};
+
+/**
+ * Express middleware validating req.params, req.query and req.body against a
+ * schema ({ params, query, body } maps of field rules). Invalid requests get a
+ * 422 listing every invalid field; valid ones continue with coerced values.
+ */
+const validate = (schema) => (req, res, next) => {
+    const errors = [];
+
+    for (const location of ['params', 'query', 'body']) {
+        if (!schema[location]) continue;
+
+        const result = validateObject(schema[location], req[location] || {});
+        result.errors.forEach(error => errors.push({ ...error, location }));
+        req[location] = result.value;
+    }
+
+    if (errors.length > 0) {
+        return res.status(422).json({
+            success: false,
+            error: errors.map(error => error.message).join('; '),
+            code: 'VALIDATION_ERROR',
+            errors,
+            message: 'Request validation failed'
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    validateObject,
+    validate
+};
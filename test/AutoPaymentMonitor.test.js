@@ -0,0 +1,199 @@
+/**
+ * AutoPaymentMonitor driven by fake timers against a stubbed Bakong client
+ */
+
+const { createPaymentService, paymentData, flushPromises } = require('./helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AutoPaymentMonitor = require('../src/AutoPaymentMonitor');
+
+describe('AutoPaymentMonitor', () => {
+    let paymentService;
+    let client;
+    let monitor;
+    let events;
+
+    /**
+     * Advance fake time by one check interval and let the bulk check finish
+     */
+    const runCheck = async () => {
+        mock.timers.tick(monitor.checkInterval);
+        await flushPromises(200);
+    };
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['setTimeout', 'Date'], now: Date.now() });
+
+        ({ paymentService, client } = createPaymentService());
+        monitor = new AutoPaymentMonitor(paymentService);
+        paymentService.setAutoMonitor(monitor);
+
+        events = [];
+        for (const event of ['payment_added', 'payment_success', 'payment_expired', 'payment_cancelled',
+            'payment_needs_attention', 'static_payment_received']) {
+            monitor.on(event, data => events.push([event, data]));
+        }
+        monitor.start();
+    });
+
+    afterEach(() => {
+        monitor.stop();
+        mock.timers.reset();
+    });
+
+    const eventNames = () => events.map(([event]) => event);
+
+    it('starts monitoring new payments', async () => {
+        const payment = await paymentService.createPayment(paymentData());
+
+        assert.deepEqual(eventNames(), ['payment_added']);
+        assert.equal(monitor.activeMonitors.get(payment.md5Hash).transactionId, payment.transactionId);
+    });
+
+    it('detects a payment on the next bulk check', async () => {
+        const payment = await paymentService.createPayment(paymentData());
+
+        await runCheck();
+        assert.equal(monitor.activeMonitors.get(payment.md5Hash).status, 'UNPAID');
+
+        client.pay(payment.md5Hash);
+        await runCheck();
+
+        assert.deepEqual(eventNames(), ['payment_added', 'payment_success']);
+        const [, success] = events[1];
+        assert.equal(success.result.status, 'PAID');
+        assert.equal(success.result.reconciliation.outcome, 'PAID');
+        assert.equal(monitor.activeMonitors.size, 0);
+        assert.equal((await paymentService.getTransaction(payment.transactionId)).status, 'PAID');
+    });
+
+    it('checks at most 50 hashes per Bakong request', async () => {
+        for (let i = 0; i < 120; i++) {
+            await paymentService.createPayment(paymentData());
+        }
+
+        await runCheck();
+
+        const bulkCalls = client.calls.filter(([method]) => method === 'checkBulkPayments');
+        assert.deepEqual(bulkCalls.map(([, hashes]) => hashes.length), [50, 50, 20]);
+    });
+
+    it('keeps monitoring when a bulk check fails', async () => {
+        const payment = await paymentService.createPayment(paymentData());
+        client.fail(new Error('Bakong unavailable'));
+
+        await runCheck();
+        assert.ok(monitor.activeMonitors.has(payment.md5Hash));
+
+        client.pay(payment.md5Hash);
+        await runCheck();
+        assert.ok(eventNames().includes('payment_success'));
+    });
+
+    it('expires payments at their QR expiry', async () => {
+        const payment = await paymentService.createPayment(paymentData({ expiresIn: 15000 }));
+
+        await runCheck();
+        assert.ok(monitor.activeMonitors.has(payment.md5Hash));
+
+        await runCheck();
+
+        assert.deepEqual(eventNames(), ['payment_added', 'payment_expired']);
+        assert.equal(monitor.activeMonitors.size, 0);
+        assert.equal((await paymentService.getTransaction(payment.transactionId)).status, 'EXPIRED');
+    });
+
+    it('confirms a payment made in the last interval before expiry', async () => {
+        const payment = await paymentService.createPayment(paymentData({ expiresIn: 15000 }));
+        await runCheck();
+
+        mock.timers.tick(6000); // Past the expiry before the next poll
+        client.pay(payment.md5Hash);
+        await runCheck();
+
+        assert.deepEqual(eventNames(), ['payment_added', 'payment_success']);
+        assert.equal((await paymentService.getTransaction(payment.transactionId)).status, 'PAID');
+    });
+
+    it('runs a single polling loop after stop() and start()', async () => {
+        await paymentService.createPayment(paymentData());
+        monitor.stop();
+        monitor.start();
+        await paymentService.createPayment(paymentData());
+
+        await runCheck();
+
+        assert.equal(client.calls.filter(([method]) => method === 'checkBulkPayments').length, 1);
+    });
+
+    it('watches cancelled payments for late payments', async () => {
+        const payment = await paymentService.createPayment(paymentData());
+        await paymentService.cancelPayment(payment.transactionId, { reason: 'Customer left' });
+
+        assert.equal(events[1][0], 'payment_cancelled');
+        assert.equal(events[1][1].reason, 'Customer left');
+        assert.equal(monitor.activeMonitors.size, 0);
+
+        client.pay(payment.md5Hash);
+        await runCheck();
+
+        assert.deepEqual(eventNames(), ['payment_added', 'payment_cancelled', 'payment_needs_attention']);
+        assert.equal(events[2][1].reason, 'PAID_AFTER_CANCELLATION');
+        assert.equal(monitor.cancelledMonitors.size, 0);
+        const transaction = await paymentService.getTransaction(payment.transactionId);
+        assert.equal(transaction.status, 'CANCELLED');
+        assert.equal(transaction.needsAttention.reason, 'PAID_AFTER_CANCELLATION');
+    });
+
+    it('reports a payment cancelled during the bulk check as a late payment, not a success', async () => {
+        const payment = await paymentService.createPayment(paymentData());
+        client.pay(payment.md5Hash);
+        const check = paymentService.checkPaymentStatus.bind(paymentService);
+        mock.method(paymentService, 'checkPaymentStatus', async (...args) => {
+            await paymentService.cancelPayment(payment.transactionId); // Cancelled after the chunk read its flags
+            return check(...args);
+        });
+
+        await monitor.checkChunk([payment.md5Hash]);
+
+        assert.deepEqual(eventNames(), ['payment_added', 'payment_cancelled', 'payment_needs_attention']);
+    });
+
+    it('stops watching cancelled payments after their expiry', async () => {
+        const payment = await paymentService.createPayment(paymentData({ expiresIn: 15000 }));
+        await paymentService.cancelPayment(payment.transactionId);
+
+        await runCheck();
+        assert.equal(monitor.cancelledMonitors.size, 1);
+
+        await runCheck();
+        assert.equal(monitor.cancelledMonitors.size, 0);
+    });
+
+    it('reports every payment to a static QR and keeps monitoring it', async () => {
+        const staticQr = await paymentService.createPayment(paymentData({ amount: undefined, isStatic: true }));
+
+        client.pay(staticQr.md5Hash, { hash: 'h1', externalRef: 'r1', amount: 2 });
+        await runCheck();
+        await runCheck(); // Same payment again: nothing new
+        client.pay(staticQr.md5Hash, { hash: 'h2', externalRef: 'r2', amount: 3 });
+        await runCheck();
+
+        const received = events.filter(([event]) => event === 'static_payment_received');
+        assert.deepEqual(received.map(([, data]) => data.payment.paymentData.amount), [2, 3]);
+        assert.equal(monitor.activeMonitors.get(staticQr.md5Hash).paymentCount, 2);
+        assert.equal(client.calls.filter(([method]) => method === 'checkBulkPayments').length, 0);
+    });
+
+    it('resumes pending payments after a restart', async () => {
+        await paymentService.createPayment(paymentData());
+        await paymentService.createPayment(paymentData({ amount: undefined, isStatic: true }));
+
+        const restarted = new AutoPaymentMonitor(paymentService);
+        paymentService.setAutoMonitor(restarted);
+
+        assert.equal(await paymentService.resumeMonitoring(), 2);
+        assert.equal(restarted.activeMonitors.size, 2);
+        restarted.stop();
+    });
+});
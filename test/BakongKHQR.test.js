@@ -0,0 +1,360 @@
+/**
+ * BakongKHQR: golden vectors for the encoder, decode/verify and the Bakong
+ * API client (run against the local mock server)
+ */
+
+require('./helpers');
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const BakongKHQR = require('../src/BakongKHQR');
+const BakongMockServer = require('../src/BakongMockServer');
+const CircuitBreaker = require('../sdk/lib/CircuitBreaker');
+const {
+    BakongAuthError,
+    BakongServerError,
+    BakongUnavailableError,
+    KHQRValidationError
+} = require('../src/errors');
+
+const CREATED_AT = 1700000000000; // Pinned so the tag 99 timestamp is reproducible
+
+// Reference KHQR strings produced by this encoder, pinned to catch unintended output changes.
+// generateCRC16 itself is checked against the published CRC-16/CCITT-FALSE check value, and the
+// encoder against the independent vectors from the official SDK further down.
+const GOLDEN_VECTORS = [
+    {
+        name: 'individual dynamic USD',
+        options: {
+            bankAccount: 'john_smith@devb',
+            merchantName: 'John Smith',
+            merchantCity: 'Phnom Penh',
+            amount: 1.5,
+            currency: 'USD',
+            storeLabel: 'Coffee Shop',
+            phoneNumber: '85512345678',
+            billNumber: 'INV-001',
+            terminalLabel: 'Counter 1'
+        },
+        qr: '00020101021229190015john_smith@devb520459995802KH5910John Smith6010Phnom Penh' +
+            '9917001317000000000005411000000001.5530384062540107INV-0010211855123456780311Coffee Shop' +
+            '0709Counter 16304D17A',
+        md5: 'd8dbed8200c98dabfe0d2e5538ceb82c'
+    },
+    {
+        name: 'individual static KHR',
+        options: {
+            bankAccount: 'john_smith@devb',
+            merchantName: 'John Smith',
+            merchantCity: 'Siem Reap',
+            currency: 'KHR',
+            storeLabel: 'Market',
+            phoneNumber: '85512345678',
+            billNumber: 'STATIC-1',
+            terminalLabel: 'T1',
+            isStatic: true
+        },
+        qr: '00020101021129190015john_smith@devb520459995802KH5910John Smith6009Siem Reap' +
+            '991700131700000000000530311662430108STATIC-10211855123456780306Market0702T16304AC4E',
+        md5: 'c1488bc78a22ec746bdb0a4dddd01053'
+    },
+    {
+        name: 'merchant (tag 30) dynamic KHR with expiry',
+        options: {
+            bankAccount: 'shop@aclb',
+            merchantName: 'ABC Shop',
+            merchantCity: 'Phnom Penh',
+            amount: 25000,
+            currency: 'KHR',
+            storeLabel: 'Branch 2',
+            phoneNumber: '85598765432',
+            billNumber: 'B-42',
+            terminalLabel: 'POS-2',
+            accountType: 'merchant',
+            merchantId: 'ABC123',
+            acquiringBank: 'ACLEDA Bank',
+            merchantCategoryCode: '5812',
+            expiresIn: 600000
+        },
+        qr: '00020101021230380009shop@aclb0106ABC1230211ACLEDA Bank520458125802KH5908ABC Shop' +
+            '6010Phnom Penh99340013170000000000001131700000600000541100000025000530311662440104B-42' +
+            '0211855987654320308Branch 20705POS-263049652',
+        md5: '06705f3c1fdc551dd352ec9a9eb01db2'
+    }
+];
+
+// KHQR strings from an independent encoder, the official NBC SDK (npm bakong-khqr@1.0.20).
+// The first two were generated with its generateIndividual() at Date.now() = CREATED_AT and a
+// 10 minute expiry; the others are copied from that package's test suite.
+const REFERENCE_VECTORS = [
+    {
+        name: 'official SDK: individual dynamic USD',
+        qr: '00020101021229190015john_smith@devb52045999530384054041.505802KH5910John Smith6010Phnom Penh' +
+            '62540107INV-0010211855123456780311Coffee Shop0709Counter 19934001317000000000000113170000060000' +
+            '06304C2F0',
+        md5: '6d063bd58c874d6881318b572c7b9609',
+        decoded: {
+            bankAccount: 'john_smith@devb',
+            merchantName: 'John Smith',
+            amount: 1.5,
+            currency: 'USD',
+            billNumber: 'INV-001',
+            phoneNumber: '85512345678',
+            storeLabel: 'Coffee Shop',
+            terminalLabel: 'Counter 1',
+            timestamp: CREATED_AT,
+            expiresAt: CREATED_AT + 600000
+        }
+    },
+    {
+        // The official SDK counts tag lengths in UTF-16 characters (5903ហាង) where this encoder
+        // counts UTF-8 bytes, so this vector is compared on its CRC and MD5 only
+        name: 'official SDK: Khmer merchant name',
+        qr: '00020101021229190015john_smith@devb52045999530384054041.505802KH5903ហាង6010Phnom Penh' +
+            '62540107INV-0010211855123456780311Coffee Shop0709Counter 19934001317000000000000113170000060000' +
+            '063046A96',
+        md5: 'a9dd9eba446942c284dbea2ec9427b06'
+    },
+    {
+        name: 'official SDK test suite: individual dynamic KHR',
+        qr: '00020101021229190015john_smith@devb52045999530311654065000.05802KH5910jonh smith6010Phnom Penh' +
+            '62360109#INV-20030313Coffee Klaing0702#299170013161302797275763049ACF',
+        decoded: {
+            bankAccount: 'john_smith@devb',
+            amount: 5000,
+            currency: 'KHR',
+            billNumber: '#INV-2003',
+            storeLabel: 'Coffee Klaing',
+            terminalLabel: '#2',
+            timestamp: 1613027972757
+        }
+    },
+    {
+        name: 'official SDK test suite: merchant static USD',
+        qr: '00020101021130470009khqr@aclb0111855124649170215ACLEDA Bank Plc5204599953038405802KH5907BUN MAO' +
+            '6010Phnom Penh6102126213020901050033164310002KM0107BUN MAO0210Phnom Penh6304E313',
+        decoded: {
+            isStatic: true,
+            accountType: 'merchant',
+            bankAccount: 'khqr@aclb',
+            merchantId: '85512464917',
+            acquiringBank: 'ACLEDA Bank Plc',
+            merchantName: 'BUN MAO',
+            amount: null,
+            currency: 'USD',
+            phoneNumber: '010500331'
+        }
+    }
+];
+
+describe('BakongKHQR encoder', () => {
+    const khqr = new BakongKHQR();
+
+    beforeEach(() => {
+        mock.timers.enable({ apis: ['Date'], now: CREATED_AT });
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    it('computes CRC-16/CCITT-FALSE', () => {
+        assert.equal(khqr.generateCRC16('123456789'), '29B1'); // Standard check value
+        assert.equal(khqr.generateCRC16(''), 'FFFF');
+    });
+
+    it('computes the CRC over UTF-8 bytes, not UTF-16 code units', () => {
+        // 'ហាង' is U+17A0 U+17B6 U+1784: 9 UTF-8 bytes E1 9E A0 E1 9E B6 E1 9E 84
+        assert.equal(khqr.generateCRC16('ហាង'), 'A3F6');
+
+        const qr = khqr.createQR({ ...GOLDEN_VECTORS[0].options, merchantName: 'ហាង' });
+        assert.equal(qr, GOLDEN_VECTORS[0].qr.replace('5910John Smith', '5909ហាង').slice(0, -4) + '0B38');
+        assert.deepEqual(khqr.verify(qr), { valid: true, errors: [] });
+    });
+
+    for (const vector of GOLDEN_VECTORS) {
+        it(`matches the golden vector: ${vector.name}`, () => {
+            const qr = khqr.createQR(vector.options);
+
+            assert.equal(qr, vector.qr);
+            assert.equal(khqr.generateMD5(qr), vector.md5);
+            assert.equal(khqr.generateCRC16(qr.slice(0, -4)), qr.slice(-4));
+        });
+    }
+
+    it('agrees with the official SDK on CRC and MD5', () => {
+        for (const vector of REFERENCE_VECTORS) {
+            assert.equal(khqr.generateCRC16(vector.qr.slice(0, -4)), vector.qr.slice(-4), vector.name);
+            if (vector.md5) {
+                assert.equal(khqr.generateMD5(vector.qr), vector.md5, vector.name);
+            }
+        }
+    });
+
+    it('decodes and verifies official SDK output', () => {
+        for (const vector of REFERENCE_VECTORS.filter(vector => vector.decoded)) {
+            assert.deepEqual(khqr.verify(vector.qr), { valid: true, errors: [] }, vector.name);
+
+            const decoded = khqr.decode(vector.qr);
+            for (const [field, value] of Object.entries(vector.decoded)) {
+                assert.equal(decoded[field], value, `${vector.name}: ${field}`);
+            }
+        }
+    });
+
+    it('decodes what it encodes', () => {
+        const [individual, staticQr, merchant] = GOLDEN_VECTORS.map(vector => khqr.decode(vector.qr));
+
+        assert.equal(individual.bankAccount, 'john_smith@devb');
+        assert.equal(individual.amount, 1.5);
+        assert.equal(individual.currency, 'USD');
+        assert.equal(individual.isStatic, false);
+        assert.equal(individual.merchantName, 'John Smith');
+
+        assert.equal(staticQr.isStatic, true);
+        assert.equal(staticQr.amount, null);
+        assert.equal(staticQr.currency, 'KHR');
+
+        assert.equal(merchant.accountType, 'merchant');
+        assert.equal(merchant.merchantId, 'ABC123');
+        assert.equal(merchant.acquiringBank, 'ACLEDA Bank');
+        assert.equal(merchant.amount, 25000);
+    });
+
+    it('verifies golden vectors and reports tampering', () => {
+        for (const vector of GOLDEN_VECTORS) {
+            assert.deepEqual(khqr.verify(vector.qr), { valid: true, errors: [] });
+        }
+
+        const tampered = GOLDEN_VECTORS[0].qr.replace('1.5', '9.5');
+        const result = khqr.verify(tampered);
+        assert.equal(result.valid, false);
+        assert.equal(result.errors[0].field, 'crc');
+    });
+
+    it('rejects fields longer than the EMV limits', () => {
+        assert.throws(
+            () => khqr.createQR({ ...GOLDEN_VECTORS[0].options, merchantName: 'M'.repeat(26) }),
+            error => error instanceof KHQRValidationError && error.field === 'merchantName'
+        );
+        assert.throws(
+            () => khqr.createQR({ ...GOLDEN_VECTORS[0].options, billNumber: 'B'.repeat(26) }),
+            error => error instanceof KHQRValidationError && error.field === 'billNumber'
+        );
+    });
+
+    it('rejects expiries in the past', () => {
+        assert.throws(
+            () => khqr.createQR({ ...GOLDEN_VECTORS[0].options, expiresAt: CREATED_AT - 1 }),
+            error => error instanceof KHQRValidationError && error.field === 'expiresAt'
+        );
+    });
+});
+
+describe('BakongKHQR API client', () => {
+    const mockServer = new BakongMockServer();
+    let khqr;
+
+    before(async () => {
+        process.env.BAKONG_API_URL = await mockServer.listen();
+    });
+
+    after(async () => {
+        delete process.env.BAKONG_API_URL;
+        await mockServer.close();
+    });
+
+    beforeEach(() => {
+        mockServer.reset();
+        khqr = new BakongKHQR('test-token', { retryBaseDelay: 1, retryMaxDelay: 5 });
+    });
+
+    it('reports UNPAID until the mock marks the MD5 paid', async () => {
+        const md5 = 'a'.repeat(32);
+        assert.equal(await khqr.checkPayment(md5), 'UNPAID');
+
+        mockServer.markPaid({ md5, amount: 5, fromAccountId: 'payer@aclb' });
+
+        assert.equal(await khqr.checkPayment(md5), 'PAID');
+        const payment = await khqr.getPayment(md5);
+        assert.equal(payment.amount, 5);
+        assert.equal(payment.fromAccountId, 'payer@aclb');
+    });
+
+    it('checks hashes in bulk', async () => {
+        mockServer.markPaid({ md5: 'b'.repeat(32), amount: 1 });
+
+        const paid = await khqr.checkBulkPayments(['b'.repeat(32), 'c'.repeat(32)]);
+
+        assert.deepEqual(paid, ['b'.repeat(32)]);
+        await assert.rejects(khqr.checkBulkPayments(new Array(51).fill('d'.repeat(32))), KHQRValidationError);
+    });
+
+    it('generates deep links and remembers the QR for mark-paid', async () => {
+        const qr = GOLDEN_VECTORS[0].qr;
+
+        const link = await khqr.generateDeeplink(qr);
+        const payment = mockServer.markPaid({ md5: GOLDEN_VECTORS[0].md5 });
+
+        assert.match(link, /^https:\/\/bakong\.page\.link\//);
+        assert.equal(payment.amount, 1.5); // Taken from the QR
+        assert.equal(payment.toAccountId, 'john_smith@devb');
+    });
+
+    it('requires a developer token', async () => {
+        await assert.rejects(new BakongKHQR().checkBulkPayments(['e'.repeat(32)]), BakongAuthError);
+
+        const strictServer = new BakongMockServer({ token: 'expected-token' });
+        process.env.BAKONG_API_URL = await strictServer.listen();
+        try {
+            await assert.rejects(new BakongKHQR('wrong-token').checkBulkPayments(['e'.repeat(32)]), BakongAuthError);
+        } finally {
+            process.env.BAKONG_API_URL = mockServer.url;
+            await strictServer.close();
+        }
+    });
+
+    it('retries server errors before succeeding', async () => {
+        mockServer.failNext(503, 2);
+
+        assert.deepEqual(await khqr.checkBulkPayments(['f'.repeat(32)]), []);
+        assert.equal(mockServer.requests.length, 3);
+    });
+
+    it('opens the circuit after repeated failures', async () => {
+        const client = new BakongKHQR('test-token', {
+            maxRetries: 0,
+            circuitBreaker: new CircuitBreaker({ failureThreshold: 2 })
+        });
+        mockServer.failNext(500, 2);
+
+        await assert.rejects(client.checkBulkPayments(['f'.repeat(32)]), BakongServerError);
+        await assert.rejects(client.checkBulkPayments(['f'.repeat(32)]), BakongServerError);
+        await assert.rejects(client.checkBulkPayments(['f'.repeat(32)]), BakongUnavailableError);
+        assert.equal(mockServer.requests.length, 2);
+    });
+
+    it('lets a single trial request through when half-open', async () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeout: 1 });
+        const client = new BakongKHQR('test-token', { maxRetries: 0, circuitBreaker: breaker });
+        mockServer.failNext(500, 1);
+        await assert.rejects(client.checkBulkPayments(['f'.repeat(32)]), BakongServerError);
+        await new Promise(resolve => setTimeout(resolve, 5));
+
+        const results = await Promise.allSettled([1, 2, 3].map(() => client.checkBulkPayments(['f'.repeat(32)])));
+
+        assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected', 'rejected']);
+        assert.ok(results[1].reason instanceof BakongUnavailableError);
+        assert.equal(mockServer.requests.length, 2);
+        assert.equal(breaker.getState().state, 'CLOSED');
+    });
+
+    it('disables retries with BAKONG_API_MAX_RETRIES=0', async () => {
+        process.env.BAKONG_API_MAX_RETRIES = '0';
+        try {
+            assert.equal(new BakongKHQR('test-token').maxRetries, 0);
+        } finally {
+            delete process.env.BAKONG_API_MAX_RETRIES;
+        }
+        assert.equal(new BakongKHQR('test-token').maxRetries, 3);
+    });
+});
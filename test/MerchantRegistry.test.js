@@ -0,0 +1,60 @@
+/**
+ * File-backed merchant registry: write failures and unreadable files
+ */
+
+require('./helpers');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MerchantRegistry = require('../src/MerchantRegistry');
+
+const merchant = (merchantId) => ({
+    merchantId,
+    bakongAccountId: `${merchantId}@aclb`,
+    merchantName: `Shop ${merchantId}`,
+    phoneNumber: '85512345678'
+});
+
+describe('MerchantRegistry', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bakong-merchants-'));
+        filePath = path.join(directory, 'merchants.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('keeps saving after a failed write', async () => {
+        const registry = new MerchantRegistry({ filePath });
+        const rename = fs.promises.rename;
+        fs.promises.rename = async () => { throw Object.assign(new Error('no space left'), { code: 'ENOSPC' }); };
+
+        try {
+            await assert.rejects(registry.create(merchant('shop1')), { code: 'ENOSPC' });
+        } finally {
+            fs.promises.rename = rename;
+        }
+        await registry.create(merchant('shop2'));
+
+        const reloaded = new MerchantRegistry({ filePath });
+        assert.deepEqual(reloaded.list().map(m => m.merchantId), ['default', 'shop1', 'shop2']);
+    });
+
+    it('moves an unreadable file aside and keeps the default merchant', () => {
+        fs.writeFileSync(filePath, '{"merchantId": "shop1"}');
+        const entries = [];
+        const logger = { error: (message, meta) => entries.push([message, meta]) };
+
+        const registry = new MerchantRegistry({ filePath, logger });
+
+        assert.deepEqual(registry.list().map(m => m.merchantId), ['default']);
+        assert.equal(fs.existsSync(filePath), false);
+        assert.equal(fs.readFileSync(entries[0][1].corruptPath, 'utf8'), '{"merchantId": "shop1"}');
+    });
+});
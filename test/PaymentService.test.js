@@ -0,0 +1,439 @@
+/**
+ * PaymentService with a stubbed Bakong client and an in-memory store
+ */
+
+const { createPaymentService, paymentData, flushPromises } = require('./helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { KHQRValidationError, PaymentConflictError } = require('../src/errors');
+
+describe('PaymentService', () => {
+    let paymentService;
+    let client;
+
+    beforeEach(() => {
+        ({ paymentService, client } = createPaymentService());
+    });
+
+    afterEach(() => {
+        mock.timers.reset();
+    });
+
+    describe('createPayment', () => {
+        it('issues a pending QR with a deep link and audit entry', async () => {
+            const result = await paymentService.createPayment(paymentData({ amount: 2.5 }), { actor: 'tester' });
+
+            assert.equal(result.status, 'PENDING');
+            assert.equal(result.md5Hash, client.generateMD5(result.qrCode));
+            assert.match(result.deepLink, /^https:\/\/bakong\.page\.link\//);
+            assert.deepEqual(client.verify(result.qrCode), { valid: true, errors: [] });
+            assert.equal(client.decode(result.qrCode).amount, 2.5);
+            assert.equal(result.auditTrail[0].to, 'PENDING');
+            assert.equal(result.auditTrail[0].actor, 'tester');
+            assert.equal(await paymentService.getTransaction(result.transactionId), result);
+        });
+
+        it('encodes the default expiry into dynamic QRs only', async () => {
+            const dynamic = await paymentService.createPayment(paymentData());
+            const staticQr = await paymentService.createPayment(paymentData({ amount: undefined, isStatic: true }));
+
+            assert.ok(client.decode(dynamic.qrCode).expiresAt);
+            assert.equal(staticQr.status, 'ACTIVE');
+            assert.equal(staticQr.expiresAt, null);
+        });
+
+        it('still creates the payment when the deep link fails', async () => {
+            client.fail(new Error('Bakong down'));
+
+            const result = await paymentService.createPayment(paymentData());
+
+            assert.equal(result.deepLink, null);
+            assert.equal(result.status, 'PENDING');
+        });
+
+        it('rejects invalid payment data', async () => {
+            await assert.rejects(paymentService.createPayment(paymentData({ amount: -1 })),
+                error => error instanceof KHQRValidationError && error.field === 'amount');
+            await assert.rejects(paymentService.createPayment(paymentData({ amount: 1.005 })),
+                error => error instanceof KHQRValidationError && error.field === 'amount');
+            await assert.rejects(paymentService.createPayment(paymentData({ currency: 'EUR' })),
+                error => error instanceof KHQRValidationError && error.field === 'currency');
+            await assert.rejects(paymentService.createPayment(paymentData({ merchantId: 'missing' })),
+                error => error instanceof KHQRValidationError && error.field === 'merchantId');
+            await assert.rejects(paymentService.createPayment(paymentData({ webhookUrl: 'http://169.254.169.254/latest' })),
+                error => error instanceof KHQRValidationError && error.field === 'webhookUrl');
+        });
+
+        it('refuses per-payment webhooks while webhooks are disabled', async () => {
+            const secret = process.env.WEBHOOK_SECRET;
+            delete process.env.WEBHOOK_SECRET;
+            try {
+                await assert.rejects(paymentService.createPayment(paymentData({ webhookUrl: 'https://orders.example/hook' })),
+                    error => error instanceof KHQRValidationError && /WEBHOOK_SECRET/.test(error.message));
+            } finally {
+                process.env.WEBHOOK_SECRET = secret;
+            }
+        });
+
+        it('replays idempotent requests and rejects a reused key', async () => {
+            const data = paymentData();
+            const first = await paymentService.createPayment(data, { idempotencyKey: 'key-1' });
+            const replay = await paymentService.createPayment(data, { idempotencyKey: 'key-1' });
+
+            assert.equal(replay.transactionId, first.transactionId);
+            assert.equal(replay.idempotentReplay, true);
+            await assert.rejects(paymentService.createPayment({ ...data, amount: 99 }, { idempotencyKey: 'key-1' }),
+                error => error instanceof PaymentConflictError && error.code === 'IDEMPOTENCY_KEY_REUSED');
+        });
+
+        it('issues one QR for concurrent requests with the same bill number', async () => {
+            const data = paymentData({ billNumber: 'CONCURRENT-1' });
+
+            const results = await Promise.all([1, 2, 3].map(() => paymentService.createPayment({ ...data })));
+
+            assert.equal(new Set(results.map(result => result.transactionId)).size, 1);
+            assert.equal((await paymentService.getAllTransactions()).length, 1);
+        });
+
+        it('rejects a bill number that is already paid', async () => {
+            const data = paymentData();
+            const payment = await paymentService.createPayment(data);
+            client.pay(payment.md5Hash);
+            await paymentService.checkPaymentStatus(payment.transactionId);
+
+            await assert.rejects(paymentService.createPayment(data),
+                error => error instanceof PaymentConflictError && error.code === 'DUPLICATE_BILL_NUMBER');
+        });
+
+        it('issues a cancelled bill number again', async () => {
+            const data = paymentData();
+            const cancelled = await paymentService.createPayment(data);
+            await paymentService.cancelPayment(cancelled.transactionId);
+
+            const reissued = await paymentService.createPayment(data);
+
+            assert.notEqual(reissued.transactionId, cancelled.transactionId);
+            assert.equal(reissued.status, 'PENDING');
+        });
+    });
+
+    describe('checkPaymentStatus', () => {
+        it('marks a payment PAID and reconciles the amount', async () => {
+            const payment = await paymentService.createPayment(paymentData({ amount: 10 }));
+            assert.equal((await paymentService.checkPaymentStatus(payment.md5Hash)).status, 'UNPAID');
+
+            client.pay(payment.md5Hash, { amount: 10, hash: 'bakong-hash-1' });
+            const result = await paymentService.checkPaymentStatus(payment.transactionId);
+
+            assert.equal(result.status, 'PAID');
+            assert.equal(result.reconciliation.outcome, 'PAID');
+            assert.equal(result.transaction.paymentDetails.hash, 'bakong-hash-1');
+            assert.deepEqual(result.transaction.auditTrail.map(entry => entry.to), ['PENDING', 'PAID']);
+        });
+
+        it('flags underpayments, wrong currencies and wrong accounts', async () => {
+            const cases = [
+                [{ amount: 9.99 }, 'UNDERPAID'],
+                [{ amount: 10.01 }, 'OVERPAID'],
+                [{ currency: 'KHR', amount: 41000 }, 'MISMATCHED_CURRENCY'],
+                [{ toAccountId: 'someone_else@aclb' }, 'MISMATCHED_ACCOUNT']
+            ];
+
+            for (const [details, outcome] of cases) {
+                const payment = await paymentService.createPayment(paymentData({ amount: 10 }));
+                client.pay(payment.md5Hash, details);
+
+                const result = await paymentService.checkPaymentStatus(payment.md5Hash);
+                assert.equal(result.reconciliation.outcome, outcome);
+            }
+        });
+
+        it('reconciles currencies regardless of case', async () => {
+            const payment = await paymentService.createPayment(paymentData({ amount: 10, currency: 'usd' }));
+            client.pay(payment.md5Hash, { amount: 10 });
+
+            const result = await paymentService.checkPaymentStatus(payment.md5Hash);
+
+            assert.equal(result.reconciliation.outcome, 'PAID');
+        });
+
+        it('does not ask Bakong again once a payment is settled', async () => {
+            const payment = await paymentService.createPayment(paymentData());
+            client.pay(payment.md5Hash);
+            await paymentService.checkPaymentStatus(payment.md5Hash);
+            const calls = client.calls.length;
+
+            const result = await paymentService.checkPaymentStatus(payment.md5Hash);
+
+            assert.equal(result.status, 'PAID');
+            assert.equal(client.calls.length, calls);
+        });
+
+        it('expires unpaid QRs after one final Bakong check', async () => {
+            mock.timers.enable({ apis: ['Date'], now: Date.now() });
+            const payment = await paymentService.createPayment(paymentData({ expiresIn: 60000 }));
+
+            mock.timers.tick(60001);
+            const calls = client.calls.length;
+            const result = await paymentService.checkPaymentStatus(payment.transactionId);
+
+            assert.equal(result.status, 'EXPIRED');
+            assert.deepEqual(client.calls.slice(calls), [['checkPayment', payment.md5Hash]]);
+            assert.ok(result.transaction.expiredAt);
+
+            await paymentService.checkPaymentStatus(payment.transactionId);
+            assert.equal(client.calls.length, calls + 1); // Bakong is not asked again once expired
+        });
+
+        it('confirms a payment made just before expiry', async () => {
+            mock.timers.enable({ apis: ['Date'], now: Date.now() });
+            const payment = await paymentService.createPayment(paymentData({ expiresIn: 60000 }));
+
+            client.pay(payment.md5Hash);
+            mock.timers.tick(60001);
+            const result = await paymentService.checkPaymentStatus(payment.transactionId);
+
+            assert.equal(result.status, 'PAID');
+            assert.equal(result.reconciliation.outcome, 'PAID');
+        });
+
+        it('settles an expired payment that Bakong reports paid', async () => {
+            mock.timers.enable({ apis: ['Date'], now: Date.now() });
+            const payment = await paymentService.createPayment(paymentData({ expiresIn: 60000 }));
+            mock.timers.tick(60001);
+            await paymentService.checkPaymentStatus(payment.transactionId);
+
+            client.pay(payment.md5Hash);
+            const result = await paymentService.checkPaymentStatus(payment.md5Hash, { reportedStatus: 'PAID' });
+
+            assert.equal(result.status, 'PAID');
+            assert.equal(result.reconciliation.outcome, 'PAID');
+            assert.deepEqual(result.transaction.auditTrail.map(entry => entry.to), ['PENDING', 'EXPIRED', 'PAID']);
+        });
+
+        it('keeps a QR past its expiry open while Bakong cannot be reached', async () => {
+            mock.timers.enable({ apis: ['Date'], now: Date.now() });
+            const payment = await paymentService.createPayment(paymentData({ expiresIn: 60000 }));
+            client.checkPayment = async () => 'UNKNOWN';
+
+            mock.timers.tick(60001);
+            const result = await paymentService.checkPaymentStatus(payment.transactionId);
+
+            assert.equal(result.status, 'UNKNOWN');
+            assert.equal(result.transaction.status, 'PENDING');
+        });
+    });
+
+    describe('checkBulkPayments', () => {
+        it('marks every paid hash PAID', async () => {
+            const paid = await paymentService.createPayment(paymentData());
+            const unpaid = await paymentService.createPayment(paymentData());
+            client.pay(paid.md5Hash);
+
+            const result = await paymentService.checkBulkPayments([paid.transactionId, unpaid.md5Hash]);
+
+            assert.deepEqual(result.paidHashes, [paid.md5Hash]);
+            const settled = await paymentService.getTransaction(paid.transactionId);
+            assert.equal(settled.status, 'PAID');
+            assert.equal(settled.reconciliation.outcome, 'PAID');
+            assert.ok(settled.paymentDetails.hash);
+            assert.equal((await paymentService.getTransaction(unpaid.transactionId)).status, 'PENDING');
+        });
+
+        it('flags bulk-confirmed payments of cancelled transactions', async () => {
+            const payment = await paymentService.createPayment(paymentData());
+            await paymentService.cancelPayment(payment.transactionId);
+            client.pay(payment.md5Hash);
+
+            await paymentService.checkBulkPayments([payment.transactionId]);
+
+            const transaction = await paymentService.getTransaction(payment.transactionId);
+            assert.equal(transaction.status, 'CANCELLED');
+            assert.ok(transaction.needsAttention);
+        });
+    });
+
+    describe('static QRs', () => {
+        it('records each new payment once as a sub-transaction', async () => {
+            const staticQr = await paymentService.createPayment(paymentData({ amount: undefined, isStatic: true }));
+
+            client.pay(staticQr.md5Hash, { hash: 'h1', externalRef: 'r1', amount: 3 });
+            const first = await paymentService.checkStaticPayments(staticQr.transactionId);
+            const repeat = await paymentService.checkStaticPayments(staticQr.transactionId);
+            client.pay(staticQr.md5Hash, { hash: 'h2', externalRef: 'r2', amount: 4.5 });
+            const second = await paymentService.checkStaticPayments(staticQr.md5Hash);
+
+            assert.equal(first.length, 1);
+            assert.equal(repeat.length, 0);
+            assert.equal(second.length, 1);
+            assert.equal(second[0].staticQrId, staticQr.transactionId);
+
+            const summary = await paymentService.getStaticPayments(staticQr.transactionId);
+            assert.equal(summary.count, 2);
+            assert.deepEqual(summary.totals, { USD: 7.5 });
+            assert.equal(summary.staticQr.status, 'ACTIVE');
+        });
+
+        it('ignores payments made before the QR existed', async () => {
+            const staticQr = await paymentService.createPayment(paymentData({ amount: undefined, isStatic: true }));
+            client.pay(staticQr.md5Hash, { createdDateMs: Date.now() - 24 * 60 * 60 * 1000 });
+
+            assert.deepEqual(await paymentService.checkStaticPayments(staticQr.transactionId), []);
+        });
+    });
+
+    describe('cancelPayment', () => {
+        it('cancels an outstanding payment', async () => {
+            const payment = await paymentService.createPayment(paymentData());
+
+            const cancelled = await paymentService.cancelPayment(payment.md5Hash, { reason: 'Customer left', actor: 'cashier' });
+
+            assert.equal(cancelled.status, 'CANCELLED');
+            assert.ok(cancelled.cancelledAt);
+            assert.deepEqual(cancelled.auditTrail.at(-1), {
+                ...cancelled.auditTrail.at(-1),
+                from: 'PENDING',
+                to: 'CANCELLED',
+                actor: 'cashier',
+                reason: 'Customer left'
+            });
+            assert.equal(await paymentService.cancelPayment('0'.repeat(32)), null);
+        });
+
+        it('refuses to cancel paid or expired payments', async () => {
+            const paid = await paymentService.createPayment(paymentData());
+            client.pay(paid.md5Hash);
+            await paymentService.checkPaymentStatus(paid.md5Hash);
+
+            await assert.rejects(paymentService.cancelPayment(paid.transactionId),
+                error => error instanceof PaymentConflictError && error.code === 'INVALID_STATUS_TRANSITION');
+
+            mock.timers.enable({ apis: ['Date'], now: Date.now() });
+            const expiring = await paymentService.createPayment(paymentData({ expiresIn: 1000 }));
+            mock.timers.tick(1001);
+
+            await assert.rejects(paymentService.cancelPayment(expiring.transactionId),
+                error => error instanceof PaymentConflictError && /has expired/.test(error.message));
+            assert.equal((await paymentService.getTransaction(expiring.transactionId)).status, 'PENDING'); // Expired by the next check
+
+            await paymentService.checkPaymentStatus(expiring.transactionId);
+            await assert.rejects(paymentService.cancelPayment(expiring.transactionId),
+                error => error instanceof PaymentConflictError && /has expired/.test(error.message));
+        });
+
+        it('flags a payment that arrives after cancellation', async () => {
+            const payment = await paymentService.createPayment(paymentData());
+            await paymentService.cancelPayment(payment.transactionId);
+
+            client.pay(payment.md5Hash, { hash: 'late-hash' });
+            const result = await paymentService.checkPaymentStatus(payment.transactionId);
+
+            assert.equal(result.status, 'CANCELLED');
+            assert.equal(result.needsAttention.reason, 'PAID_AFTER_CANCELLATION');
+            assert.equal(result.needsAttention.hash, 'late-hash');
+        });
+    });
+
+    describe('refundPayment', () => {
+        const paidPayment = async (details = {}) => {
+            const payment = await paymentService.createPayment(paymentData({ amount: 10 }));
+            client.pay(payment.md5Hash, { amount: 10, ...details });
+            await paymentService.checkPaymentStatus(payment.md5Hash);
+            return payment;
+        };
+
+        it('records partial and full refunds', async () => {
+            const payment = await paidPayment();
+
+            const partial = await paymentService.refundPayment(payment.transactionId, { amount: 4, reason: 'Damaged item', actor: 'admin' });
+            assert.equal(partial.transaction.status, 'PARTIALLY_REFUNDED');
+            assert.equal(partial.refund.amount, 4);
+
+            const rest = await paymentService.refundPayment(payment.md5Hash, { reason: 'Order cancelled' });
+            assert.equal(rest.refund.amount, 6); // Defaults to the remainder
+            assert.equal(rest.transaction.status, 'REFUNDED');
+            assert.equal(rest.transaction.refundedAmount, 10);
+
+            await assert.rejects(paymentService.refundPayment(payment.transactionId, { reason: 'Again' }), PaymentConflictError);
+        });
+
+        it('serialises concurrent refunds', async () => {
+            const payment = await paidPayment();
+
+            const results = await Promise.allSettled([6, 6].map(amount =>
+                paymentService.refundPayment(payment.transactionId, { amount, reason: 'Duplicate click' })));
+
+            assert.deepEqual(results.map(result => result.status), ['fulfilled', 'rejected']);
+            assert.ok(results[1].reason instanceof KHQRValidationError);
+            assert.equal((await paymentService.getTransaction(payment.transactionId)).refundedAmount, 6);
+        });
+
+        it('refunds what was actually received', async () => {
+            const payment = await paidPayment({ amount: 12 });
+
+            const result = await paymentService.refundPayment(payment.transactionId, { reason: 'Overpaid' });
+
+            assert.equal(result.refund.amount, 12);
+        });
+
+        it('validates amount, reason and void rules', async () => {
+            const payment = await paidPayment();
+
+            await assert.rejects(paymentService.refundPayment(payment.transactionId, { amount: 11, reason: 'Too much' }),
+                error => error.field === 'amount');
+            await assert.rejects(paymentService.refundPayment(payment.transactionId, { amount: 1.001, reason: 'Fraction' }),
+                error => error.field === 'amount');
+            await assert.rejects(paymentService.refundPayment(payment.transactionId, { amount: 1 }),
+                error => error.field === 'reason');
+            await assert.rejects(paymentService.refundPayment(payment.transactionId, { amount: 5, reason: 'Half', type: 'VOID' }),
+                error => error.field === 'type');
+
+            const voided = await paymentService.refundPayment(payment.transactionId, { reason: 'Wrong till', type: 'VOID' });
+            assert.equal(voided.transaction.status, 'REFUNDED');
+            assert.equal(voided.refund.type, 'VOID');
+        });
+
+        it('refuses unpaid payments and only refunds cancelled ones paid late', async () => {
+            const pending = await paymentService.createPayment(paymentData());
+            await assert.rejects(paymentService.refundPayment(pending.transactionId, { reason: 'Nothing paid' }), PaymentConflictError);
+
+            await paymentService.cancelPayment(pending.transactionId);
+            await assert.rejects(paymentService.refundPayment(pending.transactionId, { reason: 'Nothing paid' }), PaymentConflictError);
+
+            client.pay(pending.md5Hash, { amount: 10 });
+            await paymentService.checkPaymentStatus(pending.transactionId);
+            const result = await paymentService.refundPayment(pending.transactionId, { reason: 'Paid after cancellation' });
+            assert.equal(result.transaction.status, 'REFUNDED');
+
+            assert.equal(await paymentService.refundPayment('0'.repeat(32), { reason: 'Unknown' }), null);
+        });
+    });
+
+    describe('monitorPayment', () => {
+        it('polls until the payment is confirmed', async () => {
+            mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.now() });
+            const payment = await paymentService.createPayment(paymentData());
+
+            const monitoring = paymentService.monitorPayment(payment.transactionId, { interval: 1000, timeout: 10000 });
+            mock.timers.tick(1000);
+            await flushPromises();
+            assert.equal(client.calls.filter(([method]) => method === 'checkPayment').length, 1);
+
+            client.pay(payment.md5Hash);
+            mock.timers.tick(1000);
+
+            const result = await monitoring;
+            assert.equal(result.status, 'PAID');
+        });
+
+        it('resolves TIMEOUT when nothing arrives', async () => {
+            mock.timers.enable({ apis: ['setInterval', 'Date'], now: Date.now() });
+            const payment = await paymentService.createPayment(paymentData());
+
+            const monitoring = paymentService.monitorPayment(payment.transactionId, { interval: 1000, timeout: 2500 });
+            mock.timers.tick(3000);
+
+            assert.equal((await monitoring).status, 'TIMEOUT');
+        });
+    });
+});
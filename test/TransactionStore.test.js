@@ -0,0 +1,97 @@
+/**
+ * File-backed transaction store: batched writes, write failures and unreadable files
+ */
+
+require('./helpers');
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileTransactionStore } = require('../src/TransactionStore');
+
+const transaction = (transactionId) => ({
+    transactionId,
+    md5Hash: `md5-${transactionId}`,
+    status: 'PENDING',
+    createdAt: new Date().toISOString()
+});
+
+describe('FileTransactionStore', () => {
+    let directory;
+    let filePath;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'bakong-store-'));
+        filePath = path.join(directory, 'transactions.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('keeps saving after a failed write', async () => {
+        const store = new FileTransactionStore({ filePath });
+        const rename = fs.promises.rename;
+        fs.promises.rename = async () => { throw Object.assign(new Error('no space left'), { code: 'ENOSPC' }); };
+
+        try {
+            await assert.rejects(store.save(transaction('tx-1')), { code: 'ENOSPC' });
+        } finally {
+            fs.promises.rename = rename;
+        }
+        await store.save(transaction('tx-2'));
+
+        const reloaded = new FileTransactionStore({ filePath });
+        assert.deepEqual((await reloaded.list()).map(t => t.transactionId), ['tx-1', 'tx-2']);
+    });
+
+    it('batches concurrent saves and skips saves that only update lastChecked', async () => {
+        const store = new FileTransactionStore({ filePath });
+        const writeFile = fs.promises.writeFile;
+        let writes = 0;
+        fs.promises.writeFile = async (...args) => {
+            writes++;
+            return writeFile(...args);
+        };
+
+        try {
+            await Promise.all(['tx-1', 'tx-2', 'tx-3', 'tx-4'].map(id => store.save(transaction(id))));
+            assert.equal(writes, 1); // Saves made before the write started share it
+
+            const polled = await store.get('tx-1');
+            polled.lastChecked = new Date().toISOString();
+            await store.save(polled);
+            assert.equal(writes, 1);
+
+            polled.status = 'PAID';
+            await store.save(polled);
+            assert.equal(writes, 2);
+        } finally {
+            fs.promises.writeFile = writeFile;
+        }
+
+        const reloaded = new FileTransactionStore({ filePath });
+        assert.equal((await reloaded.list()).length, 4);
+        assert.equal((await reloaded.get('tx-1')).status, 'PAID');
+    });
+
+    it('stops startup when the file cannot be read', () => {
+        fs.mkdirSync(filePath);
+
+        assert.throws(() => new FileTransactionStore({ filePath, logger: { error: () => {} } }),
+            { code: 'EISDIR', message: /Cannot read transaction store/ });
+    });
+
+    it('moves an unreadable file aside and starts empty', async () => {
+        fs.writeFileSync(filePath, '[{"transactionId": "tx-1", "sta');
+        const entries = [];
+        const logger = { error: (message, meta) => entries.push([message, meta]) };
+
+        const store = new FileTransactionStore({ filePath, logger });
+
+        assert.deepEqual(await store.list(), []);
+        assert.equal(fs.existsSync(filePath), false);
+        assert.equal(fs.readFileSync(entries[0][1].corruptPath, 'utf8'), '[{"transactionId": "tx-1", "sta');
+    });
+});
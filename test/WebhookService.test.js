@@ -0,0 +1,95 @@
+/**
+ * Webhook delivery: signing, and which per-payment URLs the server will call
+ */
+
+require('./helpers');
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const WebhookService = require('../src/WebhookService');
+
+const PAYMENT = { transactionId: 'tx-1', md5Hash: 'a'.repeat(32), billNumber: 'INV-1', amount: 5, currency: 'USD' };
+
+/**
+ * HTTP client that records requests and always succeeds
+ */
+const createRecordingClient = () => {
+    const requests = [];
+    return {
+        requests,
+        post: async (url, body, config) => {
+            requests.push({ url, body, config });
+            return { status: 200 };
+        }
+    };
+};
+
+describe('WebhookService', () => {
+    it('signs payloads when a secret is configured', async () => {
+        const httpClient = createRecordingClient();
+        const service = new WebhookService({ urls: ['https://orders.example/hook'], secret: 'shh', httpClient });
+
+        service.dispatch('payment_success', { monitorInfo: PAYMENT });
+        await new Promise(setImmediate);
+
+        const { body, config } = httpClient.requests[0];
+        const timestamp = config.headers['X-Webhook-Timestamp'];
+        assert.equal(config.headers['X-Webhook-Signature'], `sha256=${service.sign(body, timestamp)}`);
+        assert.equal(config.lookup, undefined); // Configured URLs are trusted
+    });
+
+    it('refuses to send unsigned webhooks', async () => {
+        const warnings = [];
+        const logger = { info: () => {}, warn: message => warnings.push(message) };
+        const httpClient = createRecordingClient();
+
+        assert.throws(() => new WebhookService({ urls: ['https://orders.example/hook'], secret: null, httpClient, logger }),
+            /WEBHOOK_SECRET must be set/);
+
+        const service = new WebhookService({ urls: [], secret: null, httpClient, logger });
+        const deliveries = service.dispatch('payment_success', { monitorInfo: { ...PAYMENT, webhookUrl: 'https://orders.example/hook' } });
+        await new Promise(setImmediate);
+
+        assert.match(warnings[0], /webhooks are disabled/);
+        assert.deepEqual(deliveries, []);
+        assert.equal(httpClient.requests.length, 0);
+    });
+
+    it('refuses loopback and private per-payment URLs', () => {
+        for (const url of ['http://localhost:3000/x', 'http://127.0.0.1/x', 'http://10.1.2.3/x',
+            'http://169.254.169.254/latest/meta-data', 'http://[::1]/x', 'http://[::ffff:127.0.0.1]/x', 'ftp://example.com/x']) {
+            assert.ok(WebhookService.checkUrl(url, []), url);
+        }
+        assert.equal(WebhookService.checkUrl('https://orders.example/hook', []), null);
+        assert.match(WebhookService.checkUrl('https://other.example/hook', ['orders.example']), /WEBHOOK_ALLOWED_HOSTS/);
+        assert.equal(WebhookService.checkUrl('http://10.1.2.3/hook', ['10.1.2.3']), null);
+    });
+
+    it('checks the resolved address of per-payment URLs and does not follow redirects', async () => {
+        const httpClient = createRecordingClient();
+        const service = new WebhookService({ urls: [], secret: 'shh', httpClient });
+
+        assert.equal(service.dispatch('payment_success', { monitorInfo: { ...PAYMENT, webhookUrl: 'http://127.0.0.1/x' } }).length, 0);
+        service.dispatch('payment_success', { monitorInfo: { ...PAYMENT, webhookUrl: 'https://orders.example/hook' } });
+        await new Promise(setImmediate);
+
+        assert.equal(httpClient.requests.length, 1);
+        assert.equal(httpClient.requests[0].config.lookup, WebhookService.guardedLookup);
+        assert.equal(httpClient.requests[0].config.maxRedirects, 0);
+        await assert.rejects(WebhookService.guardedLookup('localhost'), { code: 'WEBHOOK_TARGET_BLOCKED' });
+    });
+
+    it('dead-letters a blocked target without retrying', async () => {
+        const httpClient = {
+            post: async () => {
+                throw Object.assign(new Error('resolves to private address'), { code: 'WEBHOOK_TARGET_BLOCKED' });
+            }
+        };
+        const service = new WebhookService({ urls: [], secret: 'shh', httpClient });
+
+        const [delivery] = service.dispatch('payment_success', { monitorInfo: { ...PAYMENT, webhookUrl: 'https://rebind.example/hook' } });
+        await new Promise(setImmediate);
+
+        assert.equal(delivery.status, 'FAILED');
+        assert.equal(delivery.attempts, 1);
+    });
+});
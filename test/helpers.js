@@ -0,0 +1,154 @@
+/**
+ * Shared test setup: isolated environment, quiet logging, a stubbed Bakong
+ * client and in-memory services
+ */
+
+const os = require('os');
+const path = require('path');
+
+// Must be set before any src/ module is loaded
+process.env.NODE_ENV = 'test';
+process.env.LOG_DIR = path.join(os.tmpdir(), 'bakong-khqr-test-logs');
+process.env.TRANSACTION_STORE = 'memory';
+process.env.API_KEYS = [
+    'test-admin:admin',
+    'test-read:read',
+    'test-create:create',
+    'test-shop:create:shop1',
+    'test-signed:admin:*:test-signing-secret'
+].join(',');
+delete process.env.WEBHOOK_URLS;
+process.env.WEBHOOK_SECRET = 'test-webhook-secret';
+delete process.env.BAKONG_API_URL;
+
+const BakongKHQR = require('../src/BakongKHQR');
+const MerchantRegistry = require('../src/MerchantRegistry');
+const PaymentService = require('../src/PaymentService');
+const { MemoryTransactionStore } = require('../src/TransactionStore');
+const { logger } = require('../src/logger');
+
+// Services log every step; TEST_VERBOSE=1 shows them
+if (!process.env.TEST_VERBOSE) {
+    logger.transports.forEach(transport => { transport.silent = true; });
+}
+
+const TEST_MERCHANT = {
+    merchantId: 'default',
+    bakongAccountId: 'test_merchant@aclb',
+    merchantName: 'Test Merchant',
+    merchantCity: 'Phnom Penh',
+    merchantCategoryCode: '5999',
+    phoneNumber: '85512345678',
+    token: 'test-token',
+    accountType: 'individual'
+};
+
+/**
+ * BakongKHQR with the Bakong API replaced by an in-memory ledger.
+ * pay() records a payment; fail() makes the next API calls throw.
+ */
+class StubBakongClient extends BakongKHQR {
+    constructor() {
+        super('test-token');
+        this.payments = new Map(); // md5 -> payment details
+        this.calls = []; // [method, argument]
+        this.failures = [];
+    }
+
+    pay(md5, details = {}) {
+        const now = Date.now();
+        const payment = {
+            hash: details.hash || `hash-${md5.substring(0, 8)}-${this.payments.size}`,
+            fromAccountId: 'payer@aclb',
+            toAccountId: TEST_MERCHANT.bakongAccountId,
+            currency: 'USD',
+            amount: 10,
+            description: 'Test payment',
+            createdDateMs: now,
+            acknowledgedDateMs: now,
+            externalRef: `REF-${md5.substring(0, 8)}-${this.payments.size}`,
+            ...details
+        };
+        this.payments.set(md5, payment);
+        return payment;
+    }
+
+    fail(error, count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.failures.push(error);
+        }
+    }
+
+    record(method, argument) {
+        this.calls.push([method, argument]);
+        const error = this.failures.shift();
+        if (error) throw error;
+    }
+
+    async generateDeeplink(qr) {
+        this.record('generateDeeplink', qr);
+        return `https://bakong.page.link/test-${this.generateMD5(qr).substring(0, 8)}`;
+    }
+
+    async checkPayment(md5) {
+        this.record('checkPayment', md5);
+        return this.payments.has(md5) ? 'PAID' : 'UNPAID';
+    }
+
+    async getPayment(md5) {
+        this.record('getPayment', md5);
+        return this.payments.get(md5) || null;
+    }
+
+    async checkBulkPayments(md5List) {
+        this.record('checkBulkPayments', md5List);
+        return md5List.filter(md5 => this.payments.has(md5));
+    }
+}
+
+/**
+ * PaymentService backed by an in-memory store, a non-persistent merchant
+ * registry and a stubbed Bakong client for every merchant
+ */
+const createPaymentService = (options = {}) => {
+    const client = options.client || new StubBakongClient();
+    const merchantRegistry = new MerchantRegistry({ persist: false, defaultMerchant: { ...TEST_MERCHANT } });
+    merchantRegistry.getClient = () => client;
+
+    const paymentService = new PaymentService({
+        merchantRegistry,
+        store: new MemoryTransactionStore(),
+        ...options.serviceOptions
+    });
+
+    return { paymentService, client, store: paymentService.store, merchantRegistry };
+};
+
+/**
+ * Payment request data, as it reaches PaymentService after validation
+ */
+const paymentData = (overrides = {}) => ({
+    amount: 10,
+    currency: 'USD',
+    billNumber: `BILL-${Math.random().toString(36).substring(2, 10)}`,
+    storeLabel: 'Test Store',
+    terminalLabel: 'Terminal',
+    ...overrides
+});
+
+/**
+ * Let pending promise callbacks run (timers may be mocked, so no setImmediate)
+ */
+const flushPromises = async (rounds = 20) => {
+    for (let i = 0; i < rounds; i++) {
+        await Promise.resolve();
+    }
+};
+
+module.exports = {
+    TEST_MERCHANT,
+    StubBakongClient,
+    createPaymentService,
+    paymentData,
+    flushPromises
+};
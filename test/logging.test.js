@@ -0,0 +1,145 @@
+/**
+ * Injected loggers: services emit structured events instead of console output,
+ * and the pretty dev transport renders those events as banners
+ */
+
+const { createPaymentService, paymentData } = require('./helpers');
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const winston = require('winston');
+const AutoPaymentMonitor = require('../src/AutoPaymentMonitor');
+const { createLogHelpers } = require('../src/logger');
+const PrettyConsoleTransport = require('../src/PrettyConsoleTransport');
+
+/**
+ * Logger that records [level, message, meta] entries
+ */
+const createRecordingLogger = () => {
+    const entries = [];
+    const logger = { entries };
+    for (const level of ['debug', 'info', 'warn', 'error']) {
+        logger[level] = (message, meta = {}) => entries.push([level, message, meta]);
+    }
+    return logger;
+};
+
+describe('Injected logger', () => {
+    let log;
+    let paymentService;
+    let client;
+    let monitor;
+    let consoleLog;
+    let consoleError;
+
+    beforeEach(() => {
+        consoleLog = mock.method(console, 'log');
+        consoleError = mock.method(console, 'error');
+        log = createRecordingLogger();
+        ({ paymentService, client } = createPaymentService({ serviceOptions: { logger: log } }));
+        monitor = new AutoPaymentMonitor(paymentService, { logger: log });
+        paymentService.setAutoMonitor(monitor);
+    });
+
+    afterEach(() => {
+        monitor.stop();
+        consoleLog.mock.restore();
+        consoleError.mock.restore();
+    });
+
+    const eventLevels = () => Object.fromEntries(log.entries
+        .filter(([, , meta]) => meta.event)
+        .map(([level, , meta]) => [meta.event, level]));
+
+    it('receives every payment event and nothing reaches the console', async () => {
+        const payment = await paymentService.createPayment(paymentData({ storeLabel: 'Main Store' }));
+        await monitor.checkChunk([payment.md5Hash]);
+        client.pay(payment.md5Hash, { fromAccountId: 'payer@aclb' });
+        await monitor.checkChunk([payment.md5Hash]);
+
+        assert.deepEqual(eventLevels(), {
+            'monitor.initialized': 'debug',
+            'payment.created': 'info',
+            'monitor.payment_added': 'info',
+            'monitor.bulk_check': 'debug',
+            'payment.success': 'info',
+            'payment.confirmed': 'info',
+            'payment.status_changed': 'info',
+            'monitor.payment_success': 'info'
+        });
+        const [, , confirmed] = log.entries.find(([, , meta]) => meta.event === 'payment.confirmed');
+        assert.equal(confirmed.storeLabel, 'Main Store');
+        assert.equal(confirmed.fromAccountId, 'pa***@aclb'); // Payer accounts are masked
+        assert.equal(log.entries.find(([, , meta]) => meta.event === 'payment.success')[2].fromAccount, 'pa***@aclb');
+
+        assert.equal(consoleLog.mock.callCount(), 0);
+        assert.equal(consoleError.mock.callCount(), 0);
+    });
+
+    it('logs per-poll status checks at debug level only', async () => {
+        const payment = await paymentService.createPayment(paymentData());
+        log.entries.length = 0;
+
+        await paymentService.checkPaymentStatus(payment.md5Hash);
+
+        assert.ok(log.entries.length > 0);
+        assert.deepEqual([...new Set(log.entries.map(([level]) => level))], ['debug']);
+    });
+
+    it('reports failures through the injected logger', async () => {
+        const payment = await paymentService.createPayment(paymentData());
+        client.fail(new Error('Bakong unavailable'));
+
+        await monitor.checkChunk([payment.md5Hash]);
+
+        const [level, , meta] = log.entries.find(([, message]) => message === 'Auto-monitor bulk check failed');
+        assert.equal(level, 'error');
+        assert.equal(meta.error, 'Bakong unavailable');
+        assert.equal(consoleError.mock.callCount(), 0);
+    });
+
+    it('logs a payment without Bakong timestamps instead of throwing', () => {
+        const logged = createLogHelpers(log).logPaymentSuccess({ amount: 5, currency: 'USD', acknowledgedDateMs: 'soon' }, 'a'.repeat(32));
+
+        assert.equal(logged.createdAt, null);
+        assert.equal(logged.acknowledgedAt, 'soon');
+        assert.equal(createLogHelpers(log).logPaymentSuccess({ createdDateMs: 0 }, 'b'.repeat(32)).createdAt, '1970-01-01T00:00:00.000Z');
+    });
+});
+
+describe('PrettyConsoleTransport', () => {
+    let output;
+    let logger;
+
+    beforeEach(() => {
+        output = [];
+        logger = winston.createLogger({
+            level: 'debug',
+            transports: [new PrettyConsoleTransport({ stream: { write: chunk => output.push(chunk) } })]
+        });
+    });
+
+    it('renders known events as banners, skipping missing fields', () => {
+        logger.info('🎊 Auto-monitor detected payment success', {
+            event: 'monitor.payment_success',
+            billNumber: 'INV-7',
+            amount: 10,
+            currency: 'USD',
+            duration: 65000,
+            checkCount: 3
+        });
+
+        const [banner] = output;
+        assert.match(banner, /AUTO-MONITOR: PAYMENT SUCCESS!/);
+        assert.match(banner, /💳 Payment: INV-7/);
+        assert.match(banner, /💰 Amount: 10 USD/);
+        assert.match(banner, /🕐 Monitor Duration: 1m 5s/);
+        assert.doesNotMatch(banner, /Store/);
+    });
+
+    it('renders other entries as one line', () => {
+        logger.warn('Deep link generation failed', { error: 'timeout' });
+
+        assert.equal(output.length, 1);
+        assert.match(output[0], /^\[.+\] WARN  Deep link generation failed \(timeout\)\n$/);
+    });
+});
@@ -0,0 +1,583 @@
+/**
+ * HTTP tests for every API route, served by an app wired like server.js
+ * with in-memory services and a stubbed Bakong client
+ */
+
+const { createPaymentService, paymentData } = require('./helpers');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const routes = require('../src/routes');
+const AutoPaymentMonitor = require('../src/AutoPaymentMonitor');
+const WebhookService = require('../src/WebhookService');
+const PaymentEventStream = require('../src/PaymentEventStream');
+const { redactUrl, signRequest } = require('../src/auth');
+const { logger } = require('../src/logger');
+
+// API keys configured in helpers.js
+const ADMIN = 'test-admin';
+const READ = 'test-read';
+const CREATE = 'test-create';
+const SHOP = 'test-shop'; // create role scoped to merchant shop1
+const SIGNED = 'test-signed'; // admin key that must sign its requests
+const SIGNING_SECRET = 'test-signing-secret';
+
+describe('API routes', () => {
+    const { paymentService, client, merchantRegistry } = createPaymentService();
+    const autoPaymentMonitor = new AutoPaymentMonitor(paymentService); // Not started: checks are triggered explicitly
+    const webhookService = new WebhookService({ urls: [] });
+    const eventStream = new PaymentEventStream();
+    let server;
+    let port;
+
+    /**
+     * Send a request (object bodies as JSON, strings as-is); JSON responses are
+     * parsed, anything else is returned as a Buffer
+     */
+    const request = (method, path, { key = ADMIN, body, headers = {} } = {}) => new Promise((resolve, reject) => {
+        const payload = body === undefined || typeof body === 'string' ? body ?? null : JSON.stringify(body);
+        const req = http.request({
+            host: '127.0.0.1',
+            port,
+            method,
+            path: `/api${path}`,
+            headers: {
+                ...(key ? { 'X-Api-Key': key } : {}),
+                ...(body !== undefined && typeof body !== 'string' ? { 'Content-Type': 'application/json' } : {}),
+                ...headers
+            }
+        }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                const raw = Buffer.concat(chunks);
+                const isJson = (res.headers['content-type'] || '').includes('application/json');
+                resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(raw) : raw });
+            });
+        });
+        req.on('error', reject);
+        req.end(payload);
+    });
+
+    /**
+     * Open an SSE stream, read it until the data matches a pattern, then close it
+     */
+    const openStream = (path, until = /retry:/, headers = { 'X-Api-Key': READ }) => new Promise((resolve, reject) => {
+        const req = http.get({
+            host: '127.0.0.1',
+            port,
+            path: `/api${path}`,
+            headers: { ...headers, Accept: 'text/event-stream' }
+        }, res => {
+            if (res.statusCode !== 200) {
+                res.resume();
+                return resolve({ status: res.statusCode, headers: res.headers, data: '' });
+            }
+            let data = '';
+            res.on('data', chunk => {
+                data += chunk;
+                if (until.test(data)) {
+                    resolve({ status: res.statusCode, headers: res.headers, data });
+                    req.destroy();
+                }
+            });
+        });
+        req.on('error', error => {
+            if (error.code !== 'ECONNRESET') reject(error);
+        });
+    });
+
+    const createPayment = async (overrides = {}, key = CREATE) => {
+        const res = await request('POST', '/payments/create', { key, body: paymentData(overrides) });
+        assert.equal(res.status, 200, JSON.stringify(res.body));
+        return res.body.data;
+    };
+
+    const paidPayment = async () => {
+        const payment = await createPayment({ amount: 10 });
+        client.pay(payment.md5Hash, { amount: 10 });
+        await request('GET', `/payments/check/${payment.transactionId}`, { key: READ });
+        return payment;
+    };
+
+    before(async () => {
+        paymentService.setAutoMonitor(autoPaymentMonitor);
+        webhookService.attach(autoPaymentMonitor);
+        eventStream.attach(autoPaymentMonitor);
+        await merchantRegistry.create({
+            merchantId: 'shop1',
+            bakongAccountId: 'shop1@aclb',
+            merchantName: 'Shop One',
+            phoneNumber: '85511111111'
+        });
+
+        const app = express();
+        const keepRawBody = (req, res, buf) => {
+            req.rawBody = buf.toString('utf8');
+        };
+        app.use(express.json({ verify: keepRawBody }));
+        app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+        app.use((req, res, next) => {
+            req.paymentService = paymentService;
+            req.autoPaymentMonitor = autoPaymentMonitor;
+            req.webhookService = webhookService;
+            req.eventStream = eventStream;
+            next();
+        });
+        app.use('/api', routes);
+
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        port = server.address().port;
+    });
+
+    after(async () => {
+        autoPaymentMonitor.stop();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    describe('authentication', () => {
+        it('serves the health check without a key', async () => {
+            const res = await request('GET', '/health', { key: null });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.status, 'healthy');
+            assert.equal(res.body.data.bakongApi.state, 'CLOSED');
+        });
+
+        it('rejects missing and unknown keys', async () => {
+            assert.equal((await request('GET', '/payments/transactions', { key: null })).status, 401);
+            assert.equal((await request('GET', '/payments/transactions', { key: 'nope' })).body.code, 'UNAUTHORIZED');
+        });
+
+        it('enforces roles', async () => {
+            const res = await request('POST', '/payments/create', { key: READ, body: paymentData() });
+
+            assert.equal(res.status, 403);
+            assert.equal(res.body.code, 'FORBIDDEN');
+            assert.equal((await request('GET', '/merchants', { key: CREATE })).status, 403);
+        });
+    });
+
+    describe('request signatures', () => {
+        const signedRequest = (path, body, signedBody = body) => {
+            const timestamp = Date.now().toString();
+            return request('POST', path, {
+                key: SIGNED,
+                body,
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'X-Timestamp': timestamp,
+                    'X-Signature': signRequest(SIGNING_SECRET, timestamp, 'POST', `/api${path}`, signedBody)
+                }
+            });
+        };
+
+        it('covers form-encoded bodies, so a tampered form is rejected', async () => {
+            assert.equal((await signedRequest('/payments/cleanup', 'maxAge=86400000')).status, 200);
+
+            const tampered = await signedRequest('/payments/cleanup', 'maxAge=60000', 'maxAge=86400000');
+            assert.equal(tampered.status, 401);
+            assert.equal(tampered.body.code, 'INVALID_SIGNATURE');
+        });
+    });
+
+    describe('POST /payments/create', () => {
+        it('creates a payment', async () => {
+            const res = await request('POST', '/payments/create', {
+                key: CREATE,
+                body: { amount: '12.50', currency: 'usd', billNumber: 'ROUTE-1' }
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.amount, 12.5);
+            assert.equal(res.body.data.currency, 'USD');
+            assert.equal(res.body.data.status, 'PENDING');
+            assert.equal(res.body.data.imageUrl, `/api/payments/${res.body.data.transactionId}/image`);
+            assert.ok(autoPaymentMonitor.activeMonitors.has(res.body.data.md5Hash));
+        });
+
+        it('reports every invalid field with 422', async () => {
+            const res = await request('POST', '/payments/create', {
+                key: CREATE,
+                body: { amount: 1.234, currency: 'EUR', storeLabel: 'S'.repeat(26) }
+            });
+
+            assert.equal(res.status, 422);
+            assert.equal(res.body.code, 'VALIDATION_ERROR');
+            assert.deepEqual(res.body.errors.map(error => error.field).sort(), ['amount', 'currency', 'storeLabel']);
+        });
+
+        it('replays requests with the same Idempotency-Key', async () => {
+            const body = paymentData();
+            const headers = { 'Idempotency-Key': 'route-key-1' };
+
+            const first = await request('POST', '/payments/create', { key: CREATE, body, headers });
+            const replay = await request('POST', '/payments/create', { key: CREATE, body, headers });
+            const conflict = await request('POST', '/payments/create', { key: CREATE, body: { ...body, amount: 1 }, headers });
+
+            assert.equal(replay.body.data.transactionId, first.body.data.transactionId);
+            assert.equal(replay.headers['idempotent-replayed'], 'true');
+            assert.equal(conflict.status, 409);
+            assert.equal(conflict.body.code, 'IDEMPOTENCY_KEY_REUSED');
+        });
+
+        it('creates payments of scoped keys for their own merchant only', async () => {
+            const payment = await createPayment({}, SHOP);
+            assert.equal(payment.merchantId, 'shop1');
+
+            const res = await request('POST', '/payments/create', { key: SHOP, body: paymentData({ merchantId: 'default' }) });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('payment status', () => {
+        it('GET /payments/check/:identifier reports status changes', async () => {
+            const payment = await createPayment();
+            assert.equal((await request('GET', `/payments/check/${payment.md5Hash}`, { key: READ })).body.data.status, 'UNPAID');
+
+            client.pay(payment.md5Hash, { amount: 10 });
+            const res = await request('GET', `/payments/check/${payment.transactionId}`, { key: READ });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.status, 'PAID');
+            assert.equal(res.body.data.reconciliation.outcome, 'PAID');
+        });
+
+        it('GET /payments/check/:identifier validates the identifier', async () => {
+            const res = await request('GET', '/payments/check/not*valid', { key: READ });
+
+            assert.equal(res.status, 422);
+            assert.equal(res.body.errors[0].location, 'params');
+        });
+
+        it('POST /payments/monitor waits for the payment', async () => {
+            const payment = await createPayment();
+            client.pay(payment.md5Hash, { amount: 10 });
+
+            const res = await request('POST', '/payments/monitor', {
+                key: READ,
+                body: { identifier: payment.transactionId, interval: 1000, timeout: 5000 }
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.status, 'PAID');
+        });
+
+        it('POST /payments/bulk-check checks several payments', async () => {
+            const paid = await createPayment();
+            const unpaid = await createPayment();
+            client.pay(paid.md5Hash, { amount: 10 });
+
+            const res = await request('POST', '/payments/bulk-check', {
+                key: READ,
+                body: { identifiers: [paid.transactionId, unpaid.transactionId] }
+            });
+
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.data.paidHashes, [paid.md5Hash]);
+            assert.equal((await request('POST', '/payments/bulk-check', { key: READ, body: { identifiers: [] } })).status, 422);
+        });
+
+        it('GET /payments/transaction/:transactionId hides other merchants\' payments', async () => {
+            const payment = await createPayment();
+
+            const res = await request('GET', `/payments/transaction/${payment.transactionId}`, { key: READ });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.md5Hash, payment.md5Hash);
+
+            assert.equal((await request('GET', `/payments/transaction/${payment.transactionId}`, { key: SHOP })).status, 404);
+            assert.equal((await request('GET', `/payments/transaction/${'0'.repeat(32)}`, { key: READ })).status, 404);
+        });
+    });
+
+    describe('cancel and refund', () => {
+        it('POST /payments/:id/cancel cancels an outstanding payment', async () => {
+            const payment = await createPayment();
+
+            const res = await request('POST', `/payments/${payment.transactionId}/cancel`, {
+                key: CREATE,
+                body: { reason: 'Customer walked away' }
+            });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.status, 'CANCELLED');
+            assert.equal(res.body.data.auditTrail.at(-1).reason, 'Customer walked away');
+            assert.ok(!autoPaymentMonitor.activeMonitors.has(payment.md5Hash));
+
+            const again = await request('POST', `/payments/${payment.transactionId}/cancel`, { key: CREATE, body: {} });
+            assert.equal(again.status, 409);
+            assert.equal(again.body.code, 'INVALID_STATUS_TRANSITION');
+        });
+
+        it('POST /payments/:id/refund records refunds for admins', async () => {
+            const payment = await paidPayment();
+
+            assert.equal((await request('POST', `/payments/${payment.transactionId}/refund`, {
+                key: CREATE,
+                body: { reason: 'Not allowed' }
+            })).status, 403);
+
+            const res = await request('POST', `/payments/${payment.transactionId}/refund`, {
+                body: { amount: 3, reason: 'Item missing' }
+            });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.data.status, 'PARTIALLY_REFUNDED');
+            assert.equal(res.body.data.refundedAmount, 3);
+
+            const tooMuch = await request('POST', `/payments/${payment.transactionId}/refund`, {
+                body: { amount: 8, reason: 'Too much' }
+            });
+            assert.equal(tooMuch.status, 400);
+            assert.equal(tooMuch.body.field, 'amount');
+
+            assert.equal((await request('POST', `/payments/${payment.transactionId}/refund`, { body: {} })).status, 422);
+        });
+    });
+
+    describe('QR images and event streams', () => {
+        it('GET /payments/:id/image renders PNG and SVG with ETag revalidation', async () => {
+            const payment = await createPayment();
+
+            const png = await request('GET', `/payments/${payment.transactionId}/image`, { key: READ });
+            assert.equal(png.status, 200);
+            assert.equal(png.headers['content-type'], 'image/png');
+            assert.deepEqual(png.body.subarray(1, 4), Buffer.from('PNG'));
+
+            const cached = await request('GET', `/payments/${payment.transactionId}/image`, {
+                key: READ,
+                headers: { 'If-None-Match': png.headers.etag }
+            });
+            assert.equal(cached.status, 304);
+
+            const svg = await request('GET', `/payments/${payment.transactionId}/image?format=svg&template=khqr-card`, { key: READ });
+            assert.equal(svg.headers['content-type'], 'image/svg+xml; charset=utf-8');
+            assert.match(svg.body.toString(), /<svg/);
+
+            assert.equal((await request('GET', `/payments/${payment.transactionId}/image?format=gif`, { key: READ })).status, 422);
+        });
+
+        it('GET /payments/:id/image does not cache a failed render', async () => {
+            const payment = await createPayment();
+            const render = mock.method(client, 'generateQRImage', async () => { throw new Error('canvas unavailable'); });
+
+            let res;
+            try {
+                res = await request('GET', `/payments/${payment.transactionId}/image`, { key: READ });
+            } finally {
+                render.mock.restore();
+            }
+
+            assert.equal(res.status, 500);
+            assert.equal(res.body.code, 'INTERNAL_ERROR');
+            assert.doesNotMatch(JSON.stringify(res.body), /canvas unavailable/); // Internal details are not echoed
+            assert.match(res.headers['content-type'], /application\/json/);
+            assert.equal(res.headers['cache-control'], undefined);
+        });
+
+        it('GET /payments/:id/events starts with a snapshot', async () => {
+            const payment = await createPayment();
+
+            const stream = await openStream(`/payments/${payment.transactionId}/events`, /event: snapshot[^]*\n\n/);
+
+            assert.equal(stream.status, 200);
+            assert.match(stream.headers['content-type'], /^text\/event-stream/);
+            assert.match(stream.data, /event: snapshot/);
+            assert.match(stream.data, new RegExp(payment.transactionId));
+        });
+
+        it('GET /monitor/stream opens a session stream', async () => {
+            const stream = await openStream('/monitor/stream?sessionId=route-test');
+
+            assert.equal(stream.status, 200);
+            assert.match(stream.headers['content-type'], /^text\/event-stream/);
+        });
+
+        it('opens streams with a stream token instead of the API key', async () => {
+            const issued = await request('POST', '/stream-tokens', { key: SHOP });
+            assert.equal(issued.status, 200);
+            const { token } = issued.body.data;
+
+            const stream = await openStream(`/monitor/stream?streamToken=${encodeURIComponent(token)}`, /retry:/, {});
+            assert.equal(stream.status, 200);
+
+            assert.equal((await openStream(`/monitor/stream?streamToken=${token.slice(0, -2)}xx`, /retry:/, {})).status, 401);
+            assert.equal((await openStream(`/monitor/stream?apiKey=${READ}`, /retry:/, {})).status, 401);
+            // Tokens only open streams, whatever the Accept header says
+            assert.equal((await request('GET', `/payments/history?streamToken=${encodeURIComponent(token)}`, { key: null })).status, 401);
+            assert.equal((await openStream(`/payments/history?streamToken=${encodeURIComponent(token)}`, /retry:/, {})).status, 401);
+
+            assert.equal(redactUrl(`/api/monitor/stream?sessionId=s1&streamToken=${token}&apiKey=${READ}`),
+                '/api/monitor/stream?sessionId=s1&streamToken=[REDACTED]&apiKey=[REDACTED]');
+        });
+    });
+
+    describe('static QRs', () => {
+        it('GET /static-qr/:id/payments lists attributed payments', async () => {
+            const staticQr = await createPayment({ amount: undefined, isStatic: true });
+            client.pay(staticQr.md5Hash, { amount: 4, hash: 'static-1', externalRef: 'static-ref-1' });
+            await request('GET', `/payments/check/${staticQr.transactionId}`, { key: READ });
+
+            const res = await request('GET', `/static-qr/${staticQr.transactionId}/payments?limit=10`, { key: READ });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.count, 1);
+            assert.deepEqual(res.body.data.totals, { USD: 4 });
+            assert.equal(res.body.data.limit, 10);
+
+            const dynamic = await createPayment();
+            assert.equal((await request('GET', `/static-qr/${dynamic.transactionId}/payments`, { key: READ })).status, 404);
+        });
+    });
+
+    describe('transaction lists', () => {
+        it('GET /payments/transactions applies the limit and merchant scope', async () => {
+            await createPayment({}, SHOP);
+
+            const all = await request('GET', '/payments/transactions?limit=2', { key: READ });
+            assert.equal(all.status, 200);
+            assert.equal(all.body.data.transactions.length, 2);
+            assert.equal(all.body.data.limit, 2);
+
+            const scoped = await request('GET', '/payments/transactions', { key: SHOP });
+            assert.ok(scoped.body.data.transactions.every(transaction => transaction.merchantId === 'shop1'));
+
+            assert.equal((await request('GET', '/payments/transactions?limit=0', { key: READ })).status, 422);
+        });
+
+        it('GET /payments/history returns the newest first', async () => {
+            const latest = await createPayment();
+
+            const res = await request('GET', '/payments/history?limit=1', { key: READ });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.history[0].transactionId, latest.transactionId);
+        });
+
+        it('POST /payments/cleanup removes settled transactions older than maxAge', async () => {
+            const res = await request('POST', '/payments/cleanup', { body: { maxAge: 60000 } });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.cleaned, 0);
+            assert.equal((await request('POST', '/payments/cleanup', { body: { maxAge: 10 } })).status, 422);
+        });
+    });
+
+    describe('KHQR tools', () => {
+        it('POST /khqr/decode and /khqr/verify inspect a QR', async () => {
+            const payment = await createPayment({ amount: 7 });
+            const qr = (await request('GET', `/payments/transaction/${payment.transactionId}`)).body.data.qrCode;
+
+            const decoded = await request('POST', '/khqr/decode', { key: READ, body: { qr } });
+            assert.equal(decoded.status, 200);
+            assert.equal(decoded.body.data.amount, 7);
+
+            const verified = await request('POST', '/khqr/verify', { key: READ, body: { qr } });
+            assert.equal(verified.body.data.valid, true);
+
+            const broken = await request('POST', '/khqr/verify', { key: READ, body: { qr: qr.slice(0, -4) + '0000' } });
+            assert.equal(broken.body.data.valid, false);
+
+            assert.equal((await request('POST', '/khqr/decode', { key: READ, body: { qr: 'garbage' } })).status, 400);
+        });
+    });
+
+    describe('webhooks', () => {
+        it('GET /webhooks/deliveries lists deliveries for admins', async () => {
+            const res = await request('GET', '/webhooks/deliveries?status=failed');
+
+            assert.equal(res.status, 200);
+            assert.ok(Array.isArray(res.body.data.deliveries));
+            assert.equal((await request('GET', '/webhooks/deliveries', { key: READ })).status, 403);
+        });
+    });
+
+    describe('merchants', () => {
+        it('creates, reads, updates and deletes a merchant', async () => {
+            const created = await request('POST', '/merchants', {
+                body: {
+                    merchantId: 'shop2',
+                    bakongAccountId: 'shop2@aclb',
+                    merchantName: 'Shop Two',
+                    phoneNumber: '85522222222',
+                    token: 'secret-token'
+                }
+            });
+            assert.equal(created.status, 201);
+            assert.equal(created.body.data.hasToken, true);
+            assert.equal(created.body.data.token, undefined);
+
+            const list = await request('GET', '/merchants');
+            assert.deepEqual(list.body.data.merchants.map(merchant => merchant.merchantId), ['default', 'shop1', 'shop2']);
+
+            assert.equal((await request('GET', '/merchants/shop2')).body.data.merchantName, 'Shop Two');
+
+            const updated = await request('PUT', '/merchants/shop2', { body: { merchantCity: 'Kampot' } });
+            assert.equal(updated.body.data.merchantCity, 'Kampot');
+
+            assert.equal((await request('DELETE', '/merchants/shop2')).status, 200);
+            assert.equal((await request('GET', '/merchants/shop2')).status, 404);
+        });
+
+        it('does not log merchant tokens', async () => {
+            const info = mock.method(logger, 'info');
+            try {
+                await request('POST', '/merchants', { body: { merchantId: 'bad id', token: 'secret-token' } });
+            } finally {
+                info.mock.restore();
+            }
+
+            const [, meta] = info.mock.calls.find(call => call.arguments[0] === '🌐 API Request: POST /merchants').arguments;
+            assert.equal(meta.body.token, '[REDACTED]');
+            assert.equal(meta.body.merchantId, 'bad id');
+        });
+
+        it('validates merchant fields and protects the default merchant', async () => {
+            const invalid = await request('POST', '/merchants', { body: { merchantId: 'bad id', merchantCategoryCode: '12' } });
+            assert.equal(invalid.status, 422);
+            assert.deepEqual(invalid.body.errors.map(error => error.field).sort(),
+                ['bakongAccountId', 'merchantCategoryCode', 'merchantId', 'merchantName', 'phoneNumber']);
+
+            assert.equal((await request('DELETE', '/merchants/default')).status, 400);
+            assert.equal((await request('PUT', '/merchants/unknown', { body: { merchantCity: 'X' } })).status, 404);
+        });
+    });
+
+    describe('monitor', () => {
+        it('GET /monitor/status summarises monitored payments', async () => {
+            const res = await request('GET', '/monitor/status', { key: READ });
+
+            assert.equal(res.status, 200);
+            assert.equal(res.body.data.active, false);
+            assert.equal(res.body.data.totalPayments, autoPaymentMonitor.activeMonitors.size);
+        });
+
+        it('GET /monitor/users and /monitor/user/:userId group payments by session', async () => {
+            await createPayment();
+
+            const users = await request('GET', '/monitor/users');
+            assert.equal(users.status, 200);
+            assert.ok(users.body.data.length > 0);
+
+            const user = await request('GET', '/monitor/user/anonymous');
+            assert.equal(user.status, 200);
+            assert.ok(user.body.data.length > 0);
+
+            assert.equal((await request('GET', `/monitor/user/${'u'.repeat(129)}`)).status, 422);
+            assert.equal((await request('GET', '/monitor/stream?lastEventId=abc', { key: READ })).status, 422);
+        });
+
+        it('POST /monitor/force-check checks a monitored payment now', async () => {
+            const payment = await createPayment();
+            client.pay(payment.md5Hash, { amount: 10 });
+
+            const res = await request('POST', '/monitor/force-check', { body: { hash: payment.md5Hash } });
+
+            assert.equal(res.status, 200);
+            assert.ok(!autoPaymentMonitor.activeMonitors.has(payment.md5Hash));
+            assert.equal((await request('POST', '/monitor/force-check', { body: { hash: 'xyz' } })).status, 422);
+        });
+    });
+});
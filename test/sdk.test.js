@@ -0,0 +1,223 @@
+/**
+ * SDK entry points: CommonJS/ESM parity, independence from the server, the
+ * explicit config object (base URL, logger, HTTP client) and the browser build
+ */
+
+require('./helpers');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { execFileSync, execSync } = require('child_process');
+const sdk = require('../sdk');
+const BakongMockServer = require('../src/BakongMockServer');
+const ServerBakongKHQR = require('../src/BakongKHQR');
+const { buildBrowserBundle } = require('../sdk/scripts/build-browser');
+
+const { BakongKHQR, BakongAuthError, KHQRValidationError } = sdk;
+
+const QR_OPTIONS = {
+    bankAccount: 'john_smith@devb',
+    merchantName: 'John Smith',
+    merchantCity: 'Phnom Penh',
+    amount: 1.5,
+    currency: 'USD',
+    storeLabel: 'Coffee Shop',
+    phoneNumber: '85512345678',
+    billNumber: 'INV-001',
+    terminalLabel: 'Counter 1'
+};
+
+describe('SDK entry points', () => {
+    it('exports the same classes from CommonJS and ESM', async () => {
+        const esm = await import('../sdk/index.mjs');
+
+        for (const name of Object.keys(sdk)) {
+            assert.equal(esm[name], sdk[name], name);
+        }
+    });
+
+    it('loads without any server module', () => {
+        const loaded = execFileSync(process.execPath, ['-e', `
+            require('./sdk');
+            console.log(Object.keys(require.cache).filter(file => !file.includes('node_modules')).join('\\n'));
+        `], { cwd: path.join(__dirname, '..'), encoding: 'utf8' }).trim().split('\n');
+
+        assert.ok(loaded.length > 0);
+        for (const file of loaded) {
+            assert.ok(file.startsWith(path.join(__dirname, '..', 'sdk') + path.sep), file);
+        }
+    });
+
+    it('encodes the same KHQR as the server client', () => {
+        mock.timers.enable({ apis: ['Date'], now: 1700000000000 });
+        try {
+            const qr = new BakongKHQR().createQR(QR_OPTIONS);
+
+            assert.equal(qr, new ServerBakongKHQR().createQR(QR_OPTIONS));
+            assert.equal(new BakongKHQR().decode(qr).amount, 1.5);
+        } finally {
+            mock.timers.reset();
+        }
+    });
+
+    it('shares error classes with the server', () => {
+        assert.equal(require('../src/errors').KHQRValidationError, KHQRValidationError);
+        assert.throws(() => new BakongKHQR().decode(''), KHQRValidationError);
+    });
+
+    it('reports invalid image input as a validation error', async () => {
+        await assert.rejects(new BakongKHQR().generateQRImage('', { template: 'khqr-card' }), KHQRValidationError);
+        await assert.rejects(new BakongKHQR().generateQRImage('000201', { size: 5 }), KHQRValidationError);
+    });
+});
+
+describe('SDK config', () => {
+    const mockServer = new BakongMockServer();
+
+    before(async () => {
+        await mockServer.listen();
+        process.env.BAKONG_API_URL = 'http://127.0.0.1:9/v1'; // Must be ignored by the SDK
+    });
+
+    after(async () => {
+        delete process.env.BAKONG_API_URL;
+        await mockServer.close();
+    });
+
+    it('calls the configured base URL instead of the environment', async () => {
+        const khqr = new BakongKHQR({ token: 'test-token', baseUrl: `${mockServer.url}/`, maxRetries: 0 });
+        mockServer.markPaid({ md5: 'a'.repeat(32), amount: 5 });
+
+        assert.equal(khqr.bakongApiUrl, mockServer.url);
+        assert.deepEqual(await khqr.checkBulkPayments(['a'.repeat(32)]), ['a'.repeat(32)]);
+    });
+
+    it('logs through the injected logger and never to the console', async () => {
+        const entries = [];
+        const logger = {
+            debug: (message, meta) => entries.push(['debug', message, meta]),
+            info: (message, meta) => entries.push(['info', message, meta])
+        };
+        const consoleLog = mock.method(console, 'log');
+        const khqr = new BakongKHQR({ token: 'test-token', baseUrl: mockServer.url, logger });
+        mockServer.markPaid({ md5: 'b'.repeat(32), amount: 7, currency: 'KHR' });
+
+        assert.equal(await khqr.checkPayment('b'.repeat(32)), 'PAID');
+        assert.equal(await new BakongKHQR({ baseUrl: mockServer.url, logger }).checkPayment('c'.repeat(32)), 'UNKNOWN');
+
+        consoleLog.mock.restore();
+        assert.equal(consoleLog.mock.callCount(), 0);
+        const paid = entries.find(([, message]) => message === 'Bakong payment successful');
+        assert.equal(paid[0], 'debug');
+        assert.equal(paid[2].amount, 7);
+        assert.equal(paid[2].fromAccountId, undefined);
+    });
+
+    it('sends requests through the injected HTTP client', async () => {
+        const requests = [];
+        const httpClient = {
+            post: async (url, data, config) => {
+                requests.push({ url, data, config });
+                return { data: { responseCode: 0, data: [{ md5: data[0], status: 'SUCCESS' }] } };
+            }
+        };
+        const khqr = new BakongKHQR({ token: 'sdk-token', baseUrl: 'https://bakong.example/v1', httpClient, timeout: 1234 });
+
+        assert.deepEqual(await khqr.checkBulkPayments(['d'.repeat(32)]), ['d'.repeat(32)]);
+        assert.equal(requests[0].url, 'https://bakong.example/v1/check_transaction_by_md5_list');
+        assert.equal(requests[0].config.headers.Authorization, 'Bearer sdk-token');
+        assert.equal(requests[0].config.timeout, 1234);
+    });
+
+    it('maps HTTP client errors to typed errors', async () => {
+        const httpClient = {
+            post: async () => {
+                const error = new Error('Request failed with status code 401');
+                error.response = { status: 401, headers: {}, data: { responseCode: 1 } };
+                throw error;
+            }
+        };
+        const khqr = new BakongKHQR({ token: 'expired', httpClient });
+
+        await assert.rejects(khqr.getPayment('e'.repeat(32)), BakongAuthError);
+        assert.equal(khqr.getCircuitState().state, 'CLOSED');
+    });
+});
+
+describe('Browser build', () => {
+    const nodeMD5 = value => crypto.createHash('md5').update(value).digest('hex');
+    let browser;
+
+    before(() => {
+        // A bare context: no require, module, process or Buffer
+        const context = {};
+        vm.runInNewContext(buildBrowserBundle(), context);
+        browser = context.BakongKHQR;
+    });
+
+    it('matches Node crypto MD5, including multi-byte text', () => {
+        const inputs = ['', 'abc', 'a'.repeat(56), 'a'.repeat(200), 'ហាងកាហ្វេ', 'emoji 😀', '\ud800 lone surrogate'];
+
+        assert.equal(sdk.md5(''), 'd41d8cd98f00b204e9800998ecf8427e');
+        for (const input of inputs) {
+            assert.equal(browser.md5(input), nodeMD5(input), JSON.stringify(input));
+        }
+    });
+
+    it('encodes KHQR the Node SDK accepts', () => {
+        const encoder = new browser.KHQR();
+        const qr = encoder.createQR({ ...QR_OPTIONS, merchantName: 'កាហ្វេ' });
+
+        assert.deepEqual(new BakongKHQR().verify(qr), { valid: true, errors: [] });
+        assert.equal(encoder.generateMD5(qr), new BakongKHQR().generateMD5(qr));
+        assert.equal(new BakongKHQR().decode(qr).merchantName, 'កាហ្វេ');
+    });
+
+    it('counts EMV lengths in UTF-8 bytes', () => {
+        const encoder = new browser.KHQR();
+        const qr = encoder.createQR({ ...QR_OPTIONS, merchantName: 'កាហ្វេ 😀' });
+
+        assert.ok(qr.includes('5923កាហ្វេ 😀')); // 6 Khmer characters, a space and an emoji: 18 + 1 + 4 bytes
+        assert.equal(encoder.decode(qr).merchantName, 'កាហ្វេ 😀');
+        assert.equal(encoder.decode(qr).merchantCity, 'Phnom Penh');
+        assert.throws(() => encoder.createQR({ ...QR_OPTIONS, merchantName: 'ហាងកាហ្វេ' }), /27 bytes/); // 9 characters
+        assert.throws(() => encoder.decode(qr.replace('5923', '5922')), { name: 'KHQRValidationError' });
+    });
+
+    it('decodes and verifies in the browser', () => {
+        const encoder = new browser.KHQR();
+        const qr = new BakongKHQR().createQR(QR_OPTIONS);
+
+        assert.equal(encoder.decode(qr).bankAccount, 'john_smith@devb');
+        assert.equal(encoder.verify(qr).valid, true);
+        assert.equal(encoder.verify(qr.replace('1.5', '2.5')).errors[0].field, 'crc');
+        assert.throws(() => encoder.createQR({ ...QR_OPTIONS, merchantName: 'M'.repeat(26) }), { name: 'KHQRValidationError' });
+    });
+
+    it('builds the ./browser export from a clean checkout when the package is prepared', () => {
+        // dist/ is git-ignored: install the sources as a dependency and run the prepare script, as npm would
+        const root = fs.mkdtempSync(path.join(os.tmpdir(), 'khqr-sdk-'));
+        const packageDir = path.join(root, 'node_modules', 'bakong-khqr-sdk');
+        const sdkDir = path.join(__dirname, '../sdk');
+
+        try {
+            fs.cpSync(sdkDir, packageDir, {
+                recursive: true,
+                filter: source => !['dist', 'node_modules'].includes(path.relative(sdkDir, source))
+            });
+            assert.throws(() => require.resolve('bakong-khqr-sdk/browser', { paths: [root] }), { code: 'MODULE_NOT_FOUND' });
+
+            const { scripts } = JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+            execSync(scripts.prepare, { cwd: packageDir, stdio: 'pipe' });
+
+            const bundle = require(require.resolve('bakong-khqr-sdk/browser', { paths: [root] }));
+            assert.equal(new bundle.KHQR().verify(new BakongKHQR().createQR(QR_OPTIONS)).valid, true);
+        } finally {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,15 @@
+/**
+ * Test entry point for `npm test`. Uses the built-in node:test runner
+ * (Node 20+); run a single file with `node --test test/<file>.test.js`.
+ */
+
+require('./helpers');
+require('./BakongKHQR.test');
+require('./PaymentService.test');
+require('./TransactionStore.test');
+require('./MerchantRegistry.test');
+require('./WebhookService.test');
+require('./AutoPaymentMonitor.test');
+require('./routes.test');
+require('./sdk.test');
+require('./logging.test');